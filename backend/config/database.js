@@ -1,4 +1,6 @@
 import { PrismaClient } from '@prisma/client';
+import { generateUniqueSlug } from '../utils/projectSlugs.js';
+import { seedTechnologyCatalog, buildTechnologyData } from '../utils/technologies.js';
 
 // Configuración global de Prisma
 const globalForPrisma = globalThis;
@@ -107,7 +109,9 @@ export const seedDatabase = async () => {
         email: process.env.DEFAULT_ADMIN_EMAIL || 'admin@joseluiscastro.dev',
         password: hashedPassword,
         role: 'ADMIN',
-        isActive: true
+        isActive: true,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
       }
     });
     
@@ -150,8 +154,16 @@ export const seedDatabase = async () => {
       }
     ];
     
+    await seedTechnologyCatalog();
+
     for (const project of sampleProjects) {
-      await prisma.project.create({ data: project });
+      await prisma.project.create({
+        data: {
+          ...project,
+          ...await buildTechnologyData(project.technologies),
+          slug: await generateUniqueSlug(project.title)
+        }
+      });
     }
     
     console.log('✅ Proyectos de ejemplo creados');
@@ -188,11 +200,12 @@ export const cleanDatabase = async () => {
 // Función para obtener estadísticas de la base de datos
 export const getDatabaseStats = async () => {
   try {
-    const [userCount, projectCount, contactCount, activeProjects, featuredProjects] = await Promise.all([
+    const [userCount, projectCount, contactCount, activeProjects, publishedProjects, featuredProjects] = await Promise.all([
       prisma.user.count(),
       prisma.project.count(),
       prisma.contact.count(),
       prisma.project.count({ where: { isActive: true } }),
+      prisma.project.count({ where: { isActive: true, status: 'PUBLISHED' } }),
       prisma.project.count({ where: { isFeatured: true, isActive: true } })
     ]);
     
@@ -201,6 +214,7 @@ export const getDatabaseStats = async () => {
       projects: {
         total: projectCount,
         active: activeProjects,
+        published: publishedProjects,
         featured: featuredProjects
       },
       contacts: contactCount,
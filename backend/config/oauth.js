@@ -0,0 +1,111 @@
+/**
+ * Proveedores OAuth2 para el inicio de sesión externo.
+ * Cada proveedor se configura con variables OAUTH_<PROVEEDOR>_*; los endpoints se pueden
+ * sobrescribir (p. ej. para apuntar a un servidor OAuth simulado en pruebas).
+ * Para añadir un proveedor, define sus endpoints por defecto y cómo obtener el perfil.
+ */
+
+/**
+ * Tiempo máximo de cada petición al proveedor (un proveedor colgado no debe retener la petición)
+ * @returns {number} Milisegundos
+ */
+export const getOAuthRequestTimeout = () => parseInt(process.env.OAUTH_REQUEST_TIMEOUT_MS) || 10000;
+
+/**
+ * Hacer una petición GET autenticada y devolver el JSON
+ * @param {string} url - URL del recurso
+ * @param {string} accessToken - Token de acceso del proveedor
+ * @returns {Promise<Object>} Respuesta JSON
+ */
+const fetchJson = async (url, accessToken) => {
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json',
+      'User-Agent': 'portfolio-backend'
+    },
+    signal: AbortSignal.timeout(getOAuthRequestTimeout())
+  });
+
+  if (!response.ok) {
+    throw new Error(`El proveedor OAuth respondió ${response.status} en ${url}`);
+  }
+
+  return response.json();
+};
+
+const PROVIDERS = {
+  github: {
+    label: 'GitHub',
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    apiUrl: 'https://api.github.com',
+    scope: 'read:user user:email',
+    /**
+     * Perfil normalizado: se usa el email principal verificado de la cuenta de GitHub
+     */
+    getProfile: async (accessToken, { apiUrl }) => {
+      const [profile, emails] = await Promise.all([
+        fetchJson(`${apiUrl}/user`, accessToken),
+        fetchJson(`${apiUrl}/user/emails`, accessToken)
+      ]);
+
+      const primary = emails.find(entry => entry.primary) || null;
+
+      return {
+        providerUserId: String(profile.id),
+        name: profile.name || profile.login,
+        email: primary ? primary.email : null,
+        emailVerified: Boolean(primary && primary.verified)
+      };
+    }
+  }
+};
+
+/**
+ * Obtener la configuración de un proveedor (null si no existe o no tiene credenciales)
+ * @param {string} name - Nombre del proveedor (p. ej. 'github')
+ * @returns {Object|null} Endpoints, credenciales, scope, redirectUri y getProfile
+ */
+export const getOAuthProvider = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, name)) {
+    return null;
+  }
+
+  const defaults = PROVIDERS[name];
+  const prefix = `OAUTH_${name.toUpperCase()}_`;
+  const env = (key) => process.env[`${prefix}${key}`];
+
+  const clientId = env('CLIENT_ID');
+  const clientSecret = env('CLIENT_SECRET');
+
+  if (!clientId || !clientSecret) {
+    return null;
+  }
+
+  const callbackBaseUrl = process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+  return {
+    name,
+    label: defaults.label,
+    clientId,
+    clientSecret,
+    authorizeUrl: env('AUTHORIZE_URL') || defaults.authorizeUrl,
+    tokenUrl: env('TOKEN_URL') || defaults.tokenUrl,
+    apiUrl: env('API_URL') || defaults.apiUrl,
+    scope: env('SCOPE') || defaults.scope,
+    redirectUri: `${callbackBaseUrl}/api/auth/oauth/${name}/callback`,
+    getProfile: defaults.getProfile
+  };
+};
+
+/**
+ * Listar los proveedores configurados
+ * @returns {Object[]} { name, label } de cada proveedor con credenciales
+ */
+export const getEnabledOAuthProviders = () => {
+  return Object.keys(PROVIDERS)
+    .map(getOAuthProvider)
+    .filter(Boolean)
+    .map(({ name, label }) => ({ name, label }));
+};
@@ -0,0 +1,44 @@
+// Permisos disponibles en la API (formato recurso:acción)
+export const PERMISSIONS = {
+  'projects:read': 'Ver todos los proyectos, incluidos los inactivos',
+  'projects:write': 'Crear, editar, eliminar y destacar proyectos, subir videos y gestionar el catálogo de tecnologías',
+  'contacts:read': 'Ver mensajes de contacto y estadísticas',
+  'contacts:write': 'Cambiar el estado, editar y eliminar mensajes de contacto',
+  'users:read': 'Ver usuarios, roles, bloqueos de cuentas y API keys',
+  'users:write': 'Asignar roles, activar, desactivar y eliminar usuarios, restablecer contraseñas, desbloquear cuentas y revocar API keys',
+  'audit:read': 'Consultar y exportar el registro de auditoría',
+  'analytics:read': 'Consultar las estadísticas de visitas de los proyectos'
+};
+
+// Permisos de cada rol. ADMIN tiene todos; USER no tiene acceso administrativo.
+export const ROLE_PERMISSIONS = {
+  ADMIN: Object.keys(PERMISSIONS),
+  EDITOR: ['projects:read', 'projects:write', 'analytics:read'],
+  SUPPORT: ['contacts:read', 'contacts:write'],
+  VIEWER: ['projects:read', 'contacts:read', 'users:read', 'analytics:read'],
+  USER: []
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Obtener los permisos de un rol
+ * @param {string} role - Rol del usuario
+ * @returns {string[]} Permisos (vacío si el rol no existe)
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Comprobar si un rol tiene un permiso
+ * @param {string} role - Rol del usuario
+ * @param {string} permission - Permiso requerido
+ * @returns {boolean} True si el rol lo incluye
+ */
+export const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+/**
+ * Indica si un rol tiene acceso administrativo (algún permiso)
+ * @param {string} role - Rol del usuario
+ * @returns {boolean} True para ADMIN, EDITOR, SUPPORT y VIEWER
+ */
+export const isStaffRole = (role) => getRolePermissions(role).length > 0;
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directorio de almacenamiento local de videos (por defecto, videos/ en la raíz del repositorio)
+export const VIDEO_STORAGE_DIR = path.resolve(
+  process.env.VIDEO_STORAGE_PATH || path.join(__dirname, '../../videos')
+);
+
+// Tamaño máximo permitido para un video (por defecto 100MB)
+export const VIDEO_MAX_SIZE = parseInt(process.env.UPLOAD_MAX_SIZE) || 100 * 1024 * 1024;
+
+// Tipos MIME de video permitidos
+export const VIDEO_ALLOWED_TYPES = (process.env.UPLOAD_ALLOWED_TYPES || 'video/mp4,video/webm,video/ogg')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+// Extensiones asociadas a cada tipo MIME permitido
+const VIDEO_EXTENSIONS = {
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/ogg': '.ogg',
+  'video/quicktime': '.mov'
+};
+
+/**
+ * Asegurar que el directorio de almacenamiento exista
+ * @returns {string} Ruta absoluta del directorio
+ */
+export const ensureVideoStorageDir = () => {
+  if (!fs.existsSync(VIDEO_STORAGE_DIR)) {
+    fs.mkdirSync(VIDEO_STORAGE_DIR, { recursive: true });
+  }
+  return VIDEO_STORAGE_DIR;
+};
+
+/**
+ * Obtener la extensión de archivo para un tipo MIME
+ * @param {string} mimeType - Tipo MIME del video
+ * @param {string} originalName - Nombre original del archivo
+ * @returns {string} Extensión con punto inicial
+ */
+export const getVideoExtension = (mimeType, originalName = '') => {
+  return VIDEO_EXTENSIONS[mimeType] || path.extname(originalName).toLowerCase() || '.bin';
+};
+
+/**
+ * Resolver la ruta absoluta de un video almacenado
+ * @param {string} fileName - Nombre del archivo guardado en el proyecto
+ * @returns {string|null} Ruta absoluta o null si el nombre es inválido
+ */
+export const resolveVideoPath = (fileName) => {
+  if (!fileName) return null;
+
+  const filePath = path.resolve(VIDEO_STORAGE_DIR, fileName);
+
+  // Evitar salir del directorio de almacenamiento
+  if (path.dirname(filePath) !== VIDEO_STORAGE_DIR) {
+    return null;
+  }
+
+  return filePath;
+};
+
+/**
+ * Eliminar un video del almacenamiento local
+ * @param {string} fileName - Nombre del archivo
+ * @returns {Promise<boolean>} True si se eliminó
+ */
+export const removeVideoFile = async (fileName) => {
+  const filePath = resolveVideoPath(fileName);
+  if (!filePath) return false;
+
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error eliminando video:', error);
+    }
+    return false;
+  }
+};
@@ -0,0 +1,48 @@
+// Categorías de tecnologías (valores del enum TechnologyCategory)
+export const TECHNOLOGY_CATEGORIES = ['BACKEND', 'DATA', 'DB', 'FRONTEND'];
+
+// Catálogo inicial. Los alias se comparan normalizados (ver normalizeTechnologyKey),
+// así que "Node.js", "NodeJS" y "node" apuntan a la misma tecnología.
+// Los iconos son clases de Font Awesome, como en el frontend.
+export const TECHNOLOGY_CATALOG = [
+  // Backend
+  { name: 'Java', category: 'BACKEND', icon: 'fab fa-java', aliases: ['jdk'] },
+  { name: 'Spring Boot', category: 'BACKEND', icon: 'fas fa-leaf', aliases: ['spring', 'springframework'] },
+  { name: 'Node.js', category: 'BACKEND', icon: 'fab fa-node-js', aliases: ['node'] },
+  { name: 'Express', category: 'BACKEND', icon: 'fab fa-node-js', aliases: ['expressjs'] },
+  { name: 'NestJS', category: 'BACKEND', icon: 'fas fa-server', aliases: ['nest'] },
+  { name: 'FastAPI', category: 'BACKEND', icon: 'fab fa-python', aliases: [] },
+  { name: 'Socket.io', category: 'BACKEND', icon: 'fas fa-plug', aliases: ['websockets'] },
+  { name: 'Stripe', category: 'BACKEND', icon: 'fab fa-stripe', aliases: [] },
+
+  // Datos
+  { name: 'Python', category: 'DATA', icon: 'fab fa-python', aliases: ['py', 'python3'] },
+  { name: 'Pandas', category: 'DATA', icon: 'fas fa-table', aliases: [] },
+  { name: 'NumPy', category: 'DATA', icon: 'fas fa-calculator', aliases: [] },
+  { name: 'scikit-learn', category: 'DATA', icon: 'fas fa-brain', aliases: ['sklearn'] },
+  { name: 'Jupyter', category: 'DATA', icon: 'fas fa-book', aliases: ['jupyternotebook'] },
+  { name: 'R', category: 'DATA', icon: 'fas fa-chart-line', aliases: ['rlang'] },
+  { name: 'Power BI', category: 'DATA', icon: 'fas fa-chart-bar', aliases: ['pbi'] },
+  { name: 'D3.js', category: 'DATA', icon: 'fas fa-chart-area', aliases: ['d3'] },
+
+  // Bases de datos
+  { name: 'PostgreSQL', category: 'DB', icon: 'fas fa-database', aliases: ['postgres', 'psql', 'pg'] },
+  { name: 'MySQL', category: 'DB', icon: 'fas fa-database', aliases: [] },
+  { name: 'Oracle SQL', category: 'DB', icon: 'fas fa-database', aliases: ['oracle', 'oracledb', 'plsql'] },
+  { name: 'MongoDB', category: 'DB', icon: 'fas fa-leaf', aliases: ['mongo'] },
+  { name: 'Redis', category: 'DB', icon: 'fas fa-bolt', aliases: [] },
+
+  // Frontend
+  { name: 'JavaScript', category: 'FRONTEND', icon: 'fab fa-js', aliases: ['js', 'ecmascript'] },
+  { name: 'TypeScript', category: 'FRONTEND', icon: 'fas fa-code', aliases: ['ts'] },
+  { name: 'React', category: 'FRONTEND', icon: 'fab fa-react', aliases: ['reactjs'] },
+  { name: 'Vue.js', category: 'FRONTEND', icon: 'fab fa-vuejs', aliases: ['vue'] },
+  { name: 'Angular', category: 'FRONTEND', icon: 'fab fa-angular', aliases: ['angularjs'] },
+  { name: 'HTML', category: 'FRONTEND', icon: 'fab fa-html5', aliases: ['html5'] },
+  { name: 'CSS', category: 'FRONTEND', icon: 'fab fa-css3-alt', aliases: ['css3'] }
+];
+
+export default {
+  TECHNOLOGY_CATEGORIES,
+  TECHNOLOGY_CATALOG
+};
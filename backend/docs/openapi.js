@@ -0,0 +1,2258 @@
+/**
+ * Especificación OpenAPI 3 de la API del portafolio.
+ * Las restricciones de los esquemas reflejan las reglas de middleware/validators.js;
+ * al modificar un validador o una ruta, actualiza también este documento.
+ */
+import { PERMISSIONS, ROLES } from '../config/permissions.js';
+
+// Helpers para mantener la especificación compacta
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = (schema) => ({
+  'application/json': { schema }
+});
+
+const jsonBody = (schemaName, required = true) => ({
+  required,
+  content: jsonContent(ref(schemaName))
+});
+
+const success = (description, dataSchema) => ({
+  description,
+  content: jsonContent({
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string' },
+      ...(dataSchema && { data: dataSchema })
+    }
+  })
+});
+
+const errorResponse = (description) => ({
+  description,
+  content: jsonContent(ref('Error'))
+});
+
+const responses = {
+  validation: { description: 'Errores de validación', content: jsonContent(ref('ValidationError')) },
+  loginThrottled: {
+    description: 'Demasiados intentos fallidos (bloqueo de cuenta, límite por IP o retraso progresivo)',
+    headers: {
+      'Retry-After': { description: 'Segundos de espera', schema: { type: 'integer' } }
+    },
+    content: jsonContent(ref('TooManyRequests'))
+  },
+  unauthorized: errorResponse('No autenticado o token inválido'),
+  forbidden: errorResponse('Permisos insuficientes o 2FA obligatorio sin activar'),
+  notFound: errorResponse('Recurso no encontrado'),
+  serverError: errorResponse('Error interno del servidor')
+};
+
+const bearer = [{ bearerAuth: [] }];
+// Las rutas protegidas por permisos también aceptan API keys con el scope correspondiente
+const bearerOrApiKey = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+// Rutas públicas con autenticación opcional (vista previa de proyectos no publicados)
+const optionalBearer = [{}, { bearerAuth: [] }];
+
+const params = {
+  id: { $ref: '#/components/parameters/Id' },
+  page: { $ref: '#/components/parameters/Page' },
+  limit: { $ref: '#/components/parameters/Limit' },
+  search: { $ref: '#/components/parameters/Search' }
+};
+
+// Filtros comunes de GET /audit y GET /audit/export
+const auditFilters = [
+  { name: 'actor', in: 'query', description: 'ID del actor o parte de su email', schema: { type: 'string', maxLength: 100 } },
+  { name: 'entityType', in: 'query', schema: { type: 'string', enum: ['Project', 'Contact', 'User', 'Technology'] } },
+  { name: 'entityId', in: 'query', schema: { type: 'string' } },
+  { name: 'action', in: 'query', schema: { type: 'string', example: 'contact.status_change' } },
+  { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+  { name: 'to', in: 'query', description: 'Con solo fecha (YYYY-MM-DD) incluye el día completo', schema: { type: 'string', format: 'date-time' } }
+];
+
+const PROJECT_STATUSES = ['DRAFT', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED'];
+
+// Vista previa de proyectos no publicados (requiere token con projects:read)
+const previewParam = {
+  name: 'preview',
+  in: 'query',
+  description: '`true` con un token de usuario con `projects:read` muestra también borradores, programados y archivados',
+  schema: { type: 'string', enum: ['true', 'false'] }
+};
+
+// Token del previewUrl de GET /projects/admin/all: vista previa de un proyecto sin cabecera Authorization
+const previewTokenParam = {
+  name: 'previewToken',
+  in: 'query',
+  description: 'Con `preview=true`, muestra este proyecto aunque no esté publicado (caduca según `PROJECT_PREVIEW_EXPIRES_IN`)',
+  schema: { type: 'string' }
+};
+
+const TECHNOLOGY_CATEGORIES = ['BACKEND', 'DATA', 'DB', 'FRONTEND'];
+
+const CONTACT_STATUS_UPDATE = ['PENDING', 'IN_PROGRESS', 'RESOLVED', 'CLOSED'];
+
+// Ordenación y paginación por cursor (utils/pagination.js)
+const listParams = (fields, defaultSort) => [
+  {
+    name: 'sort',
+    in: 'query',
+    description: `Campos separados por comas; \`-\` delante ordena de forma descendente. Permitidos: ${fields.join(', ')}. Por defecto \`${defaultSort}\``,
+    schema: { type: 'string', example: '-createdAt,title' }
+  },
+  {
+    name: 'after',
+    in: 'query',
+    description: 'Cursor (`pagination.nextCursor`): elementos posteriores. No se combina con `page` ni `before`; hay que repetir el mismo `sort`',
+    schema: { type: 'string' }
+  },
+  {
+    name: 'before',
+    in: 'query',
+    description: 'Cursor (`pagination.prevCursor`): elementos anteriores',
+    schema: { type: 'string' }
+  },
+  {
+    name: 'count',
+    in: 'query',
+    description: 'Calcular `total`. Por defecto `true` con `page` y `false` con cursores',
+    schema: { type: 'string', enum: ['true', 'false'] }
+  }
+];
+
+const PROJECT_SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'order', 'isFeatured'];
+const PROJECT_DEFAULT_SORT = '-isFeatured,order,-createdAt';
+
+// Caché HTTP de las rutas públicas de proyectos (middleware/cache.js)
+const cacheHeaders = {
+  ETag: { description: 'ETag fuerte derivado de `updatedAt` y del contenido', schema: { type: 'string' } },
+  'Last-Modified': { schema: { type: 'string' } },
+  'Cache-Control': { schema: { type: 'string', example: 'public, max-age=60, stale-while-revalidate=300' } }
+};
+
+const conditionalParams = [
+  { name: 'If-None-Match', in: 'header', description: 'ETag de una respuesta anterior', schema: { type: 'string' } },
+  { name: 'If-Modified-Since', in: 'header', description: 'Se ignora si se envía `If-None-Match`', schema: { type: 'string' } }
+];
+
+const notModified = { description: 'Sin cambios desde la versión indicada (sin cuerpo)', headers: cacheHeaders };
+
+const linkHeader = {
+  Link: {
+    description: 'Enlaces RFC 8288 `first`, `prev`, `next` y `last` (este último solo con `page` y `total`)',
+    schema: { type: 'string', example: '</api/projects?after=eyJz...>; rel="next"' }
+  }
+};
+const CONTACT_STATUS_PATCH = ['PENDING', 'IN_PROGRESS', 'RESPONDED', 'ARCHIVED'];
+
+const ANALYTICS_EVENT_TYPES = ['view', 'video_play', 'repo_click'];
+const ANALYTICS_METRICS = ['views', 'videoPlays', 'repoClicks'];
+
+// Rango de los informes de analítica (por defecto, los últimos 30 días; máximo 366)
+const analyticsRangeParams = [
+  { name: 'from', in: 'query', description: 'Primer día (UTC). Por defecto, 29 días antes de `to`', schema: { type: 'string', format: 'date' } },
+  { name: 'to', in: 'query', description: 'Último día incluido (UTC). Por defecto, hoy', schema: { type: 'string', format: 'date' } }
+];
+
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      error: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      error: { type: 'string', example: 'Errores de validación' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            message: { type: 'string' },
+            value: {}
+          }
+        }
+      }
+    }
+  },
+  TooManyRequests: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      error: { type: 'string' },
+      retryAfter: { type: 'integer', description: 'Segundos de espera' }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      hasNext: { type: 'boolean' },
+      hasPrev: { type: 'boolean' }
+    }
+  },
+  ListPagination: {
+    type: 'object',
+    description: 'Con `after`/`before` no incluye `page` ni `totalPages`, y `total` solo con `count=true`',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer', nullable: true },
+      totalPages: { type: 'integer', nullable: true },
+      hasNext: { type: 'boolean' },
+      hasPrev: { type: 'boolean' },
+      nextCursor: { type: 'string', nullable: true, description: 'Para `?after=`; null al ordenar por relevancia' },
+      prevCursor: { type: 'string', nullable: true, description: 'Para `?before=`' }
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      role: { type: 'string', enum: ROLES },
+      isActive: { type: 'boolean' },
+      emailVerified: { type: 'boolean' },
+      twoFactorEnabled: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  AdminUser: {
+    allOf: [
+      ref('User'),
+      {
+        type: 'object',
+        properties: {
+          lockedUntil: { type: 'string', format: 'date-time', nullable: true },
+          _count: {
+            type: 'object',
+            properties: { projects: { type: 'integer' } }
+          }
+        }
+      }
+    ]
+  },
+  AuthResult: {
+    type: 'object',
+    properties: {
+      user: ref('User'),
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      twoFactorSetupRequired: {
+        type: 'boolean',
+        description: 'Presente cuando REQUIRE_ADMIN_2FA=true y el administrador aún no activó 2FA'
+      }
+    }
+  },
+  TwoFactorChallenge: {
+    type: 'object',
+    properties: {
+      twoFactorRequired: { type: 'boolean', example: true },
+      challengeToken: { type: 'string', description: 'Token de corta duración para /auth/login/2fa' }
+    }
+  },
+  OAuthExchangeInput: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', description: 'Código de un solo uso recibido en #/oauth/callback' }
+    }
+  },
+  TwoFactorLoginInput: {
+    type: 'object',
+    required: ['challengeToken', 'code'],
+    properties: {
+      challengeToken: { type: 'string' },
+      code: { type: 'string', description: 'Código TOTP de 6 dígitos o código de recuperación' }
+    }
+  },
+  TwoFactorCodeInput: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', pattern: '^\\d{6}$' }
+    }
+  },
+  TwoFactorDisableInput: {
+    type: 'object',
+    required: ['password', 'code'],
+    properties: {
+      password: { type: 'string', minLength: 1 },
+      code: { type: 'string', description: 'Código TOTP de 6 dígitos o código de recuperación' }
+    }
+  },
+  RecoveryCodes: {
+    type: 'object',
+    properties: {
+      recoveryCodes: { type: 'array', items: { type: 'string' }, description: 'Se muestran una sola vez' }
+    }
+  },
+  RegisterInput: {
+    type: 'object',
+    required: ['name', 'email', 'password'],
+    properties: {
+      name: { type: 'string', minLength: 2, maxLength: 50 },
+      email: { type: 'string', format: 'email' },
+      password: {
+        type: 'string',
+        minLength: 6,
+        pattern: '^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)',
+        description: 'Al menos una minúscula, una mayúscula y un número'
+      }
+    }
+  },
+  LoginInput: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', minLength: 1 }
+    }
+  },
+  RefreshInput: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: {
+      refreshToken: { type: 'string' }
+    }
+  },
+  LogoutInput: {
+    type: 'object',
+    properties: {
+      refreshToken: {
+        type: 'string',
+        description: 'Si se omite, se cierra la sesión a la que pertenece el access token'
+      }
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      device: { type: 'string', example: 'Chrome en Windows' },
+      userAgent: { type: 'string', nullable: true },
+      ipAddress: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: { type: 'string', format: 'date-time', description: 'Última renovación de tokens' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      current: { type: 'boolean', description: 'Sesión a la que pertenece el access token usado' }
+    }
+  },
+  AccountLockout: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      userId: { type: 'string' },
+      ipAddress: { type: 'string', nullable: true },
+      failedAttempts: { type: 'integer' },
+      lockedAt: { type: 'string', format: 'date-time' },
+      lockedUntil: { type: 'string', format: 'date-time' },
+      unlockedAt: { type: 'string', format: 'date-time', nullable: true },
+      unlockReason: { type: 'string', enum: ['EXPIRED', 'ADMIN', 'PASSWORD_RESET'], nullable: true },
+      unlockedById: { type: 'string', nullable: true },
+      active: { type: 'boolean' },
+      user: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          email: { type: 'string', format: 'email' }
+        }
+      },
+      unlockedBy: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' }
+        }
+      }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      prefix: { type: 'string', example: 'pfk_a1B2c3D4', description: 'Inicio de la clave, para identificarla' },
+      scopes: { type: 'array', items: { type: 'string', enum: Object.keys(PERMISSIONS) } },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true },
+      lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+      revokedAt: { type: 'string', format: 'date-time', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ApiKeyInput: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { type: 'string', minLength: 3, maxLength: 50 },
+      scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: Object.keys(PERMISSIONS) } },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true, description: 'Opcional; sin expiración si se omite' }
+    }
+  },
+  AuditLog: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      actorId: { type: 'string', nullable: true },
+      actorEmail: { type: 'string', nullable: true },
+      apiKeyId: { type: 'string', nullable: true, description: 'API key usada, si la petición no vino de una sesión' },
+      action: { type: 'string', example: 'project.update' },
+      entityType: { type: 'string', enum: ['Project', 'Contact', 'User', 'Technology'] },
+      entityId: { type: 'string', nullable: true },
+      changes: {
+        type: 'object',
+        description: 'Campos modificados: { campo: { before, after } }',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            before: {},
+            after: {}
+          }
+        }
+      },
+      ipAddress: { type: 'string', nullable: true },
+      requestId: { type: 'string', nullable: true, description: 'Valor de la cabecera X-Request-Id de la petición' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  RoleUpdateInput: {
+    type: 'object',
+    required: ['role'],
+    properties: {
+      role: { type: 'string', enum: ROLES }
+    }
+  },
+  UserStatusInput: {
+    type: 'object',
+    required: ['isActive'],
+    properties: {
+      isActive: { type: 'boolean' }
+    }
+  },
+  ForgotPasswordInput: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email' }
+    }
+  },
+  ResetPasswordInput: {
+    type: 'object',
+    required: ['token', 'password'],
+    properties: {
+      token: { type: 'string', minLength: 1, description: 'Token recibido por correo' },
+      password: {
+        type: 'string',
+        minLength: 6,
+        pattern: '^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)',
+        description: 'Al menos una minúscula, una mayúscula y un número'
+      }
+    }
+  },
+  Author: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' }
+    }
+  },
+  Project: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      slug: { type: 'string', nullable: true, example: 'analisis-de-ventas', description: 'Generado a partir del título (sin acentos); único' },
+      description: { type: 'string' },
+      videoUrl: { type: 'string', nullable: true },
+      videoTitle: { type: 'string', nullable: true },
+      videoFile: { type: 'string', nullable: true },
+      videoMimeType: { type: 'string', nullable: true },
+      videoDuration: { type: 'number', nullable: true, description: 'Duración en segundos' },
+      videoWidth: { type: 'integer', nullable: true },
+      videoHeight: { type: 'integer', nullable: true },
+      videoCodec: { type: 'string', nullable: true },
+      videoPoster: { type: 'string', nullable: true },
+      mediaStatus: { type: 'string', enum: ['PENDING', 'READY', 'UNPROCESSED'], nullable: true },
+      repositoryUrl: { type: 'string', nullable: true },
+      technologies: { type: 'array', items: { type: 'string' }, description: 'Nombres canónicos' },
+      technologyTags: { type: 'array', items: ref('Technology'), description: 'Solo en las rutas públicas' },
+      isFeatured: { type: 'boolean' },
+      isActive: { type: 'boolean' },
+      order: { type: 'integer' },
+      status: { type: 'string', enum: PROJECT_STATUSES },
+      publishAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha de publicación (futura si está programado)' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha en que se movió a la papelera' },
+      previewUrl: { type: 'string', nullable: true, description: 'Solo en GET /projects/admin/all: enlace de vista previa de los no publicados, con un `previewToken` de corta duración' },
+      highlights: {
+        type: 'object',
+        description: 'Solo al buscar con texto completo: fragmentos con las coincidencias en `<mark>` (HTML escapado)',
+        properties: {
+          title: { type: 'string', example: 'Dashboard de <mark>ventas</mark>' },
+          description: { type: 'string', nullable: true }
+        }
+      },
+      author: ref('Author'),
+      deletedBy: { allOf: [ref('Author')], nullable: true }
+    }
+  },
+  Technology: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string', example: 'Node.js', description: 'Nombre canónico' },
+      key: { type: 'string', example: 'nodejs', description: 'Nombre normalizado; se usa en `?tech=`' },
+      category: { type: 'string', enum: TECHNOLOGY_CATEGORIES, nullable: true },
+      icon: { type: 'string', nullable: true, example: 'fab fa-node-js', description: 'Clase de Font Awesome' }
+    }
+  },
+  TechnologyInput: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 50 },
+      category: { type: 'string', enum: TECHNOLOGY_CATEGORIES, nullable: true },
+      icon: { type: 'string', maxLength: 50, nullable: true },
+      aliases: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 }, example: ['node'] }
+    }
+  },
+  TechnologyUpdateInput: {
+    type: 'object',
+    properties: {
+      category: { type: 'string', enum: TECHNOLOGY_CATEGORIES, nullable: true },
+      icon: { type: 'string', maxLength: 50, nullable: true },
+      aliases: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 }, description: 'Sustituye la lista completa' }
+    }
+  },
+  AnalyticsEventInput: {
+    type: 'object',
+    required: ['projectId', 'type'],
+    properties: {
+      projectId: { type: 'string', maxLength: 50 },
+      type: { type: 'string', enum: ANALYTICS_EVENT_TYPES }
+    }
+  },
+  AnalyticsTotals: {
+    type: 'object',
+    description: 'Visitantes únicos por día y tipo de evento, sumados en el periodo',
+    properties: {
+      views: { type: 'integer' },
+      videoPlays: { type: 'integer' },
+      repoClicks: { type: 'integer' }
+    }
+  },
+  ProjectRevision: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      revision: { type: 'integer', example: 3 },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      videoUrl: { type: 'string', nullable: true },
+      videoTitle: { type: 'string', nullable: true },
+      repositoryUrl: { type: 'string', nullable: true },
+      technologies: { type: 'array', items: { type: 'string' } },
+      restoredFromRevision: { type: 'integer', nullable: true, description: 'Revisión restaurada, si fue un rollback' },
+      createdAt: { type: 'string', format: 'date-time' },
+      editor: { allOf: [ref('Author')], nullable: true }
+    }
+  },
+  ProjectInput: {
+    type: 'object',
+    required: ['title', 'description', 'technologies'],
+    properties: {
+      title: { type: 'string', minLength: 3, maxLength: 100 },
+      description: { type: 'string', minLength: 10, maxLength: 1000 },
+      videoUrl: { type: 'string', format: 'uri', description: 'Solo URLs de YouTube (youtube.com o youtu.be)' },
+      videoTitle: { type: 'string', maxLength: 100 },
+      repositoryUrl: { type: 'string', format: 'uri' },
+      technologies: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      isFeatured: { type: 'boolean', default: false },
+      order: { type: 'integer', minimum: 0, default: 0 },
+      status: { type: 'string', enum: PROJECT_STATUSES, default: 'PUBLISHED', description: 'SCHEDULED exige un publishAt futuro' },
+      publishAt: { type: 'string', format: 'date-time', nullable: true, description: 'Al publicar sin fecha se usa la actual; no puede ser futura si el estado es PUBLISHED' }
+    }
+  },
+  ProjectUpdateInput: {
+    type: 'object',
+    description: 'Cualquier otro campo se ignora: slug, vídeo subido, papelera y autor tienen sus propias rutas',
+    properties: {
+      title: { type: 'string', minLength: 3, maxLength: 100 },
+      description: { type: 'string', minLength: 10, maxLength: 1000 },
+      videoUrl: { type: 'string', format: 'uri', description: 'Solo URLs de YouTube (youtube.com o youtu.be)' },
+      videoTitle: { type: 'string', maxLength: 100 },
+      repositoryUrl: { type: 'string', format: 'uri' },
+      technologies: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      isFeatured: { type: 'boolean' },
+      order: { type: 'integer', minimum: 0 },
+      status: { type: 'string', enum: PROJECT_STATUSES, description: 'SCHEDULED exige un publishAt futuro' },
+      publishAt: { type: 'string', format: 'date-time', nullable: true, description: 'Al publicar sin fecha se usa la actual; no puede ser futura si el estado es PUBLISHED' }
+    }
+  },
+  ProjectReorderInput: {
+    type: 'object',
+    description: 'Envía `ids`, o bien `id` con `before` o `after`',
+    properties: {
+      ids: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 500,
+        uniqueItems: true,
+        items: { type: 'string' },
+        description: 'Orden deseado. Si no están todos, los listados se reparten las posiciones que ya ocupaban'
+      },
+      id: { type: 'string', description: 'Proyecto a mover' },
+      before: { type: 'string', description: 'Colocar `id` justo antes de este proyecto' },
+      after: { type: 'string', description: 'Colocar `id` justo después de este proyecto' }
+    },
+    example: { id: 'clx2abc', before: 'clx1def' }
+  },
+  VideoUpload: {
+    type: 'object',
+    required: ['video'],
+    properties: {
+      video: { type: 'string', format: 'binary', description: 'Tipos permitidos según UPLOAD_ALLOWED_TYPES' },
+      videoTitle: { type: 'string', maxLength: 100 }
+    }
+  },
+  Contact: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      subject: { type: 'string', nullable: true },
+      message: { type: 'string' },
+      phone: { type: 'string', nullable: true },
+      status: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      respondedAt: { type: 'string', format: 'date-time', nullable: true },
+      adminNotes: { type: 'string', nullable: true },
+      highlights: {
+        type: 'object',
+        description: 'Solo al buscar con texto completo: fragmentos con las coincidencias en `<mark>` (HTML escapado)',
+        properties: {
+          subject: { type: 'string', nullable: true },
+          message: { type: 'string', nullable: true }
+        }
+      }
+    }
+  },
+  ContactInput: {
+    type: 'object',
+    required: ['name', 'email', 'message'],
+    properties: {
+      name: { type: 'string', minLength: 2, maxLength: 100 },
+      email: { type: 'string', format: 'email' },
+      subject: { type: 'string', maxLength: 200 },
+      message: { type: 'string', minLength: 10, maxLength: 2000 },
+      phone: { type: 'string' }
+    }
+  },
+  ContactUpdateInput: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: CONTACT_STATUS_UPDATE },
+      isRead: { type: 'boolean' },
+      adminNotes: { type: 'string' }
+    }
+  },
+  ContactStatusInput: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string', enum: CONTACT_STATUS_PATCH }
+    }
+  },
+  ContactBulkUpdateInput: {
+    type: 'object',
+    required: ['contactIds', 'status'],
+    properties: {
+      contactIds: { type: 'array', minItems: 1, items: { type: 'string' } },
+      status: { type: 'string', enum: CONTACT_STATUS_PATCH },
+      adminNotes: { type: 'string' }
+    }
+  }
+};
+
+const paths = {
+  // ==================== SISTEMA ====================
+  '/health': {
+    get: {
+      tags: ['Sistema'],
+      summary: 'Estado del sistema',
+      responses: {
+        200: {
+          description: 'Servidor funcionando',
+          content: jsonContent({
+            type: 'object',
+            properties: {
+              status: { type: 'string', example: 'OK' },
+              message: { type: 'string' },
+              timestamp: { type: 'string', format: 'date-time' },
+              environment: { type: 'string' }
+            }
+          })
+        }
+      }
+    }
+  },
+
+  // ==================== AUTENTICACIÓN ====================
+  '/auth/register': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Registrar nuevo usuario',
+      description: 'Envía un enlace de verificación al email. Las cuentas sin verificar se eliminan pasado UNVERIFIED_ACCOUNT_MAX_AGE_DAYS.',
+      requestBody: jsonBody('RegisterInput'),
+      responses: {
+        201: success('Usuario registrado', ref('AuthResult')),
+        400: responses.validation,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/login': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Iniciar sesión',
+      requestBody: jsonBody('LoginInput'),
+      description: 'Si el usuario tiene 2FA activo, responde con un challengeToken en lugar de los tokens. ' +
+        'Los intentos fallidos se limitan por email y por IP; las respuestas no revelan si la cuenta existe.',
+      responses: {
+        200: success('Inicio de sesión exitoso o desafío 2FA', {
+          oneOf: [ref('AuthResult'), ref('TwoFactorChallenge')]
+        }),
+        400: responses.validation,
+        401: errorResponse('Credenciales inválidas o cuenta desactivada'),
+        429: responses.loginThrottled,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/login/2fa': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Completar inicio de sesión con código TOTP o de recuperación',
+      requestBody: jsonBody('TwoFactorLoginInput'),
+      responses: {
+        200: success('Inicio de sesión exitoso', ref('AuthResult')),
+        400: responses.validation,
+        401: errorResponse('Desafío o código inválido'),
+        429: responses.loginThrottled,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/oauth/providers': {
+    get: {
+      tags: ['Autenticación'],
+      summary: 'Listar proveedores OAuth configurados',
+      responses: {
+        200: success('Proveedores disponibles', {
+          type: 'object',
+          properties: {
+            providers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'github' },
+                  label: { type: 'string', example: 'GitHub' }
+                }
+              }
+            }
+          }
+        })
+      }
+    }
+  },
+  '/auth/oauth/{provider}': {
+    get: {
+      tags: ['Autenticación'],
+      summary: 'Iniciar login OAuth2',
+      description: 'Redirige al proveedor con `state` y PKCE (S256).',
+      parameters: [{ name: 'provider', in: 'path', required: true, schema: { type: 'string', example: 'github' } }],
+      responses: {
+        302: { description: 'Redirección a la página de autorización del proveedor' },
+        404: errorResponse('Proveedor no configurado'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/oauth/{provider}/callback': {
+    get: {
+      tags: ['Autenticación'],
+      summary: 'Callback OAuth2 del proveedor',
+      description: 'Vincula el login con la cuenta cuyo email esté verificado en el proveedor y en el portafolio, ' +
+        'y redirige a `FRONTEND_URL/#/oauth/callback` con `code` (canjeable en /auth/oauth/exchange) o con `error` ' +
+        '(`access_denied`, `invalid_state`, `email_not_verified`, `account_not_found`, `account_disabled`, `provider_error`).',
+      parameters: [
+        { name: 'provider', in: 'path', required: true, schema: { type: 'string' } },
+        { name: 'code', in: 'query', schema: { type: 'string' } },
+        { name: 'state', in: 'query', schema: { type: 'string' } },
+        { name: 'error', in: 'query', schema: { type: 'string' } }
+      ],
+      responses: {
+        302: { description: 'Redirección al frontend' },
+        404: errorResponse('Proveedor no configurado')
+      }
+    }
+  },
+  '/auth/oauth/exchange': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Canjear el código del callback OAuth por los tokens',
+      description: 'El código es de un solo uso y caduca en 60 segundos. Si la cuenta tiene 2FA, devuelve un desafío para /auth/login/2fa.',
+      requestBody: jsonBody('OAuthExchangeInput'),
+      responses: {
+        200: success('Inicio de sesión exitoso o 2FA requerido', {
+          oneOf: [ref('AuthResult'), ref('TwoFactorChallenge')]
+        }),
+        400: responses.validation,
+        401: errorResponse('Código inválido o expirado, o cuenta desactivada'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/2fa/setup': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Iniciar enrolamiento 2FA',
+      security: bearer,
+      responses: {
+        200: success('Secreto y URI de aprovisionamiento', {
+          type: 'object',
+          properties: {
+            secret: { type: 'string' },
+            otpauthUrl: { type: 'string', description: 'Contenido del código QR' }
+          }
+        }),
+        400: errorResponse('2FA ya activado'),
+        401: responses.unauthorized,
+        403: errorResponse('Email sin verificar (code: EMAIL_NOT_VERIFIED)'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/2fa/enable': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Confirmar enrolamiento 2FA',
+      security: bearer,
+      requestBody: jsonBody('TwoFactorCodeInput'),
+      responses: {
+        200: success('2FA activado', ref('RecoveryCodes')),
+        400: errorResponse('Código inválido o configuración no iniciada'),
+        401: responses.unauthorized,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/2fa/disable': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Desactivar 2FA',
+      security: bearer,
+      requestBody: jsonBody('TwoFactorDisableInput'),
+      responses: {
+        200: success('2FA desactivado'),
+        400: errorResponse('2FA no activado o errores de validación'),
+        401: errorResponse('Contraseña o código inválido'),
+        403: errorResponse('2FA obligatorio para administradores'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/2fa/recovery-codes': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Regenerar códigos de recuperación',
+      security: bearer,
+      requestBody: jsonBody('TwoFactorCodeInput'),
+      responses: {
+        200: success('Nuevos códigos de recuperación', ref('RecoveryCodes')),
+        400: errorResponse('2FA no activado o errores de validación'),
+        401: errorResponse('Código inválido'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/refresh': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Renovar tokens (rotación de refresh token)',
+      description: 'Cada renovación invalida el refresh token presentado y emite uno nuevo. ' +
+        'Presentar un refresh token ya rotado revoca toda la sesión (posible robo).',
+      requestBody: jsonBody('RefreshInput'),
+      responses: {
+        200: success('Tokens renovados', {
+          type: 'object',
+          properties: {
+            accessToken: { type: 'string' },
+            refreshToken: { type: 'string' },
+            user: ref('User')
+          }
+        }),
+        401: errorResponse('Refresh token inválido, expirado o reutilizado')
+      }
+    }
+  },
+  '/auth/logout': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Cerrar sesión',
+      security: bearer,
+      requestBody: jsonBody('LogoutInput', false),
+      responses: {
+        200: success('Sesión cerrada'),
+        401: responses.unauthorized,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/sessions': {
+    get: {
+      tags: ['Autenticación'],
+      summary: 'Listar sesiones activas del usuario',
+      security: bearer,
+      responses: {
+        200: success('Sesiones activas', {
+          type: 'object',
+          properties: {
+            sessions: { type: 'array', items: ref('Session') }
+          }
+        }),
+        401: responses.unauthorized,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/sessions/others': {
+    delete: {
+      tags: ['Autenticación'],
+      summary: 'Cerrar todas las sesiones excepto la actual',
+      security: bearer,
+      responses: {
+        200: success('Sesiones cerradas', {
+          type: 'object',
+          properties: {
+            revoked: { type: 'integer' }
+          }
+        }),
+        400: errorResponse('El access token no pertenece a ninguna sesión'),
+        401: responses.unauthorized,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/sessions/{id}': {
+    delete: {
+      tags: ['Autenticación'],
+      summary: 'Cerrar una sesión',
+      security: bearer,
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+      responses: {
+        200: success('Sesión cerrada', {
+          type: 'object',
+          properties: {
+            current: { type: 'boolean' }
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/lockouts': {
+    get: {
+      tags: ['Autenticación'],
+      summary: 'Historial de bloqueos de cuentas (admin)',
+      description: 'Requiere el permiso `users:read`.',
+      security: bearerOrApiKey,
+      parameters: [
+        params.page,
+        params.limit,
+        { name: 'active', in: 'query', schema: { type: 'boolean' }, description: 'Solo bloqueos vigentes' }
+      ],
+      responses: {
+        200: success('Bloqueos paginados', {
+          type: 'object',
+          properties: {
+            lockouts: { type: 'array', items: ref('AccountLockout') },
+            pagination: ref('Pagination')
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/lockouts/{id}/unlock': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Desbloquear una cuenta (admin)',
+      description: 'Requiere el permiso `users:write`.',
+      security: bearerOrApiKey,
+      parameters: [params.id],
+      responses: {
+        200: success('Cuenta desbloqueada'),
+        400: errorResponse('El bloqueo ya no está activo'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/verify-email': {
+    get: {
+      tags: ['Autenticación'],
+      summary: 'Verificar email con el token del enlace enviado por correo',
+      parameters: [{ name: 'token', in: 'query', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: success('Email verificado', {
+          type: 'object',
+          properties: {
+            emailVerified: { type: 'boolean', example: true }
+          }
+        }),
+        400: errorResponse('Enlace inválido o expirado, o errores de validación'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/verify-email/resend': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Reenviar el enlace de verificación de email',
+      security: bearer,
+      responses: {
+        200: success('Enlace enviado'),
+        400: errorResponse('El email ya está verificado'),
+        401: responses.unauthorized,
+        429: {
+          description: 'Reenvío solicitado demasiado pronto',
+          headers: {
+            'Retry-After': { description: 'Segundos de espera', schema: { type: 'integer' } }
+          },
+          content: jsonContent(ref('TooManyRequests'))
+        },
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/forgot-password': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Solicitar enlace de restablecimiento de contraseña',
+      description: 'Responde siempre con el mismo mensaje para no revelar si la cuenta existe.',
+      requestBody: jsonBody('ForgotPasswordInput'),
+      responses: {
+        200: success('Solicitud procesada'),
+        400: responses.validation,
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/reset-password': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Restablecer contraseña con token de un solo uso',
+      description: 'Revoca todos los refresh tokens del usuario y desbloquea la cuenta si estaba bloqueada.',
+      requestBody: jsonBody('ResetPasswordInput'),
+      responses: {
+        200: success('Contraseña restablecida'),
+        400: errorResponse('Token inválido, usado o expirado, o errores de validación'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/auth/me': {
+    get: {
+      tags: ['Autenticación'],
+      summary: 'Obtener información del usuario autenticado',
+      description: 'Con API key, `permissions` se limita a los scopes de la clave y se incluye `apiKey`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Usuario autenticado', {
+          type: 'object',
+          properties: {
+            user: {
+              allOf: [
+                ref('User'),
+                {
+                  type: 'object',
+                  properties: {
+                    permissions: { type: 'array', items: { type: 'string', enum: Object.keys(PERMISSIONS) } }
+                  }
+                }
+              ]
+            },
+            apiKey: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                scopes: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        }),
+        401: responses.unauthorized,
+        500: responses.serverError
+      }
+    }
+  },
+
+  // ==================== PROYECTOS ====================
+  '/projects': {
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Listar proyectos públicos',
+      description: 'Solo incluye proyectos publicados (status `PUBLISHED`). `search` usa texto completo en español e inglés (sin acentos y tolerante a errores de escritura), ordena por relevancia (salvo con `sort` o cursores) y añade `highlights`; también busca por nombre o alias de tecnología.',
+      parameters: [
+        params.page,
+        params.limit,
+        params.search,
+        ...listParams(PROJECT_SORT_FIELDS, PROJECT_DEFAULT_SORT),
+        ...conditionalParams,
+        { name: 'featured', in: 'query', schema: { type: 'boolean' } },
+        {
+          name: 'tech',
+          in: 'query',
+          description: 'Tecnologías (clave, nombre o alias). Repetible (`tech=react&tech=node`) o separado por comas; el proyecto debe tenerlas todas',
+          schema: { type: 'array', maxItems: 10, items: { type: 'string' } },
+          style: 'form',
+          explode: true
+        }
+      ],
+      responses: {
+        200: {
+          ...success('Lista paginada de proyectos', {
+            type: 'object',
+            properties: {
+              projects: { type: 'array', items: ref('Project') },
+              pagination: ref('ListPagination'),
+              facets: {
+                type: 'object',
+                properties: {
+                  technologies: {
+                    type: 'array',
+                    description: 'Proyectos del resultado (todas las páginas) que usan cada tecnología',
+                    items: {
+                      allOf: [ref('Technology'), { type: 'object', properties: { count: { type: 'integer' } } }]
+                    }
+                  }
+                }
+              }
+            }
+          }),
+          headers: { ...linkHeader, ...cacheHeaders }
+        },
+        304: notModified,
+        400: responses.validation,
+        500: responses.serverError
+      }
+    },
+    post: {
+      tags: ['Proyectos'],
+      summary: 'Crear proyecto',
+      description: 'Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      requestBody: jsonBody('ProjectInput'),
+      responses: {
+        201: success('Proyecto creado', { type: 'object', properties: { project: ref('Project') } }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/featured': {
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Listar proyectos destacados',
+      description: 'Solo incluye proyectos publicados (status `PUBLISHED`).',
+      parameters: conditionalParams,
+      responses: {
+        200: {
+          ...success('Proyectos destacados', {
+            type: 'object',
+            properties: { projects: { type: 'array', items: ref('Project') } }
+          }),
+          headers: cacheHeaders
+        },
+        304: notModified,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/by-slug/{slug}': {
+    parameters: [{ name: 'slug', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$', maxLength: 100 } }],
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Obtener un proyecto por slug',
+      description: 'Si el slug es antiguo (el título cambió), responde 301 con `Location` apuntando al slug actual. Sin vista previa, solo devuelve proyectos publicados.',
+      security: optionalBearer,
+      parameters: [previewParam],
+      responses: {
+        200: success('Proyecto', { type: 'object', properties: { project: ref('Project') } }),
+        301: {
+          description: 'Slug antiguo: redirección permanente al slug actual',
+          headers: { Location: { schema: { type: 'string', example: '/api/projects/by-slug/analisis-de-ventas' } } }
+        },
+        400: responses.validation,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/admin/all': {
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Listar todos los proyectos, incluidos los inactivos',
+      description: 'Incluye los proyectos de la papelera. Con `search`, ordena por relevancia (salvo con `sort` o cursores) y añade `highlights`. Requiere el permiso `projects:read`.',
+      security: bearerOrApiKey,
+      parameters: [
+        params.page,
+        params.limit,
+        params.search,
+        {
+          name: 'trashed',
+          in: 'query',
+          description: '`true`: solo la papelera; `false`: sin la papelera',
+          schema: { type: 'string', enum: ['true', 'false'] }
+        },
+        { name: 'status', in: 'query', schema: { type: 'string', enum: PROJECT_STATUSES } },
+        ...listParams([...PROJECT_SORT_FIELDS, 'status'], PROJECT_DEFAULT_SORT)
+      ],
+      responses: {
+        200: {
+          ...success('Lista paginada de proyectos', {
+            type: 'object',
+            properties: {
+              projects: { type: 'array', items: ref('Project') },
+              pagination: ref('ListPagination')
+            }
+          }),
+          headers: linkHeader
+        },
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/{id}': {
+    parameters: [params.id],
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Obtener un proyecto por ID',
+      description: 'Sin vista previa, solo devuelve proyectos publicados (con las cabeceras de caché). La vista previa responde con `Cache-Control: private, no-store`.',
+      security: optionalBearer,
+      parameters: [previewParam, previewTokenParam, ...conditionalParams],
+      responses: {
+        200: {
+          ...success('Proyecto', { type: 'object', properties: { project: ref('Project') } }),
+          headers: cacheHeaders
+        },
+        304: notModified,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    },
+    put: {
+      tags: ['Proyectos'],
+      summary: 'Actualizar proyecto',
+      description: 'Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      requestBody: jsonBody('ProjectUpdateInput'),
+      responses: {
+        200: success('Proyecto actualizado', { type: 'object', properties: { project: ref('Project') } }),
+        400: errorResponse('Errores de validación o proyecto en la papelera'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    },
+    delete: {
+      tags: ['Proyectos'],
+      summary: 'Mover proyecto a la papelera',
+      description: 'El proyecto se oculta y se purga automáticamente tras `PROJECT_TRASH_RETENTION_DAYS` días. ' +
+        'Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Proyecto movido a la papelera', {
+          type: 'object',
+          properties: {
+            project: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                isActive: { type: 'boolean' },
+                deletedAt: { type: 'string', format: 'date-time' },
+                deletedById: { type: 'string' }
+              }
+            }
+          }
+        }),
+        400: errorResponse('El proyecto ya está en la papelera'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/{id}/revisions': {
+    parameters: [params.id],
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Historial de revisiones del proyecto',
+      description: 'Cada creación, edición con cambios de contenido o rollback guarda una revisión. ' +
+        'Requiere el permiso `projects:read`.',
+      security: bearerOrApiKey,
+      parameters: [params.page, params.limit],
+      responses: {
+        200: success('Lista paginada de revisiones', {
+          type: 'object',
+          properties: {
+            revisions: { type: 'array', items: ref('ProjectRevision') },
+            pagination: ref('Pagination')
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/{id}/revisions/diff': {
+    parameters: [params.id],
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Comparar dos revisiones',
+      description: 'Requiere el permiso `projects:read`.',
+      security: bearerOrApiKey,
+      parameters: [
+        { name: 'from', in: 'query', required: true, schema: { type: 'integer', minimum: 1 } },
+        { name: 'to', in: 'query', required: true, schema: { type: 'integer', minimum: 1 } }
+      ],
+      responses: {
+        200: success('Diferencias', {
+          type: 'object',
+          properties: {
+            from: ref('ProjectRevision'),
+            to: ref('ProjectRevision'),
+            changes: {
+              type: 'object',
+              description: '{ campo: { before, after } }',
+              additionalProperties: { type: 'object', properties: { before: {}, after: {} } }
+            }
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/{id}/revisions/{rev}': {
+    parameters: [params.id, { name: 'rev', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Obtener una revisión',
+      description: 'Requiere el permiso `projects:read`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Revisión', { type: 'object', properties: { revision: ref('ProjectRevision') } }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/{id}/revisions/{rev}/restore': {
+    parameters: [params.id, { name: 'rev', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+    post: {
+      tags: ['Proyectos'],
+      summary: 'Restaurar el contenido de una revisión',
+      description: 'Aplica el contenido de la revisión al proyecto y lo guarda como una revisión nueva. ' +
+        'Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Revisión restaurada', {
+          type: 'object',
+          properties: {
+            project: ref('Project'),
+            revision: ref('ProjectRevision')
+          }
+        }),
+        400: errorResponse('Proyecto en la papelera o sin cambios respecto a la revisión'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/{id}/restore': {
+    parameters: [params.id],
+    post: {
+      tags: ['Proyectos'],
+      summary: 'Restaurar proyecto de la papelera',
+      description: 'Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Proyecto restaurado', { type: 'object', properties: { project: ref('Project') } }),
+        400: errorResponse('El proyecto no está en la papelera'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/{id}/purge': {
+    parameters: [params.id],
+    delete: {
+      tags: ['Proyectos'],
+      summary: 'Eliminar definitivamente un proyecto de la papelera',
+      description: 'Borra el proyecto, su video y su portada. Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Proyecto eliminado definitivamente'),
+        400: errorResponse('El proyecto no está en la papelera'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/reorder': {
+    patch: {
+      tags: ['Proyectos'],
+      summary: 'Reordenar proyectos',
+      description: 'Aplica el nuevo orden y renumera (0, 1, 2...) todos los proyectos fuera de la papelera en una sola transacción. Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      requestBody: jsonBody('ProjectReorderInput'),
+      responses: {
+        200: success('Proyectos reordenados', {
+          type: 'object',
+          properties: {
+            projects: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  title: { type: 'string' },
+                  order: { type: 'integer' }
+                }
+              }
+            }
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: errorResponse('Proyectos no encontrados o en la papelera'),
+        409: errorResponse('El orden cambió mientras se procesaba la petición'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/{id}/toggle-featured': {
+    parameters: [params.id],
+    patch: {
+      tags: ['Proyectos'],
+      summary: 'Alternar estado destacado',
+      description: 'Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Estado destacado actualizado', { type: 'object', properties: { project: ref('Project') } }),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/projects/{id}/video': {
+    parameters: [params.id],
+    post: {
+      tags: ['Proyectos'],
+      summary: 'Subir video del proyecto',
+      description: 'Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      requestBody: {
+        required: true,
+        content: { 'multipart/form-data': { schema: ref('VideoUpload') } }
+      },
+      responses: {
+        201: success('Video subido; metadatos y portada se procesan en segundo plano', {
+          type: 'object',
+          properties: { project: ref('Project') }
+        }),
+        400: errorResponse('Falta el archivo de video'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        413: errorResponse('El video excede el tamaño máximo permitido'),
+        415: errorResponse('Tipo de archivo no permitido'),
+        500: responses.serverError
+      }
+    },
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Reproducir video subido (soporta cabecera Range)',
+      security: optionalBearer,
+      parameters: [previewParam, previewTokenParam, { name: 'Range', in: 'header', schema: { type: 'string', example: 'bytes=0-' } }],
+      responses: {
+        200: { description: 'Video completo', content: { 'video/*': { schema: { type: 'string', format: 'binary' } } } },
+        206: { description: 'Contenido parcial', content: { 'video/*': { schema: { type: 'string', format: 'binary' } } } },
+        404: responses.notFound,
+        416: { description: 'Rango no satisfacible' }
+      }
+    }
+  },
+  '/projects/{id}/poster': {
+    parameters: [params.id],
+    get: {
+      tags: ['Proyectos'],
+      summary: 'Obtener portada generada del video',
+      security: optionalBearer,
+      parameters: [previewParam, previewTokenParam],
+      responses: {
+        200: { description: 'Imagen de portada', content: { 'image/jpeg': { schema: { type: 'string', format: 'binary' } } } },
+        404: responses.notFound
+      }
+    }
+  },
+
+  // ==================== CONTACTOS ====================
+  '/contacts': {
+    post: {
+      tags: ['Contactos'],
+      summary: 'Enviar mensaje de contacto',
+      requestBody: jsonBody('ContactInput'),
+      responses: {
+        201: success('Mensaje enviado', { type: 'object', properties: { contact: ref('Contact') } }),
+        400: responses.validation,
+        500: responses.serverError
+      }
+    },
+    get: {
+      tags: ['Contactos'],
+      summary: 'Listar mensajes de contacto',
+      description: 'Con `search` (nombre, email, asunto y mensaje), ordena por relevancia (salvo con `sort` o cursores) y añade `highlights`. Requiere el permiso `contacts:read`.',
+      security: bearerOrApiKey,
+      parameters: [
+        params.page,
+        params.limit,
+        params.search,
+        { name: 'status', in: 'query', schema: { type: 'string' } },
+        ...listParams(['createdAt', 'updatedAt', 'name', 'email', 'status'], 'status,-createdAt')
+      ],
+      responses: {
+        200: {
+          ...success('Lista paginada de contactos', {
+            type: 'object',
+            properties: {
+              contacts: { type: 'array', items: ref('Contact') },
+              pagination: ref('ListPagination'),
+              stats: { type: 'object', additionalProperties: { type: 'integer' } }
+            }
+          }),
+          headers: linkHeader
+        },
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/contacts/stats/summary': {
+    get: {
+      tags: ['Contactos'],
+      summary: 'Estadísticas de mensajes de contacto',
+      description: 'Requiere el permiso `contacts:read`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Estadísticas', {
+          type: 'object',
+          properties: {
+            statusSummary: { type: 'object', additionalProperties: { type: 'integer' } },
+            recentContacts: { type: 'array', items: ref('Contact') },
+            monthlyStats: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  month: { type: 'string', format: 'date-time' },
+                  count: { type: 'integer' }
+                }
+              }
+            },
+            totalContacts: { type: 'integer' }
+          }
+        }),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/contacts/bulk-update': {
+    post: {
+      tags: ['Contactos'],
+      summary: 'Actualización masiva de estado',
+      description: 'Requiere el permiso `contacts:write`.',
+      security: bearerOrApiKey,
+      requestBody: jsonBody('ContactBulkUpdateInput'),
+      responses: {
+        200: success('Contactos actualizados', {
+          type: 'object',
+          properties: { updatedCount: { type: 'integer' } }
+        }),
+        400: errorResponse('IDs o estado inválidos'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/contacts/{id}': {
+    parameters: [params.id],
+    get: {
+      tags: ['Contactos'],
+      summary: 'Obtener mensaje de contacto',
+      description: 'Requiere el permiso `contacts:read`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Mensaje de contacto', { type: 'object', properties: { contact: ref('Contact') } }),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    },
+    put: {
+      tags: ['Contactos'],
+      summary: 'Actualizar mensaje de contacto',
+      description: 'Requiere el permiso `contacts:write`.',
+      security: bearerOrApiKey,
+      requestBody: jsonBody('ContactUpdateInput'),
+      responses: {
+        200: success('Mensaje actualizado', { type: 'object', properties: { contact: ref('Contact') } }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    },
+    delete: {
+      tags: ['Contactos'],
+      summary: 'Eliminar mensaje de contacto',
+      description: 'Requiere el permiso `contacts:write`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Mensaje eliminado'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+  '/contacts/{id}/status': {
+    parameters: [params.id],
+    patch: {
+      tags: ['Contactos'],
+      summary: 'Cambiar estado del mensaje',
+      description: 'Requiere el permiso `contacts:write`.',
+      security: bearerOrApiKey,
+      requestBody: jsonBody('ContactStatusInput'),
+      responses: {
+        200: success('Estado actualizado', { type: 'object', properties: { contact: ref('Contact') } }),
+        400: errorResponse('Estado inválido'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+
+  // ==================== USUARIOS ====================
+  '/users': {
+    get: {
+      tags: ['Usuarios'],
+      summary: 'Listar usuarios',
+      description: 'Busca por nombre o email. Requiere el permiso `users:read`.',
+      security: bearerOrApiKey,
+      parameters: [
+        params.page,
+        params.limit,
+        params.search,
+        { name: 'role', in: 'query', schema: { type: 'string', enum: ROLES } },
+        { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false'] } }
+      ],
+      responses: {
+        200: success('Lista paginada de usuarios', {
+          type: 'object',
+          properties: {
+            users: { type: 'array', items: ref('AdminUser') },
+            pagination: ref('Pagination')
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/users/roles': {
+    get: {
+      tags: ['Usuarios'],
+      summary: 'Listar roles y permisos',
+      description: 'Requiere el permiso `users:read`.',
+      security: bearerOrApiKey,
+      responses: {
+        200: success('Roles y permisos', {
+          type: 'object',
+          properties: {
+            roles: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  role: { type: 'string', enum: ROLES },
+                  permissions: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            },
+            permissions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  permission: { type: 'string' },
+                  description: { type: 'string' }
+                }
+              }
+            }
+          }
+        }),
+        401: responses.unauthorized,
+        403: responses.forbidden
+      }
+    }
+  },
+  '/users/{id}/role': {
+    patch: {
+      tags: ['Usuarios'],
+      summary: 'Asignar rol a un usuario',
+      description: 'No permite quitar el rol al último administrador activo. Requiere el permiso `users:write`.',
+      security: bearerOrApiKey,
+      parameters: [params.id],
+      requestBody: jsonBody('RoleUpdateInput'),
+      responses: {
+        200: success('Rol actualizado', {
+          type: 'object',
+          properties: { user: ref('AdminUser') }
+        }),
+        400: errorResponse('Último administrador activo o errores de validación'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        409: errorResponse('Otro cambio de usuarios se procesó a la vez'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/users/{id}': {
+    get: {
+      tags: ['Usuarios'],
+      summary: 'Obtener usuario por ID',
+      description: 'Requiere el permiso `users:read`.',
+      security: bearerOrApiKey,
+      parameters: [params.id],
+      responses: {
+        200: success('Usuario', {
+          type: 'object',
+          properties: {
+            user: {
+              allOf: [
+                ref('AdminUser'),
+                {
+                  type: 'object',
+                  properties: { permissions: { type: 'array', items: { type: 'string' } } }
+                }
+              ]
+            }
+          }
+        }),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    },
+    delete: {
+      tags: ['Usuarios'],
+      summary: 'Eliminar usuario',
+      description: 'No permite eliminar la propia cuenta ni al último administrador activo. ' +
+        'Los autores de proyectos deben desactivarse en su lugar. Requiere el permiso `users:write`.',
+      security: bearerOrApiKey,
+      parameters: [params.id],
+      responses: {
+        200: success('Usuario eliminado'),
+        400: errorResponse('Cuenta propia o último administrador activo'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        409: errorResponse('El usuario es autor de proyectos u otro cambio de usuarios se procesó a la vez'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/users/{id}/status': {
+    patch: {
+      tags: ['Usuarios'],
+      summary: 'Activar o desactivar usuario',
+      description: 'Desactivar revoca todas las sesiones del usuario. No permite desactivar la propia cuenta ' +
+        'ni al último administrador activo. Requiere el permiso `users:write`.',
+      security: bearerOrApiKey,
+      parameters: [params.id],
+      requestBody: jsonBody('UserStatusInput'),
+      responses: {
+        200: success('Estado actualizado', {
+          type: 'object',
+          properties: { user: ref('AdminUser') }
+        }),
+        400: errorResponse('Cuenta propia, último administrador activo o errores de validación'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        409: errorResponse('Otro cambio de usuarios se procesó a la vez'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/users/{id}/password-reset': {
+    post: {
+      tags: ['Usuarios'],
+      summary: 'Enviar enlace de restablecimiento de contraseña',
+      description: 'Invalida los enlaces anteriores del usuario. Requiere el permiso `users:write`.',
+      security: bearerOrApiKey,
+      parameters: [params.id],
+      responses: {
+        200: success('Enlace enviado'),
+        400: errorResponse('El usuario está desactivado'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+
+  // ==================== API KEYS ====================
+  '/api-keys': {
+    post: {
+      tags: ['API keys'],
+      summary: 'Crear API key',
+      description: 'Los scopes deben estar incluidos en los permisos del rol. La clave completa solo se devuelve en esta respuesta. ' +
+        'No disponible con API key.',
+      security: bearer,
+      requestBody: jsonBody('ApiKeyInput'),
+      responses: {
+        201: success('API key creada', {
+          type: 'object',
+          properties: {
+            apiKey: ref('ApiKey'),
+            key: { type: 'string', example: 'pfk_...' }
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: errorResponse('Scopes no permitidos para el rol, 2FA obligatorio sin activar o petición con API key'),
+        500: responses.serverError
+      }
+    },
+    get: {
+      tags: ['API keys'],
+      summary: 'Listar API keys propias',
+      description: 'No disponible con API key.',
+      security: bearer,
+      responses: {
+        200: success('API keys del usuario', {
+          type: 'object',
+          properties: { apiKeys: { type: 'array', items: ref('ApiKey') } }
+        }),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/api-keys/admin/all': {
+    get: {
+      tags: ['API keys'],
+      summary: 'Listar API keys de todos los usuarios',
+      description: 'Busca por nombre de la clave o email del propietario. Requiere el permiso `users:read` y sesión de usuario.',
+      security: bearer,
+      parameters: [params.page, params.limit, params.search],
+      responses: {
+        200: success('Lista paginada de API keys', {
+          type: 'object',
+          properties: {
+            apiKeys: {
+              type: 'array',
+              items: {
+                allOf: [
+                  ref('ApiKey'),
+                  {
+                    type: 'object',
+                    properties: {
+                      user: {
+                        type: 'object',
+                        properties: {
+                          id: { type: 'string' },
+                          name: { type: 'string' },
+                          email: { type: 'string', format: 'email' }
+                        }
+                      }
+                    }
+                  }
+                ]
+              }
+            },
+            pagination: ref('Pagination')
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/api-keys/{id}': {
+    delete: {
+      tags: ['API keys'],
+      summary: 'Revocar API key',
+      description: 'Revoca una clave propia; con el permiso `users:write`, cualquier clave. No disponible con API key.',
+      security: bearer,
+      parameters: [params.id],
+      responses: {
+        200: success('API key revocada'),
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        500: responses.serverError
+      }
+    }
+  },
+
+  // ==================== AUDITORÍA ====================
+  '/audit': {
+    get: {
+      tags: ['Auditoría'],
+      summary: 'Consultar el registro de auditoría',
+      description: 'Cambios hechos por usuarios con acceso administrativo en proyectos, contactos y usuarios. ' +
+        'Requiere el permiso `audit:read`.',
+      security: bearerOrApiKey,
+      parameters: [params.page, params.limit, ...auditFilters],
+      responses: {
+        200: success('Lista paginada de entradas', {
+          type: 'object',
+          properties: {
+            logs: { type: 'array', items: ref('AuditLog') },
+            pagination: ref('Pagination')
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/audit/export': {
+    get: {
+      tags: ['Auditoría'],
+      summary: 'Exportar el registro de auditoría en CSV',
+      description: 'Mismos filtros que /audit; incluye como máximo las 10000 entradas más recientes. ' +
+        'Requiere el permiso `audit:read`.',
+      security: bearerOrApiKey,
+      parameters: auditFilters,
+      responses: {
+        200: {
+          description: 'Archivo CSV',
+          content: { 'text/csv': { schema: { type: 'string' } } }
+        },
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+
+  // ==================== TECNOLOGÍAS ====================
+  '/technologies': {
+    get: {
+      tags: ['Tecnologías'],
+      summary: 'Listar tecnologías con su uso',
+      description: 'Ordenadas por número de proyectos publicados que las usan.',
+      parameters: [{ name: 'category', in: 'query', schema: { type: 'string', enum: TECHNOLOGY_CATEGORIES } }],
+      responses: {
+        200: success('Tecnologías', {
+          type: 'object',
+          properties: {
+            technologies: {
+              type: 'array',
+              items: {
+                allOf: [
+                  ref('Technology'),
+                  {
+                    type: 'object',
+                    properties: {
+                      aliases: { type: 'array', items: { type: 'string' } },
+                      projectCount: { type: 'integer' }
+                    }
+                  }
+                ]
+              }
+            }
+          }
+        }),
+        400: responses.validation,
+        500: responses.serverError
+      }
+    },
+    post: {
+      tags: ['Tecnologías'],
+      summary: 'Añadir tecnología al catálogo',
+      description: 'Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      requestBody: jsonBody('TechnologyInput'),
+      responses: {
+        201: success('Tecnología creada', { type: 'object', properties: { technology: ref('Technology') } }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        409: errorResponse('El nombre o un alias ya pertenece a otra tecnología'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/technologies/{id}': {
+    parameters: [params.id],
+    patch: {
+      tags: ['Tecnologías'],
+      summary: 'Editar categoría, icono o alias',
+      description: 'El nombre canónico no se puede cambiar. Requiere el permiso `projects:write`.',
+      security: bearerOrApiKey,
+      requestBody: jsonBody('TechnologyUpdateInput'),
+      responses: {
+        200: success('Tecnología actualizada', { type: 'object', properties: { technology: ref('Technology') } }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        404: responses.notFound,
+        409: errorResponse('Un alias ya pertenece a otra tecnología'),
+        500: responses.serverError
+      }
+    }
+  },
+
+  // ==================== ANALÍTICA ====================
+  '/analytics/events': {
+    post: {
+      tags: ['Analítica'],
+      summary: 'Registrar un evento de un proyecto publicado',
+      description: 'Sin cookies ni datos personales: cada visitante se cuenta una vez por día y tipo de evento ' +
+        'mediante un hash de IP y user agent con una sal diaria que no se guarda. ' +
+        'Las peticiones de bots o con `DNT: 1` / `Sec-GPC: 1` se aceptan pero no se cuentan.',
+      requestBody: jsonBody('AnalyticsEventInput'),
+      responses: {
+        202: success('Evento registrado'),
+        400: responses.validation,
+        404: errorResponse('Proyecto no encontrado o no publicado'),
+        429: errorResponse('Demasiados eventos desde esta IP (`ANALYTICS_RATE_LIMIT_PER_MINUTE`)'),
+        500: responses.serverError
+      }
+    }
+  },
+  '/analytics/top': {
+    get: {
+      tags: ['Analítica'],
+      summary: 'Proyectos con más visitantes',
+      description: 'Requiere el permiso `analytics:read`.',
+      security: bearerOrApiKey,
+      parameters: [
+        ...analyticsRangeParams,
+        { name: 'metric', in: 'query', schema: { type: 'string', enum: ANALYTICS_METRICS, default: 'views' } },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 50, default: 10 } }
+      ],
+      responses: {
+        200: success('Ranking de proyectos', {
+          type: 'object',
+          properties: {
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' },
+            metric: { type: 'string', enum: ANALYTICS_METRICS },
+            projects: {
+              type: 'array',
+              items: {
+                allOf: [
+                  {
+                    type: 'object',
+                    properties: {
+                      project: {
+                        type: 'object',
+                        description: 'Puede estar archivado o en la papelera',
+                        properties: {
+                          id: { type: 'string' },
+                          title: { type: 'string' },
+                          slug: { type: 'string' },
+                          status: { type: 'string', enum: PROJECT_STATUSES },
+                          deletedAt: { type: 'string', format: 'date-time', nullable: true }
+                        }
+                      }
+                    }
+                  },
+                  ref('AnalyticsTotals')
+                ]
+              }
+            }
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  },
+  '/analytics/trends': {
+    get: {
+      tags: ['Analítica'],
+      summary: 'Evolución de las métricas por día, semana o mes',
+      description: 'Los periodos sin datos aparecen con 0. Las semanas empiezan en lunes. Requiere el permiso `analytics:read`.',
+      security: bearerOrApiKey,
+      parameters: [
+        ...analyticsRangeParams,
+        { name: 'interval', in: 'query', schema: { type: 'string', enum: ['day', 'week', 'month'], default: 'day' } },
+        { name: 'projectId', in: 'query', description: 'Solo un proyecto (por defecto, todos)', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: success('Serie temporal', {
+          type: 'object',
+          properties: {
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' },
+            interval: { type: 'string', enum: ['day', 'week', 'month'] },
+            projectId: { type: 'string', nullable: true },
+            totals: ref('AnalyticsTotals'),
+            series: {
+              type: 'array',
+              items: {
+                allOf: [
+                  { type: 'object', properties: { date: { type: 'string', format: 'date', description: 'Inicio del periodo' } } },
+                  ref('AnalyticsTotals')
+                ]
+              }
+            }
+          }
+        }),
+        400: responses.validation,
+        401: responses.unauthorized,
+        403: responses.forbidden,
+        500: responses.serverError
+      }
+    }
+  }
+};
+
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'API del Portafolio de Jose Luis Castro',
+    version: '1.0.0',
+    description: 'API REST para proyectos, mensajes de contacto y autenticación JWT del portafolio.'
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Sistema' },
+    { name: 'Autenticación' },
+    { name: 'Proyectos' },
+    { name: 'Contactos' },
+    { name: 'Usuarios' },
+    { name: 'API keys' },
+    { name: 'Auditoría' },
+    { name: 'Tecnologías' },
+    { name: 'Analítica' }
+  ],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT'
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'API key creada en /api-keys. También se acepta `Authorization: ApiKey <clave>`.'
+      }
+    },
+    parameters: {
+      Id: { name: 'id', in: 'path', required: true, schema: { type: 'string', minLength: 1 } },
+      Page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+      Limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } },
+      Search: { name: 'search', in: 'query', schema: { type: 'string', maxLength: 100 } }
+    },
+    schemas
+  }
+};
+
+export default openApiSpec;
@@ -1,13 +1,72 @@
-import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
+import { verifyAccessToken, isSessionActive } from '../utils/jwt.js';
+import { hasPermission, isStaffRole } from '../config/permissions.js';
+import { getApiKeyFromRequest, findActiveApiKey, touchApiKey } from '../utils/apiKeys.js';
 
 const prisma = new PrismaClient();
 
+// Campos del usuario que se cargan en req.user
+const authUserSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  emailVerified: true,
+  twoFactorEnabled: true
+};
+
+const apiKeyErrors = {
+  invalid: 'API key inválida',
+  revoked: 'API key revocada',
+  expired: 'API key expirada'
+};
+
+/**
+ * Autenticar la petición con una API key
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+  const { apiKey, reason } = await findActiveApiKey(key);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: apiKeyErrors[reason]
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: apiKey.userId },
+    select: authUserSelect
+  });
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: 'Usuario inactivo'
+    });
+  }
+
+  await touchApiKey(apiKey);
+
+  req.user = user;
+  req.sessionId = null;
+  req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+  next();
+};
+
 /**
- * Middleware para verificar token JWT
+ * Middleware para verificar token JWT o API key
+ * (Authorization: Bearer <jwt>, Authorization: ApiKey <clave> o X-API-Key: <clave>)
  */
 export const authenticate = async (req, res, next) => {
   try {
+    const apiKey = getApiKeyFromRequest(req);
+
+    if (apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -26,19 +85,13 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Verificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verificar token (firma, expiración, emisor, audiencia y tipo)
+    const decoded = verifyAccessToken(token);
     
     // Buscar usuario en la base de datos
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        isActive: true
-      }
+      where: { id: decoded.sub },
+      select: authUserSelect
     });
 
     if (!user) {
@@ -55,8 +108,17 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Agregar usuario al request
+    // La sesión del token puede haberse cerrado (logout, cierre remoto, cambio de contraseña)
+    if (decoded.sid && !await isSessionActive(decoded.sid, user.id)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sesión cerrada'
+      });
+    }
+
+    // Agregar usuario y sesión actual al request
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     console.error('Error en autenticación:', error);
@@ -83,15 +145,73 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Middleware para verificar rol de administrador
+ * Indica si el usuario debe tener 2FA activo y aún no lo tiene
+ * (REQUIRE_ADMIN_2FA=true obliga a todos los roles con acceso administrativo)
  */
-export const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'ADMIN') {
+export const isTwoFactorRequired = (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' &&
+    isStaffRole(user.role) &&
+    !user.twoFactorEnabled;
+};
+
+/**
+ * Middleware para exigir uno o más permisos (ver config/permissions.js).
+ * Con API key, el permiso debe estar además entre los scopes de la clave.
+ * @param {...string} permissions - Permisos requeridos, p. ej. 'projects:write'
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission =>
+    !hasPermission(req.user.role, permission) ||
+    (req.apiKey && !req.apiKey.scopes.includes(permission))
+  );
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: 'Acceso denegado. No tienes permisos para esta acción',
+      requiredPermissions: missing
+    });
+  }
+
+  if (isTwoFactorRequired(req.user)) {
     return res.status(403).json({
       success: false,
-      error: 'Acceso denegado. Se requieren permisos de administrador'
+      error: 'Debes activar la autenticación de dos factores para usar funciones de administrador',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
     });
   }
+
+  next();
+};
+
+/**
+ * Middleware para rutas de la cuenta que solo admiten sesión de usuario, no API keys
+ * (sesiones, 2FA, gestión de API keys...). Usar después de authenticate.
+ */
+export const requireUserSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Esta acción no está disponible con API key',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware para rutas que exigen email verificado (usar después de authenticate)
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Debes verificar tu email para usar esta función',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
   next();
 };
 
@@ -112,20 +232,14 @@ export const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        isActive: true
-      }
+      where: { id: decoded.sub },
+      select: authUserSelect
     });
 
-    if (user && user.isActive) {
+    if (user && user.isActive && (!decoded.sid || await isSessionActive(decoded.sid, user.id))) {
       req.user = user;
     }
     
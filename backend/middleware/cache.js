@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import {
+  getProjectCacheConfig,
+  getCacheGeneration,
+  getLastInvalidation,
+  getCachedResponse,
+  setCachedResponse,
+  invalidateProjectCache
+} from '../utils/projectCache.js';
+
+/**
+ * Fecha de modificación más reciente de los proyectos de una respuesta
+ * @param {Object} body - Respuesta { success, data: { project } | { projects } }
+ * @returns {Date} Fecha (nunca anterior a la última invalidación de la caché)
+ */
+const lastModifiedOf = (body) => {
+  const projects = body.data.projects || [body.data.project];
+  const times = projects
+    .filter(project => project && project.updatedAt)
+    .map(project => new Date(project.updatedAt).getTime());
+
+  // Un proyecto retirado del listado no cambia el updatedAt de los demás
+  return new Date(Math.max(getLastInvalidation().getTime(), ...times));
+};
+
+/**
+ * Cabeceras de caché de una respuesta: ETag fuerte (updatedAt + huella del contenido),
+ * Last-Modified y Cache-Control con stale-while-revalidate
+ * @param {Object} body - Respuesta
+ * @returns {Object} Cabeceras
+ */
+const cacheHeaders = (body) => {
+  const { maxAge, staleWhileRevalidate } = getProjectCacheConfig();
+  const lastModified = lastModifiedOf(body);
+  const digest = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url').slice(0, 16);
+
+  return {
+    ETag: `"${lastModified.getTime().toString(36)}-${digest}"`,
+    'Last-Modified': lastModified.toUTCString(),
+    'Cache-Control': `public, max-age=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`
+  };
+};
+
+/**
+ * Indica si la petición condicional ya tiene la versión actual (RFC 9110, sección 13.1).
+ * No usa req.fresh de Express, que ignora las condiciones si la petición lleva
+ * Cache-Control: no-cache (fetch lo añade al enviar If-None-Match manualmente).
+ * @param {Object} req - Petición
+ * @param {Object} headers - Cabeceras de caché de la respuesta
+ * @returns {boolean} true si se debe responder 304
+ */
+const isNotModified = (req, headers) => {
+  const noneMatch = req.get('If-None-Match');
+
+  if (noneMatch) {
+    // Comparación débil: W/"x" equivale a "x"
+    const tags = noneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    return tags.includes('*') || tags.includes(headers.ETag);
+  }
+
+  const modifiedSince = Date.parse(req.get('If-Modified-Since'));
+  return !Number.isNaN(modifiedSince) && Date.parse(headers['Last-Modified']) <= modifiedSince;
+};
+
+/**
+ * Responder con las cabeceras de caché, o 304 si el cliente ya tiene esta versión
+ * @param {Object} req - Petición
+ * @param {Object} res - Respuesta
+ * @param {Function} json - res.json original
+ * @param {Object} response - { body, headers }
+ */
+const sendCached = (req, res, json, { body, headers }) => {
+  res.set(headers);
+
+  if (isNotModified(req, headers)) {
+    return res.status(304).end();
+  }
+
+  return json(body);
+};
+
+/**
+ * Middleware de caché para las rutas públicas de proyectos: sirve la respuesta guardada
+ * en memoria y responde 304 a If-None-Match / If-Modified-Since.
+ * Las vistas previas (?preview=true) no se cachean.
+ */
+export const cacheProjectResponse = (req, res, next) => {
+  if (req.query.preview === 'true') {
+    return next();
+  }
+
+  const key = req.originalUrl;
+  const cached = getCachedResponse(key);
+  const json = res.json.bind(res);
+
+  if (cached) {
+    return sendCached(req, res, json, cached);
+  }
+
+  const startGeneration = getCacheGeneration();
+
+  res.json = (body) => {
+    if (res.statusCode !== 200 || !body || !body.success) {
+      return json(body);
+    }
+
+    const response = { body, headers: cacheHeaders(body) };
+    setCachedResponse(key, response, startGeneration);
+    return sendCached(req, res, json, response);
+  };
+
+  next();
+};
+
+/**
+ * Middleware que invalida la caché de proyectos al terminar cualquier petición que no sea
+ * de lectura (también si falla: puede haber cambiado algo antes del error)
+ */
+export const invalidateProjectCacheOnWrite = (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+
+  const end = res.end;
+  res.end = function (...args) {
+    invalidateProjectCache();
+    return end.apply(this, args);
+  };
+
+  next();
+};
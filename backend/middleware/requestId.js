@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+
+// IDs aceptados desde la cabecera X-Request-Id (p. ej. los que genera un proxy)
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware que asigna un ID a cada petición (req.id) y lo devuelve en X-Request-Id
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
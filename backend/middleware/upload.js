@@ -0,0 +1,78 @@
+import multer from 'multer';
+import {
+  VIDEO_MAX_SIZE,
+  VIDEO_ALLOWED_TYPES,
+  ensureVideoStorageDir,
+  getVideoExtension
+} from '../config/storage.js';
+
+// Almacenamiento en disco: multer escribe el archivo por streaming sin cargarlo en memoria
+const videoStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    try {
+      cb(null, ensureVideoStorageDir());
+    } catch (error) {
+      cb(error);
+    }
+  },
+  filename: (req, file, cb) => {
+    const extension = getVideoExtension(file.mimetype, file.originalname);
+    cb(null, `${req.params.id}-${Date.now()}${extension}`);
+  }
+});
+
+const videoUploader = multer({
+  storage: videoStorage,
+  limits: {
+    fileSize: VIDEO_MAX_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!VIDEO_ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Tipo de archivo no permitido. Tipos válidos: ${VIDEO_ALLOWED_TYPES.join(', ')}`);
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('video');
+
+/**
+ * Middleware para subir un video de proyecto (campo multipart "video")
+ */
+export const uploadVideo = (req, res, next) => {
+  videoUploader(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'Se requiere un archivo de video en el campo "video"'
+        });
+      }
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: `El video excede el tamaño máximo permitido de ${Math.round(VIDEO_MAX_SIZE / (1024 * 1024))}MB`
+      });
+    }
+
+    if (error.code === 'INVALID_FILE_TYPE') {
+      return res.status(415).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Error en la subida del archivo'
+      });
+    }
+
+    next(error);
+  });
+};
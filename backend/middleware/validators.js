@@ -1,4 +1,15 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { PERMISSIONS, ROLES } from '../config/permissions.js';
+import { TECHNOLOGY_CATEGORIES } from '../config/technologies.js';
+import { PROJECT_STATUSES } from '../utils/projectPublishing.js';
+import { ANALYTICS_EVENTS, ANALYTICS_METRICS, ANALYTICS_INTERVALS } from '../utils/analytics.js';
+import {
+  PROJECT_LIST,
+  ADMIN_PROJECT_LIST,
+  CONTACT_LIST,
+  parseSort,
+  decodeCursor
+} from '../utils/pagination.js';
 
 /**
  * Middleware para manejar errores de validación
@@ -50,6 +61,80 @@ export const validateLogin = [
   handleValidationErrors
 ];
 
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Debe proporcionar un email válido'),
+  handleValidationErrors
+];
+
+export const validateVerifyEmail = [
+  query('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Token de verificación requerido'),
+  handleValidationErrors
+];
+
+export const validateOAuthExchange = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El código de inicio de sesión es requerido'),
+  handleValidationErrors
+];
+
+export const validateResetPassword = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El token de restablecimiento es requerido'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('La contraseña debe tener al menos 6 caracteres')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('La contraseña debe contener al menos una minúscula, una mayúscula y un número'),
+  handleValidationErrors
+];
+
+// Validadores para autenticación de dos factores
+export const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('El código debe tener 6 dígitos'),
+  handleValidationErrors
+];
+
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('El token de desafío es requerido'),
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El código de verificación o de recuperación es requerido'),
+  handleValidationErrors
+];
+
+export const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('La contraseña es requerida'),
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El código de verificación o de recuperación es requerido'),
+  handleValidationErrors
+];
+
 // Validadores para proyectos
 export const validateProject = [
   body('title')
@@ -96,6 +181,14 @@ export const validateProject = [
     .optional()
     .isInt({ min: 0 })
     .withMessage('El orden debe ser un número entero positivo'),
+  body('status')
+    .optional()
+    .isIn(PROJECT_STATUSES)
+    .withMessage(`El estado debe ser uno de: ${PROJECT_STATUSES.join(', ')}`),
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('publishAt debe ser una fecha válida (ISO 8601)'),
   handleValidationErrors
 ];
 
@@ -147,14 +240,117 @@ export const validateUpdateProject = [
     .optional()
     .isBoolean()
     .withMessage('isFeatured debe ser un valor booleano'),
-  body('isActive')
-    .optional()
-    .isBoolean()
-    .withMessage('isActive debe ser un valor booleano'),
   body('order')
     .optional()
     .isInt({ min: 0 })
     .withMessage('El orden debe ser un número entero positivo'),
+  body('status')
+    .optional()
+    .isIn(PROJECT_STATUSES)
+    .withMessage(`El estado debe ser uno de: ${PROJECT_STATUSES.join(', ')}`),
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('publishAt debe ser una fecha válida (ISO 8601)'),
+  handleValidationErrors
+];
+
+// Reordenar: lista ordenada de IDs (ids) o mover un proyecto (id) antes o después de otro
+export const validateReorder = [
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('ids debe ser un array de entre 1 y 500 IDs')
+    .custom((ids) => {
+      if (ids.some(id => typeof id !== 'string' || id.length === 0)) {
+        throw new Error('Todos los IDs deben ser strings no vacíos');
+      }
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('ids no puede contener IDs repetidos');
+      }
+      return true;
+    }),
+  body('id')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('id debe ser un ID de proyecto'),
+  body('before')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('before debe ser un ID de proyecto'),
+  body('after')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('after debe ser un ID de proyecto'),
+  body()
+    .custom(({ ids, id, before, after }) => {
+      const isMove = id !== undefined && (before !== undefined) !== (after !== undefined);
+
+      if ((ids !== undefined) === (id !== undefined || before !== undefined || after !== undefined)) {
+        throw new Error('Envía ids, o bien id con before o after');
+      }
+      if (ids === undefined && !isMove) {
+        throw new Error('Para mover un proyecto envía id y solo uno de before o after');
+      }
+      if (isMove && (before || after) === id) {
+        throw new Error('Un proyecto no se puede mover respecto a sí mismo');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+// Validadores para tecnologías
+const technologyFields = [
+  body('category')
+    .optional({ values: 'null' })
+    .isIn(TECHNOLOGY_CATEGORIES)
+    .withMessage(`La categoría debe ser una de: ${TECHNOLOGY_CATEGORIES.join(', ')}`),
+  body('icon')
+    .optional({ values: 'null' })
+    .trim()
+    .matches(/^[a-z0-9 -]{1,50}$/)
+    .withMessage('El icono debe ser una clase de Font Awesome (p. ej. "fab fa-node-js")'),
+  body('aliases')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('aliases debe ser un array de hasta 20 elementos')
+    .custom((aliases) => {
+      if (aliases.some(alias => typeof alias !== 'string' || alias.trim().length === 0 || alias.length > 50)) {
+        throw new Error('Cada alias debe ser un string no vacío de hasta 50 caracteres');
+      }
+      return true;
+    })
+];
+
+export const validateTechnology = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El nombre debe tener entre 1 y 50 caracteres')
+    .matches(/[a-zA-Z0-9]/)
+    .withMessage('El nombre debe contener al menos una letra o número'),
+  ...technologyFields,
+  handleValidationErrors
+];
+
+export const validateUpdateTechnology = [
+  param('id')
+    .isString()
+    .notEmpty()
+    .withMessage('ID de la tecnología requerido'),
+  ...technologyFields,
+  handleValidationErrors
+];
+
+export const validateTechnologyFilters = [
+  query('category')
+    .optional()
+    .isIn(TECHNOLOGY_CATEGORIES)
+    .withMessage(`La categoría debe ser una de: ${TECHNOLOGY_CATEGORIES.join(', ')}`),
   handleValidationErrors
 ];
 
@@ -196,6 +392,145 @@ export const validateUpdateContact = [
   handleValidationErrors
 ];
 
+// Validadores para usuarios
+export const validateRoleUpdate = [
+  param('id')
+    .isString()
+    .notEmpty()
+    .withMessage('ID del usuario requerido'),
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`El rol debe ser uno de: ${ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+export const validateUserFilters = [
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`El rol debe ser uno de: ${ROLES.join(', ')}`),
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isActive debe ser true o false'),
+  handleValidationErrors
+];
+
+export const validateUserStatus = [
+  param('id')
+    .isString()
+    .notEmpty()
+    .withMessage('ID del usuario requerido'),
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive debe ser un valor booleano')
+    .toBoolean(true),
+  handleValidationErrors
+];
+
+// Validadores para API keys
+export const validateApiKey = [
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('El nombre debe tener entre 3 y 50 caracteres'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Debe proporcionar al menos un scope')
+    .custom((scopes) => {
+      const invalid = scopes.filter(scope => !Object.prototype.hasOwnProperty.call(PERMISSIONS, scope));
+      if (invalid.length > 0) {
+        throw new Error(`Scopes inválidos: ${invalid.join(', ')}`);
+      }
+      return true;
+    }),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('La fecha de expiración debe ser una fecha ISO 8601')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('La fecha de expiración debe ser futura');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+// Validadores para auditoría
+export const validateAuditFilters = [
+  query('actor')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('El actor no puede exceder 100 caracteres'),
+  query('entityType')
+    .optional()
+    .isIn(['Project', 'Contact', 'User', 'Technology'])
+    .withMessage('El tipo de entidad debe ser Project, Contact, User o Technology'),
+  query('entityId')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('ID de entidad inválido'),
+  query('action')
+    .optional()
+    .matches(/^[a-z_]+\.[a-z_]+$/)
+    .withMessage('Acción inválida (formato entidad.acción)'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Las fechas deben estar en formato ISO 8601'),
+  handleValidationErrors
+];
+
+// Validadores para analítica
+export const validateAnalyticsEvent = [
+  body('projectId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('ID de proyecto inválido'),
+  body('type')
+    .isIn(Object.keys(ANALYTICS_EVENTS))
+    .withMessage(`El tipo de evento debe ser uno de: ${Object.keys(ANALYTICS_EVENTS).join(', ')}`),
+  handleValidationErrors
+];
+
+export const validateAnalyticsReport = [
+  query(['from', 'to'])
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Las fechas deben tener el formato YYYY-MM-DD'),
+  query('to')
+    .custom((value, { req }) => {
+      const from = req.query.from ? Date.parse(req.query.from) : null;
+      const to = value ? Date.parse(value) : Date.now();
+      return from === null || (from <= to && to - from <= 366 * 24 * 60 * 60 * 1000);
+    })
+    .withMessage('from debe ser anterior a to y el rango no puede superar un año'),
+  query('metric')
+    .optional()
+    .isIn(ANALYTICS_METRICS)
+    .withMessage(`La métrica debe ser una de: ${ANALYTICS_METRICS.join(', ')}`),
+  query('interval')
+    .optional()
+    .isIn(ANALYTICS_INTERVALS)
+    .withMessage(`El intervalo debe ser uno de: ${ANALYTICS_INTERVALS.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('El límite debe ser un número entre 1 y 50'),
+  query('projectId')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('ID de proyecto inválido'),
+  handleValidationErrors
+];
+
 // Validadores para parámetros
 export const validateId = [
   param('id')
@@ -205,7 +540,67 @@ export const validateId = [
   handleValidationErrors
 ];
 
+export const validateSlug = [
+  param('slug')
+    .isLength({ max: 100 })
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug inválido'),
+  handleValidationErrors
+];
+
+export const validateRevision = [
+  param('id')
+    .isString()
+    .notEmpty()
+    .withMessage('ID requerido'),
+  param('rev')
+    .isInt({ min: 1 })
+    .withMessage('El número de revisión debe ser un entero positivo')
+    .toInt(),
+  handleValidationErrors
+];
+
+export const validateRevisionDiff = [
+  param('id')
+    .isString()
+    .notEmpty()
+    .withMessage('ID requerido'),
+  query(['from', 'to'])
+    .isInt({ min: 1 })
+    .withMessage('from y to deben ser números de revisión')
+    .toInt(),
+  handleValidationErrors
+];
+
+export const validateSessionId = [
+  param('id')
+    .isUUID()
+    .withMessage('ID de sesión inválido'),
+  handleValidationErrors
+];
+
 // Validadores para queries
+export const validateProjectFilters = [
+  query('tech')
+    .optional()
+    .customSanitizer(value => [].concat(value).flatMap(tech => String(tech).split(',')).map(tech => tech.trim()).filter(Boolean))
+    .isArray({ max: 10 })
+    .withMessage('Se pueden filtrar hasta 10 tecnologías'),
+  handleValidationErrors
+];
+
+export const validateAdminProjectFilters = [
+  query('trashed')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('trashed debe ser true o false'),
+  query('status')
+    .optional()
+    .isIn(PROJECT_STATUSES)
+    .withMessage(`El estado debe ser uno de: ${PROJECT_STATUSES.join(', ')}`),
+  handleValidationErrors
+];
+
 export const validatePagination = [
   query('page')
     .optional()
@@ -221,4 +616,35 @@ export const validatePagination = [
     .isLength({ max: 100 })
     .withMessage('La búsqueda no puede exceder 100 caracteres'),
   handleValidationErrors
-];
\ No newline at end of file
+];
+
+/**
+ * Validadores de ?sort=, ?after=, ?before= y ?count= para un listado
+ * @param {Object} list - Campos de ordenación permitidos y orden por defecto
+ * @returns {Array} Cadena de validadores
+ */
+const listOptionsValidators = (list) => [
+  query('sort')
+    .optional()
+    .custom(value => parseSort(value, list.fields)),
+  query(['after', 'before'])
+    .optional()
+    .custom((value, { req }) => decodeCursor(value, parseSort(req.query.sort || list.defaultSort, list.fields))),
+  query('before')
+    .custom((value, { req }) => !(value && req.query.after))
+    .withMessage('No se pueden usar after y before a la vez'),
+  query('page')
+    .custom((value, { req }) => !(value && (req.query.after || req.query.before)))
+    .withMessage('page no se puede combinar con after o before'),
+  query('count')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('count debe ser true o false'),
+  handleValidationErrors
+];
+
+export const validateProjectListOptions = listOptionsValidators(PROJECT_LIST);
+
+export const validateAdminProjectListOptions = listOptionsValidators(ADMIN_PROJECT_LIST);
+
+export const validateContactListOptions = listOptionsValidators(CONTACT_LIST);
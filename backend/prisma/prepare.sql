@@ -0,0 +1,34 @@
+-- Ajustes de datos existentes que deben aplicarse ANTES de sincronizar el esquema
+-- (`npx prisma db push`), porque el esquema solo no puede expresarlos.
+-- Se aplican con `npm run db:prepare` (init-db lo hace antes de db push). Es idempotente:
+-- cada bloque solo actúa si la base de datos aún tiene la estructura anterior.
+
+-- Verificación de email: las cuentas que ya existían se consideran verificadas.
+-- Con el valor por defecto (false) no podrían configurar 2FA y la limpieza de cuentas
+-- sin verificar las trataría como registros nuevos.
+DO $$
+BEGIN
+  IF to_regclass('users') IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'emailVerified'
+  ) THEN
+    ALTER TABLE users ADD COLUMN "emailVerified" BOOLEAN NOT NULL DEFAULT false;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS "emailVerifiedAt" TIMESTAMP(3);
+    UPDATE users SET "emailVerified" = true, "emailVerifiedAt" = CURRENT_TIMESTAMP;
+  END IF;
+END $$;
+
+-- Refresh tokens con rotación: la tabla guardaba el token en claro (`token`) y ahora guarda
+-- su hash (`tokenHash`) junto a la familia de la sesión (`familyId`), ambos obligatorios.
+-- Los tokens antiguos no pueden convertirse, así que se vacía la tabla y se quita la columna
+-- vieja: todas las sesiones abiertas deberán iniciar sesión de nuevo.
+DO $$
+BEGIN
+  IF to_regclass('refresh_tokens') IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'refresh_tokens' AND column_name = 'tokenHash'
+  ) THEN
+    TRUNCATE TABLE refresh_tokens;
+    ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS token;
+  END IF;
+END $$;
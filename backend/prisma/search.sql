@@ -0,0 +1,71 @@
+-- Búsqueda de texto completo de proyectos y contactos.
+-- Prisma no puede declarar estos objetos en schema.prisma: se aplican con
+-- `npm run db:search` (init-db lo hace tras sincronizar el esquema). Es idempotente.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- Configuraciones español e inglés que ignoran acentos ("análisis" = "analisis")
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'portfolio_es') THEN
+    CREATE TEXT SEARCH CONFIGURATION portfolio_es (COPY = spanish);
+    ALTER TEXT SEARCH CONFIGURATION portfolio_es
+      ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'portfolio_en') THEN
+    CREATE TEXT SEARCH CONFIGURATION portfolio_en (COPY = english);
+    ALTER TEXT SEARCH CONFIGURATION portfolio_en
+      ALTER MAPPING FOR hword, hword_part, word WITH unaccent, english_stem;
+  END IF;
+END
+$$;
+
+-- unaccent() no es IMMUTABLE y no puede usarse directamente en un índice
+CREATE OR REPLACE FUNCTION portfolio_unaccent(value text)
+RETURNS text
+LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+SET search_path FROM CURRENT
+AS $$
+  SELECT unaccent('unaccent'::regdictionary, value)
+$$;
+
+-- Documento de un proyecto: título (A), tecnologías (B) y descripción (C)
+CREATE OR REPLACE FUNCTION project_search_document(title text, description text, technologies text[])
+RETURNS tsvector
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+SET search_path FROM CURRENT
+AS $$
+  SELECT setweight(to_tsvector('portfolio_es', coalesce(title, '')), 'A')
+      || setweight(to_tsvector('portfolio_en', coalesce(title, '')), 'A')
+      || setweight(to_tsvector('simple', portfolio_unaccent(coalesce(array_to_string(technologies, ' '), ''))), 'B')
+      || setweight(to_tsvector('portfolio_es', coalesce(description, '')), 'C')
+      || setweight(to_tsvector('portfolio_en', coalesce(description, '')), 'C')
+$$;
+
+-- Documento de un contacto: nombre y email (A), asunto (B) y mensaje (C)
+CREATE OR REPLACE FUNCTION contact_search_document(name text, email text, subject text, message text)
+RETURNS tsvector
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+SET search_path FROM CURRENT
+AS $$
+  SELECT setweight(to_tsvector('simple', portfolio_unaccent(coalesce(name, '') || ' ' || coalesce(email, ''))), 'A')
+      || setweight(to_tsvector('portfolio_es', coalesce(subject, '')), 'B')
+      || setweight(to_tsvector('portfolio_en', coalesce(subject, '')), 'B')
+      || setweight(to_tsvector('portfolio_es', coalesce(message, '')), 'C')
+      || setweight(to_tsvector('portfolio_en', coalesce(message, '')), 'C')
+$$;
+
+CREATE INDEX IF NOT EXISTS projects_search_idx
+  ON projects USING GIN (project_search_document(title, description, technologies));
+
+-- Trigramas para coincidencias aproximadas (errores de escritura)
+CREATE INDEX IF NOT EXISTS projects_title_trgm_idx
+  ON projects USING GIN (portfolio_unaccent(lower(title)) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS contacts_search_idx
+  ON contacts USING GIN (contact_search_document(name, email, subject, message));
+
+CREATE INDEX IF NOT EXISTS contacts_name_trgm_idx
+  ON contacts USING GIN (portfolio_unaccent(lower(name || ' ' || email)) gin_trgm_ops);
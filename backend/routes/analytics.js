@@ -0,0 +1,171 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { PrismaClient } from '@prisma/client';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validateAnalyticsEvent, validateAnalyticsReport } from '../middleware/validators.js';
+import { publishedProjectWhere } from '../utils/projectPublishing.js';
+import { getRequestContext } from '../utils/userAgent.js';
+import {
+  ANALYTICS_METRICS,
+  shouldIgnoreEvent,
+  recordProjectEvent,
+  getReportRange,
+  buildTrendSeries
+} from '../utils/analytics.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Límite propio de eventos por IP (además del límite general de la API)
+const eventLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.ANALYTICS_RATE_LIMIT_PER_MINUTE) || 30,
+  message: {
+    success: false,
+    error: 'Demasiados eventos desde esta IP, intenta de nuevo más tarde.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Totales de las métricas para groupBy
+const metricsSum = Object.fromEntries(ANALYTICS_METRICS.map(metric => [metric, true]));
+
+/**
+ * @route   POST /api/analytics/events
+ * @desc    Registrar un evento de un proyecto publicado (view, video_play, repo_click).
+ *          Sin cookies: el visitante se identifica con un hash diario de IP y user agent
+ * @access  Public
+ */
+router.post('/events', eventLimiter, validateAnalyticsEvent, async (req, res) => {
+  try {
+    const { projectId, type } = req.body;
+
+    const project = await prisma.project.findFirst({
+      where: { id: projectId, ...publishedProjectWhere },
+      select: { id: true }
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Proyecto no encontrado'
+      });
+    }
+
+    // Bots y navegadores con DNT / Global Privacy Control: se acepta, pero no se cuenta
+    if (!shouldIgnoreEvent(req)) {
+      await recordProjectEvent({ projectId, event: type, ...getRequestContext(req) });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Evento registrado'
+    });
+  } catch (error) {
+    console.error('Error registrando evento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/analytics/top
+ * @desc    Proyectos con más visitantes en un rango (filtros: from, to, metric, limit)
+ * @access  Private (analytics:read)
+ */
+router.get('/top', authenticate, requirePermission('analytics:read'), validateAnalyticsReport, async (req, res) => {
+  try {
+    const { from, to } = getReportRange(req.query);
+    const metric = req.query.metric || 'views';
+    const limit = parseInt(req.query.limit) || 10;
+
+    const rows = await prisma.projectDailyStat.groupBy({
+      by: ['projectId'],
+      where: { date: { gte: from, lte: to } },
+      _sum: metricsSum,
+      orderBy: { _sum: { [metric]: 'desc' } },
+      take: limit
+    });
+
+    const projects = await prisma.project.findMany({
+      where: { id: { in: rows.map(row => row.projectId) } },
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        status: true,
+        deletedAt: true
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: from.toISOString().slice(0, 10),
+        to: to.toISOString().slice(0, 10),
+        metric,
+        projects: rows.map(row => ({
+          project: projects.find(project => project.id === row.projectId),
+          ...Object.fromEntries(ANALYTICS_METRICS.map(name => [name, row._sum[name] || 0]))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo proyectos más vistos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/analytics/trends
+ * @desc    Evolución de las métricas por día, semana o mes (filtros: from, to, interval, projectId)
+ * @access  Private (analytics:read)
+ */
+router.get('/trends', authenticate, requirePermission('analytics:read'), validateAnalyticsReport, async (req, res) => {
+  try {
+    const range = getReportRange(req.query);
+    const interval = req.query.interval || 'day';
+    const { projectId } = req.query;
+
+    const rows = await prisma.projectDailyStat.groupBy({
+      by: ['date'],
+      where: {
+        date: { gte: range.from, lte: range.to },
+        ...(projectId && { projectId })
+      },
+      _sum: metricsSum,
+      orderBy: { date: 'asc' }
+    });
+
+    const series = buildTrendSeries(rows.map(row => ({ date: row.date, ...row._sum })), range, interval);
+
+    res.json({
+      success: true,
+      data: {
+        from: range.from.toISOString().slice(0, 10),
+        to: range.to.toISOString().slice(0, 10),
+        interval,
+        projectId: projectId || null,
+        totals: Object.fromEntries(ANALYTICS_METRICS.map(metric => [
+          metric,
+          series.reduce((sum, point) => sum + point[metric], 0)
+        ])),
+        series
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo tendencias:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+export default router;
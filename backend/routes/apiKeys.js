@@ -0,0 +1,199 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import {
+  authenticate,
+  requirePermission,
+  requireUserSession,
+  isTwoFactorRequired
+} from '../middleware/auth.js';
+import { validateApiKey, validateId, validatePagination } from '../middleware/validators.js';
+import { getRolePermissions, hasPermission } from '../config/permissions.js';
+import { createApiKey, revokeApiKey, apiKeySelect } from '../utils/apiKeys.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Crear una API key con scopes limitados (la clave solo se muestra en esta respuesta)
+ * @access  Private (sesión de usuario)
+ */
+router.post('/', authenticate, requireUserSession, validateApiKey, async (req, res) => {
+  try {
+    const { name, expiresAt } = req.body;
+    const scopes = [...new Set(req.body.scopes)];
+
+    // Una clave nunca puede tener más permisos que el rol de su propietario
+    const rolePermissions = getRolePermissions(req.user.role);
+    const notAllowed = scopes.filter(scope => !rolePermissions.includes(scope));
+
+    if (notAllowed.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'No puedes conceder permisos que tu rol no tiene',
+        requiredPermissions: notAllowed
+      });
+    }
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Debes activar la autenticación de dos factores para crear API keys',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    const { apiKey, key } = await createApiKey(req.user.id, {
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key creada. Guárdala ahora: no se volverá a mostrar',
+      data: {
+        apiKey,
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Error creando API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Listar las API keys del usuario autenticado
+ * @access  Private (sesión de usuario)
+ */
+router.get('/', authenticate, requireUserSession, async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    console.error('Error obteniendo API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/api-keys/admin/all
+ * @desc    Listar las API keys de todos los usuarios (búsqueda por nombre de la clave o email)
+ * @access  Private (users:read)
+ */
+router.get('/admin/all', authenticate, requireUserSession, requirePermission('users:read'), validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const search = req.query.search || '';
+    const skip = (page - 1) * limit;
+
+    const where = {
+      ...(search && {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { user: { email: { contains: search, mode: 'insensitive' } } }
+        ]
+      })
+    };
+
+    const [apiKeys, total] = await Promise.all([
+      prisma.apiKey.findMany({
+        where,
+        select: {
+          ...apiKeySelect,
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.apiKey.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revocar una API key propia (con users:write, cualquier clave)
+ * @access  Private (sesión de usuario)
+ */
+router.delete('/:id', authenticate, requireUserSession, validateId, async (req, res) => {
+  try {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, userId: true }
+    });
+
+    // Las claves de otros usuarios no se revelan sin permiso de administración
+    const canRevoke = apiKey &&
+      (apiKey.userId === req.user.id || hasPermission(req.user.role, 'users:write'));
+
+    if (!canRevoke) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key no encontrada'
+      });
+    }
+
+    const revoked = await revokeApiKey(apiKey.id);
+
+    res.json({
+      success: true,
+      message: revoked ? 'API key revocada' : 'La API key ya estaba revocada'
+    });
+  } catch (error) {
+    console.error('Error revocando API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+export default router;
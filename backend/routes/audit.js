@@ -0,0 +1,118 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validatePagination, validateAuditFilters } from '../middleware/validators.js';
+import { auditLogsToCsv } from '../utils/audit.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Máximo de filas por exportación CSV (las más recientes)
+const EXPORT_MAX_ROWS = 10000;
+
+/**
+ * Construir el filtro de Prisma a partir de la query
+ * (actor: ID exacto o parte del email; to con solo fecha incluye el día completo)
+ */
+const buildAuditWhere = (query) => {
+  const { actor, entityType, entityId, action, from, to } = query;
+
+  let toDate = to ? new Date(to) : null;
+  if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toDate = new Date(toDate.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  return {
+    ...(actor && {
+      OR: [
+        { actorId: actor },
+        { actorEmail: { contains: actor, mode: 'insensitive' } }
+      ]
+    }),
+    ...(entityType && { entityType }),
+    ...(entityId && { entityId }),
+    ...(action && { action }),
+    ...((from || toDate) && {
+      createdAt: {
+        ...(from && { gte: new Date(from) }),
+        ...(toDate && { lte: toDate })
+      }
+    })
+  };
+};
+
+/**
+ * @route   GET /api/audit
+ * @desc    Consultar el registro de auditoría (filtros: actor, entityType, entityId, action, from, to)
+ * @access  Private (audit:read)
+ */
+router.get('/', authenticate, requirePermission('audit:read'), validatePagination, validateAuditFilters, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const where = buildAuditWhere(req.query);
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo registro de auditoría:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Exportar el registro de auditoría en CSV (mismos filtros que GET /api/audit)
+ * @access  Private (audit:read)
+ */
+router.get('/export', authenticate, requirePermission('audit:read'), validateAuditFilters, async (req, res) => {
+  try {
+    const logs = await prisma.auditLog.findMany({
+      where: buildAuditWhere(req.query),
+      orderBy: { createdAt: 'desc' },
+      take: EXPORT_MAX_ROWS
+    });
+
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(auditLogsToCsv(logs));
+  } catch (error) {
+    console.error('Error exportando registro de auditoría:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+export default router;
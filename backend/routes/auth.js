@@ -1,30 +1,147 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
-import { validateRegister, validateLogin } from '../middleware/validators.js';
-import { authenticate } from '../middleware/auth.js';
+import {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateOAuthExchange,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateSessionId,
+  validatePagination,
+  validateId
+} from '../middleware/validators.js';
+import {
+  authenticate,
+  requirePermission,
+  requireVerifiedEmail,
+  requireUserSession,
+  isTwoFactorRequired
+} from '../middleware/auth.js';
+import {
+  generateTokenPair,
+  rotateTokenPair,
+  generateChallengeToken,
+  verifyChallengeToken,
+  verifyRefreshToken,
+  verifyEmailVerificationToken,
+  deleteRefreshToken,
+  deleteAllUserRefreshTokens,
+  listUserSessions,
+  deleteUserSession,
+  deleteOtherUserSessions
+} from '../utils/jwt.js';
+import { hashToken, encryptSecret, decryptSecret } from '../utils/crypto.js';
+import { sendPasswordResetEmail } from '../utils/passwordReset.js';
+import { sendVerificationEmail, getResendWaitSeconds } from '../utils/emailVerification.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from '../utils/totp.js';
+import { describeUserAgent, getRequestContext } from '../utils/userAgent.js';
+import { recordAudit } from '../utils/audit.js';
+import { getRolePermissions } from '../config/permissions.js';
+import { getOAuthProvider, getEnabledOAuthProviders } from '../config/oauth.js';
+import {
+  setStateCookie,
+  stateMatchesCookie,
+  clearStateCookie,
+  createAuthorizationUrl,
+  consumeState,
+  exchangeCode,
+  findOrLinkUser,
+  createLoginTicket,
+  consumeLoginTicket,
+  buildFrontendCallbackUrl
+} from '../utils/oauth.js';
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+} from '../utils/loginProtection.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Hash bcrypt ficticio: comparar contra él cuando la cuenta no existe iguala el tiempo de respuesta
+const DUMMY_PASSWORD_HASH = '$2a$12$pMIc19R5.jbeYJET2Jo/V.Zs6MJth9yvBFSjoznXKPc0csc5HkZ3W';
+
+/**
+ * Responder a un intento de login bloqueado (mismo mensaje exista o no la cuenta)
+ */
+const sendLoginThrottled = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Demasiados intentos de inicio de sesión. Inténtalo de nuevo más tarde',
+    retryAfter
+  });
+};
+
+/**
+ * Eliminar campos sensibles del usuario antes de responder
+ */
+const toPublicUser = (user) => {
+  const {
+    password: _password,
+    twoFactorSecret: _secret,
+    twoFactorLastStep: _lastStep,
+    twoFactorRecoveryCodes: _recoveryCodes,
+    failedLoginAttempts: _failedLoginAttempts,
+    lastFailedLoginAt: _lastFailedLoginAt,
+    lockedUntil: _lockedUntil,
+    emailVerificationSentAt: _emailVerificationSentAt,
+    ...publicUser
+  } = user;
+  return publicUser;
+};
+
 /**
- * Generar tokens JWT
+ * Verificar un segundo factor: código TOTP o código de recuperación de un solo uso
+ * @returns {Object|null} Método usado ('totp' | 'recovery') o null si es inválido
  */
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
-
-  const refreshToken = jwt.sign(
-    { userId },
-    process.env.REFRESH_TOKEN_SECRET,
-    { expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d' }
-  );
-
-  return { accessToken, refreshToken };
+const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorSecret) {
+    return null;
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+
+  if (step !== null) {
+    // Rechazar códigos ya utilizados en el mismo intervalo o anteriores
+    const updated = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { lt: step } }
+        ]
+      },
+      data: { twoFactorLastStep: step }
+    });
+
+    return updated.count > 0 ? { method: 'totp' } : null;
+  }
+
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+
+  // Quitar el código en una sola sentencia: de dos peticiones concurrentes con el mismo código, solo una lo consume
+  const [consumed] = await prisma.$queryRaw`
+    UPDATE users
+    SET "twoFactorRecoveryCodes" = array_remove("twoFactorRecoveryCodes", ${codeHash}),
+        "updatedAt" = NOW()
+    WHERE id = ${user.id} AND ${codeHash} = ANY("twoFactorRecoveryCodes")
+    RETURNING cardinality("twoFactorRecoveryCodes") AS remaining`;
+
+  return consumed ? { method: 'recovery', remainingRecoveryCodes: consumed.remaining } : null;
 };
 
 /**
@@ -65,25 +182,24 @@ router.post('/register', validateRegister, async (req, res) => {
         name: true,
         email: true,
         role: true,
+        emailVerified: true,
         createdAt: true
       }
     });
 
-    // Generar tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    // Un fallo del correo no impide el registro: el usuario puede pedir un reenvío
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error enviando email de verificación:', mailError);
+    }
 
-    // Guardar refresh token en la base de datos
-    await prisma.refreshToken.create({
-      data: {
-        token: refreshToken,
-        userId: user.id,
-        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 días
-      }
-    });
+    // Generar tokens y guardar el refresh token como inicio de una nueva sesión
+    const { accessToken, refreshToken } = await generateTokenPair(user, getRequestContext(req));
 
     res.status(201).json({
       success: true,
-      message: 'Usuario registrado exitosamente',
+      message: 'Usuario registrado exitosamente. Revisa tu correo para verificar tu email',
       data: {
         user,
         accessToken,
@@ -107,20 +223,31 @@ router.post('/register', validateRegister, async (req, res) => {
 router.post('/login', validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const { ipAddress } = getRequestContext(req);
 
     // Buscar usuario
     const user = await prisma.user.findUnique({
       where: { email }
     });
 
-    if (!user) {
+    // Límite por IP, bloqueo de cuenta y retraso progresivo entre fallos
+    const retryAfter = await checkLoginAllowed({ email, ipAddress, user });
+    if (retryAfter > 0) {
+      return sendLoginThrottled(res, retryAfter);
+    }
+
+    // Verificar contraseña (también sin cuenta, para no revelar su existencia por el tiempo de respuesta)
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+    if (!user || !isPasswordValid) {
+      await recordFailedLogin({ email, ipAddress, user });
       return res.status(401).json({
         success: false,
         error: 'Credenciales inválidas'
       });
     }
 
-    // Verificar si el usuario está activo
+    // Verificar si el usuario está activo (solo se informa tras validar la contraseña)
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -128,52 +255,275 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
-    // Verificar contraseña
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // Con 2FA activo, se requiere un segundo paso en /api/auth/login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Se requiere código de autenticación de dos factores',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user)
+        }
+      });
+    }
 
-    if (!isPasswordValid) {
+    // Con 2FA el contador de fallos se reinicia al completar el segundo paso
+    await recordSuccessfulLogin({ email, ipAddress, user });
+
+    const { accessToken, refreshToken } = await generateTokenPair(user, getRequestContext(req));
+
+    res.json({
+      success: true,
+      message: 'Inicio de sesión exitoso',
+      data: {
+        user: toPublicUser(user),
+        accessToken,
+        refreshToken,
+        ...(isTwoFactorRequired(user) && { twoFactorSetupRequired: true })
+      }
+    });
+  } catch (error) {
+    console.error('Error en login:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Completar inicio de sesión con código TOTP o de recuperación
+ * @access  Public
+ */
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded) {
       return res.status(401).json({
         success: false,
-        error: 'Credenciales inválidas'
+        error: 'Desafío de autenticación inválido o expirado'
       });
     }
 
-    // Generar tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
-
-    // Limpiar tokens expirados del usuario
-    await prisma.refreshToken.deleteMany({
-      where: {
-        userId: user.id,
-        expiresAt: {
-          lt: new Date()
-        }
-      }
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.sub }
     });
 
-    // Guardar nuevo refresh token
-    await prisma.refreshToken.create({
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Desafío de autenticación inválido o expirado'
+      });
+    }
+
+    // Los códigos 2FA comparten el contador de fallos y el bloqueo del login
+    const { ipAddress } = getRequestContext(req);
+    const retryAfter = await checkLoginAllowed({ email: user.email, ipAddress, user });
+    if (retryAfter > 0) {
+      return sendLoginThrottled(res, retryAfter);
+    }
+
+    const verification = await verifySecondFactor(user, code);
+
+    if (!verification) {
+      await recordFailedLogin({ email: user.email, ipAddress, user });
+      return res.status(401).json({
+        success: false,
+        error: 'Código de verificación inválido'
+      });
+    }
+
+    await recordSuccessfulLogin({ email: user.email, ipAddress, user });
+
+    const { accessToken, refreshToken } = await generateTokenPair(user, getRequestContext(req));
+
+    res.json({
+      success: true,
+      message: 'Inicio de sesión exitoso',
       data: {
-        token: refreshToken,
-        userId: user.id,
-        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+        user: toPublicUser(user),
+        accessToken,
+        refreshToken,
+        ...(verification.method === 'recovery' && {
+          remainingRecoveryCodes: verification.remainingRecoveryCodes
+        })
       }
     });
+  } catch (error) {
+    console.error('Error en login 2FA:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/oauth/providers
+ * @desc    Listar los proveedores OAuth configurados
+ * @access  Public
+ */
+router.get('/oauth/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: getEnabledOAuthProviders()
+    }
+  });
+});
+
+/**
+ * @route   GET /api/auth/oauth/:provider
+ * @desc    Iniciar el login OAuth2 (redirige al proveedor con state y PKCE)
+ * @access  Public
+ */
+router.get('/oauth/:provider', async (req, res) => {
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: 'Proveedor OAuth no disponible'
+      });
+    }
+
+    const { url, state } = await createAuthorizationUrl(provider);
+
+    setStateCookie(res, state);
+    res.redirect(url);
+  } catch (error) {
+    console.error('Error iniciando login OAuth:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @desc    Callback del proveedor: vincula la cuenta por email verificado y
+ *          redirige al frontend con un código de un solo uso (o un error)
+ * @access  Public
+ */
+router.get('/oauth/:provider/callback', async (req, res) => {
+  const provider = getOAuthProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      error: 'Proveedor OAuth no disponible'
+    });
+  }
+
+  try {
+    const { code, state, error } = req.query;
+
+    // La cookie solo sirve para este callback
+    clearStateCookie(res);
+
+    // El usuario canceló o el proveedor rechazó la autorización
+    if (error) {
+      return res.redirect(buildFrontendCallbackUrl({ error: 'access_denied' }));
+    }
+
+    // Un state ajeno (p. ej. un enlace de callback preparado por otra persona) no se acepta
+    const codeVerifier = typeof code === 'string' && typeof state === 'string' && stateMatchesCookie(req, state)
+      ? await consumeState(provider, state)
+      : null;
+
+    if (!codeVerifier) {
+      return res.redirect(buildFrontendCallbackUrl({ error: 'invalid_state' }));
+    }
+
+    const providerToken = await exchangeCode(provider, code, codeVerifier);
+    const profile = await provider.getProfile(providerToken, provider);
+
+    const { user, error: linkError } = await findOrLinkUser(provider, profile);
+
+    if (!user) {
+      return res.redirect(buildFrontendCallbackUrl({ error: linkError }));
+    }
+
+    if (!user.isActive) {
+      return res.redirect(buildFrontendCallbackUrl({ error: 'account_disabled' }));
+    }
+
+    const ticket = await createLoginTicket(user.id, provider.name);
+
+    res.redirect(buildFrontendCallbackUrl({ code: ticket }));
+  } catch (error) {
+    console.error('Error en callback OAuth:', error);
+    res.redirect(buildFrontendCallbackUrl({ error: 'provider_error' }));
+  }
+});
+
+/**
+ * @route   POST /api/auth/oauth/exchange
+ * @desc    Canjear el código del callback OAuth por el par de tokens (o un desafío 2FA)
+ * @access  Public
+ */
+router.post('/oauth/exchange', validateOAuthExchange, async (req, res) => {
+  try {
+    const userId = await consumeLoginTicket(req.body.code);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Código de inicio de sesión inválido o expirado'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Cuenta desactivada. Contacta al administrador'
+      });
+    }
+
+    // El proveedor externo no sustituye al segundo factor
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Se requiere código de autenticación de dos factores',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user)
+        }
+      });
+    }
 
-    // Respuesta sin contraseña
-    const { password: _, ...userWithoutPassword } = user;
+    const context = getRequestContext(req);
+    await recordSuccessfulLogin({ email: user.email, ipAddress: context.ipAddress, user });
+
+    const { accessToken, refreshToken } = await generateTokenPair(user, context);
 
     res.json({
       success: true,
       message: 'Inicio de sesión exitoso',
       data: {
-        user: userWithoutPassword,
+        user: toPublicUser(user),
         accessToken,
-        refreshToken
+        refreshToken,
+        ...(isTwoFactorRequired(user) && { twoFactorSetupRequired: true })
       }
     });
   } catch (error) {
-    console.error('Error en login:', error);
+    console.error('Error en login OAuth:', error);
     res.status(500).json({
       success: false,
       error: 'Error interno del servidor'
@@ -198,23 +548,11 @@ router.post('/refresh', async (req, res) => {
     }
 
     // Verificar refresh token
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-
-    // Buscar token en la base de datos
-    const storedToken = await prisma.refreshToken.findUnique({
-      where: { token: refreshToken }
-    });
-
-    if (!storedToken || storedToken.expiresAt < new Date()) {
-      return res.status(401).json({
-        success: false,
-        error: 'Refresh token inválido o expirado'
-      });
-    }
+    const decoded = verifyRefreshToken(refreshToken);
 
     // Buscar usuario
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
+      where: { id: decoded.sub },
       select: {
         id: true,
         name: true,
@@ -231,18 +569,29 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Generar nuevo access token
-    const newAccessToken = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    // Rotar: el refresh token presentado queda invalidado y se emite uno nuevo
+    const rotation = await rotateTokenPair(refreshToken, user, getRequestContext(req));
+
+    if (rotation.status === 'reused') {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token reutilizado. Por seguridad, la sesión fue revocada'
+      });
+    }
+
+    if (rotation.status !== 'rotated') {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token inválido o expirado'
+      });
+    }
 
     res.json({
       success: true,
       message: 'Token renovado exitosamente',
       data: {
-        accessToken: newAccessToken,
+        accessToken: rotation.accessToken,
+        refreshToken: rotation.refreshToken,
         user
       }
     });
@@ -260,25 +609,19 @@ router.post('/refresh', async (req, res) => {
  * @desc    Cerrar sesión
  * @access  Private
  */
-router.post('/logout', authenticate, async (req, res) => {
+router.post('/logout', authenticate, requireUserSession, async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
     if (refreshToken) {
-      // Eliminar refresh token específico
-      await prisma.refreshToken.deleteMany({
-        where: {
-          token: refreshToken,
-          userId: req.user.id
-        }
-      });
+      // Eliminar la sesión del refresh token (toda su familia de rotación)
+      await deleteRefreshToken(refreshToken, req.user.id);
+    } else if (req.sessionId) {
+      // Sin refresh token, cerrar la sesión a la que pertenece el access token
+      await deleteUserSession(req.user.id, req.sessionId);
     } else {
-      // Eliminar todos los refresh tokens del usuario
-      await prisma.refreshToken.deleteMany({
-        where: {
-          userId: req.user.id
-        }
-      });
+      // Tokens sin sesión asociada: eliminar todos los refresh tokens del usuario
+      await deleteAllUserRefreshTokens(req.user.id);
     }
 
     res.json({
@@ -295,28 +638,654 @@ router.post('/logout', authenticate, async (req, res) => {
 });
 
 /**
- * @route   GET /api/auth/me
- * @desc    Obtener información del usuario autenticado
+ * @route   GET /api/auth/sessions
+ * @desc    Listar las sesiones activas del usuario
  * @access  Private
  */
-router.get('/me', authenticate, async (req, res) => {
+router.get('/sessions', authenticate, requireUserSession, async (req, res) => {
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        isActive: true,
-        createdAt: true,
-        updatedAt: true
+    const sessions = await listUserSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.familyId,
+          device: describeUserAgent(session.userAgent),
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.sessionStartedAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session.familyId === req.sessionId
+        }))
       }
     });
+  } catch (error) {
+    console.error('Error obteniendo sesiones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/others
+ * @desc    Cerrar todas las sesiones excepto la actual
+ * @access  Private
+ */
+router.delete('/sessions/others', authenticate, requireUserSession, async (req, res) => {
+  try {
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'No se pudo identificar la sesión actual. Inicia sesión de nuevo'
+      });
+    }
+
+    const revoked = await deleteOtherUserSessions(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Se cerraron las demás sesiones',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Error cerrando otras sesiones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Cerrar una sesión concreta
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, requireUserSession, validateSessionId, async (req, res) => {
+  try {
+    const deleted = await deleteUserSession(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sesión no encontrada'
+      });
+    }
 
     res.json({
       success: true,
-      data: { user }
+      message: 'Sesión cerrada exitosamente',
+      data: {
+        current: req.params.id === req.sessionId
+      }
+    });
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/lockouts
+ * @desc    Historial de bloqueos de cuentas por intentos fallidos (?active=true para solo los vigentes)
+ * @access  Private (users:read)
+ */
+router.get('/lockouts', authenticate, requirePermission('users:read'), validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const now = new Date();
+
+    const where = req.query.active === 'true'
+      ? { unlockedAt: null, lockedUntil: { gt: now } }
+      : {};
+
+    const [lockouts, total] = await Promise.all([
+      prisma.accountLockout.findMany({
+        where,
+        include: {
+          user: {
+            select: { id: true, name: true, email: true }
+          },
+          unlockedBy: {
+            select: { id: true, name: true }
+          }
+        },
+        orderBy: { lockedAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.accountLockout.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        lockouts: lockouts.map(lockout => ({
+          ...lockout,
+          active: !lockout.unlockedAt && lockout.lockedUntil > now
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo bloqueos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/lockouts/:id/unlock
+ * @desc    Desbloquear manualmente una cuenta bloqueada
+ * @access  Private (users:write)
+ */
+router.post('/lockouts/:id/unlock', authenticate, requirePermission('users:write'), validateId, async (req, res) => {
+  try {
+    const lockout = await prisma.accountLockout.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bloqueo no encontrado'
+      });
+    }
+
+    if (lockout.unlockedAt || lockout.lockedUntil <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'El bloqueo ya no está activo'
+      });
+    }
+
+    await unlockAccount(lockout.userId, 'ADMIN', req.user.id);
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      entityType: 'User',
+      entityId: lockout.userId,
+      before: { lockedUntil: lockout.lockedUntil },
+      after: { lockedUntil: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Cuenta desbloqueada exitosamente'
+    });
+  } catch (error) {
+    console.error('Error desbloqueando cuenta:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Verificar el email con el token del enlace enviado por correo
+ * @access  Public
+ */
+router.get('/verify-email', validateVerifyEmail, async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.query.token);
+    } catch (error) {
+      decoded = null;
+    }
+
+    const user = decoded && await prisma.user.findUnique({
+      where: { id: decoded.sub },
+      select: { id: true, email: true, emailVerified: true }
+    });
+
+    // El enlace solo vale para la dirección a la que se envió
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Enlace de verificación inválido o expirado'
+      });
+    }
+
+    if (!user.emailVerified) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          emailVerified: true,
+          emailVerifiedAt: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: user.emailVerified ? 'El email ya estaba verificado' : 'Email verificado exitosamente',
+      data: { emailVerified: true }
+    });
+  } catch (error) {
+    console.error('Error verificando email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Reenviar el enlace de verificación de email
+ * @access  Private
+ */
+router.post('/verify-email/resend', authenticate, requireUserSession, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, name: true, email: true, emailVerified: true, emailVerificationSentAt: true }
+    });
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'El email ya está verificado'
+      });
+    }
+
+    const retryAfter = getResendWaitSeconds(user);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Espera antes de solicitar otro enlace de verificación',
+        retryAfter
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Enlace de verificación enviado'
+    });
+  } catch (error) {
+    console.error('Error reenviando verificación de email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Solicitar enlace de restablecimiento de contraseña
+ * @access  Public
+ */
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, name: true, email: true, isActive: true }
+    });
+
+    // Solo se envía el correo si la cuenta existe y está activa
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Respuesta genérica para no revelar si la cuenta existe
+    res.json({
+      success: true,
+      message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+    });
+  } catch (error) {
+    console.error('Error en forgot-password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Restablecer contraseña con token de un solo uso
+ * @access  Public
+ */
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: {
+        user: {
+          select: { id: true, isActive: true }
+        }
+      }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date() || !resetToken.user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token de restablecimiento inválido o expirado'
+      });
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Marcar el token como usado solo si nadie lo consumió antes (un solo uso)
+    const consumed = await prisma.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (consumed.count === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token de restablecimiento inválido o expirado'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: resetToken.userId },
+      data: { password: hashedPassword }
+    });
+
+    // Revocar todas las sesiones abiertas del usuario
+    await deleteAllUserRefreshTokens(resetToken.userId);
+
+    // Quien demuestra el control del correo recupera el acceso aunque la cuenta estuviera bloqueada
+    await unlockAccount(resetToken.userId, 'PASSWORD_RESET');
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña'
+    });
+  } catch (error) {
+    console.error('Error en reset-password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Iniciar el enrolamiento 2FA: generar secreto y URI de aprovisionamiento (QR)
+ * @access  Private (email verificado)
+ */
+router.post('/2fa/setup', authenticate, requireUserSession, requireVerifiedEmail, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'La autenticación de dos factores ya está activada'
+      });
+    }
+
+    const secret = generateTotpSecret();
+
+    // El secreto queda pendiente hasta confirmar un código válido en /2fa/enable
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        twoFactorSecret: encryptSecret(secret),
+        twoFactorLastStep: null
+      }
+    });
+
+    const otpauthUrl = buildOtpauthUrl({
+      secret,
+      accountName: req.user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Portafolio Jose Luis Castro'
+    });
+
+    res.json({
+      success: true,
+      message: 'Escanea el código QR con tu aplicación autenticadora y confirma con un código',
+      data: {
+        secret,
+        otpauthUrl
+      }
+    });
+  } catch (error) {
+    console.error('Error configurando 2FA:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirmar enrolamiento 2FA con un código TOTP y obtener códigos de recuperación
+ * @access  Private
+ */
+router.post('/2fa/enable', authenticate, requireUserSession, validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'La autenticación de dos factores ya está activada'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Primero inicia la configuración en /api/auth/2fa/setup'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Código de verificación inválido'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: recoveryCodes.map(code => hashToken(normalizeRecoveryCode(code)))
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Autenticación de dos factores activada. Guarda los códigos de recuperación en un lugar seguro',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Error activando 2FA:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Desactivar 2FA (requiere contraseña y código)
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticate, requireUserSession, validateDisableTwoFactor, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'La autenticación de dos factores no está activada'
+      });
+    }
+
+    if (isTwoFactorRequired({ ...user, twoFactorEnabled: false })) {
+      return res.status(403).json({
+        success: false,
+        error: 'La autenticación de dos factores es obligatoria para administradores'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const verification = isPasswordValid && await verifySecondFactor(user, code);
+
+    if (!verification) {
+      return res.status(401).json({
+        success: false,
+        error: 'Contraseña o código de verificación inválido'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: []
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Autenticación de dos factores desactivada'
+    });
+  } catch (error) {
+    console.error('Error desactivando 2FA:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerar códigos de recuperación (invalida los anteriores)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', authenticate, requireUserSession, validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'La autenticación de dos factores no está activada'
+      });
+    }
+
+    const verification = await verifySecondFactor(user, req.body.code);
+
+    if (!verification) {
+      return res.status(401).json({
+        success: false,
+        error: 'Código de verificación inválido'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorRecoveryCodes: recoveryCodes.map(code => hashToken(normalizeRecoveryCode(code)))
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Códigos de recuperación regenerados',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Error regenerando códigos de recuperación:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Obtener información del usuario autenticado
+ * @access  Private
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        isActive: true,
+        emailVerified: true,
+        twoFactorEnabled: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          ...user,
+          // Con API key solo se conceden los scopes de la clave
+          permissions: req.apiKey
+            ? getRolePermissions(user.role).filter(permission => req.apiKey.scopes.includes(permission))
+            : getRolePermissions(user.role)
+        },
+        ...(req.apiKey && { apiKey: req.apiKey })
+      }
     });
   } catch (error) {
     console.error('Error obteniendo usuario:', error);
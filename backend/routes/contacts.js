@@ -1,11 +1,21 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { rankSearch, findByRelevance, attachHighlights } from '../utils/search.js';
+import {
+  CONTACT_LIST,
+  parseListOptions,
+  offsetPagination,
+  findPage,
+  setLinkHeader
+} from '../utils/pagination.js';
 import { 
   validateContact, 
   validateUpdateContact, 
   validateId, 
-  validatePagination 
+  validatePagination,
+  validateContactListOptions
 } from '../middleware/validators.js';
 
 const router = express.Router();
@@ -63,58 +73,66 @@ router.post('/', validateContact, async (req, res) => {
 
 /**
  * @route   GET /api/contacts
- * @desc    Obtener todos los mensajes de contacto
- * @access  Private (Admin)
+ * @desc    Obtener todos los mensajes de contacto (con ?search=, por relevancia y con highlights).
+ *          Paginación por ?page= o por cursor (?after= / ?before=), ?sort= y cabecera Link
+ * @access  Private (contacts:read)
  */
-router.get('/', authenticate, requireAdmin, validatePagination, async (req, res) => {
+router.get('/', authenticate, requirePermission('contacts:read'), validatePagination, validateContactListOptions, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const options = parseListOptions(req.query, CONTACT_LIST);
     const search = req.query.search || '';
     const status = req.query.status;
-    const skip = (page - 1) * limit;
+
+    // Texto completo si está instalado (null: búsqueda simple con contains)
+    const ranks = search ? await rankSearch('contact', search) : null;
 
     // Construir filtros
     const where = {
       ...(status && { status }),
-      ...(search && {
+      ...(search && (ranks ? { id: { in: [...ranks.keys()] } } : {
         OR: [
           { name: { contains: search, mode: 'insensitive' } },
           { email: { contains: search, mode: 'insensitive' } },
           { subject: { contains: search, mode: 'insensitive' } },
           { message: { contains: search, mode: 'insensitive' } }
         ]
-      })
+      }))
     };
 
-    // Obtener contactos
-    const [contacts, total] = await Promise.all([
-      prisma.contact.findMany({
-        where,
-        select: {
-          id: true,
-          name: true,
-          email: true,
-          subject: true,
-          message: true,
-          phone: true,
-          status: true,
-          createdAt: true,
-          updatedAt: true,
-          respondedAt: true,
-          adminNotes: true
-        },
-        orderBy: [
-          { status: 'asc' }, // PENDING primero
-          { createdAt: 'desc' }
-        ],
-        skip,
-        take: limit
-      }),
-      prisma.contact.count({ where })
-    ]);
+    const select = {
+      id: true,
+      name: true,
+      email: true,
+      subject: true,
+      message: true,
+      phone: true,
+      status: true,
+      createdAt: true,
+      updatedAt: true,
+      respondedAt: true,
+      adminNotes: true
+    };
 
-    const totalPages = Math.ceil(total / limit);
+    // Obtener contactos: por relevancia si hay búsqueda de texto completo sin ?sort= ni cursor;
+    // si no, según sort (por defecto PENDING primero y los más recientes antes)
+    let contacts;
+    let pagination;
+
+    if (ranks && !options.sorted && !options.cursorMode) {
+      const { items, total } = await findByRelevance('contact', search, ranks, {
+        where,
+        select,
+        skip: options.skip,
+        take: options.limit
+      });
+      contacts = items;
+      pagination = offsetPagination(options, total);
+    } else {
+      ({ items: contacts, pagination } = await findPage(prisma.contact, { where, select, options }));
+      if (ranks) {
+        contacts = await attachHighlights('contact', search, contacts);
+      }
+    }
 
     // Obtener estadísticas
     const stats = await prisma.contact.groupBy({
@@ -129,18 +147,13 @@ router.get('/', authenticate, requireAdmin, validatePagination, async (req, res)
       return acc;
     }, {});
 
+    setLinkHeader(req, res, pagination);
+
     res.json({
       success: true,
       data: {
         contacts,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        },
+        pagination,
         stats: statusStats
       }
     });
@@ -156,9 +169,9 @@ router.get('/', authenticate, requireAdmin, validatePagination, async (req, res)
 /**
  * @route   GET /api/contacts/:id
  * @desc    Obtener un mensaje de contacto por ID
- * @access  Private (Admin)
+ * @access  Private (contacts:read)
  */
-router.get('/:id', authenticate, requireAdmin, validateId, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('contacts:read'), validateId, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -202,9 +215,9 @@ router.get('/:id', authenticate, requireAdmin, validateId, async (req, res) => {
 /**
  * @route   PUT /api/contacts/:id
  * @desc    Actualizar mensaje de contacto (solo admin)
- * @access  Private (Admin)
+ * @access  Private (contacts:write)
  */
-router.put('/:id', authenticate, requireAdmin, validateUpdateContact, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('contacts:write'), validateUpdateContact, async (req, res) => {
   try {
     const { id } = req.params;
     const { status, adminNotes } = req.body;
@@ -254,6 +267,14 @@ router.put('/:id', authenticate, requireAdmin, validateUpdateContact, async (req
       }
     });
 
+    await recordAudit(req, {
+      action: 'contact.update',
+      entityType: 'Contact',
+      entityId: id,
+      before: existingContact,
+      after: contact
+    });
+
     res.json({
       success: true,
       message: 'Mensaje de contacto actualizado exitosamente',
@@ -271,9 +292,9 @@ router.put('/:id', authenticate, requireAdmin, validateUpdateContact, async (req
 /**
  * @route   DELETE /api/contacts/:id
  * @desc    Eliminar mensaje de contacto
- * @access  Private (Admin)
+ * @access  Private (contacts:write)
  */
-router.delete('/:id', authenticate, requireAdmin, validateId, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('contacts:write'), validateId, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -293,6 +314,13 @@ router.delete('/:id', authenticate, requireAdmin, validateId, async (req, res) =
       where: { id }
     });
 
+    await recordAudit(req, {
+      action: 'contact.delete',
+      entityType: 'Contact',
+      entityId: id,
+      before: existingContact
+    });
+
     res.json({
       success: true,
       message: 'Mensaje de contacto eliminado exitosamente'
@@ -309,9 +337,9 @@ router.delete('/:id', authenticate, requireAdmin, validateId, async (req, res) =
 /**
  * @route   PATCH /api/contacts/:id/status
  * @desc    Cambiar estado del mensaje de contacto
- * @access  Private (Admin)
+ * @access  Private (contacts:write)
  */
-router.patch('/:id/status', authenticate, requireAdmin, validateId, async (req, res) => {
+router.patch('/:id/status', authenticate, requirePermission('contacts:write'), validateId, async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -325,7 +353,7 @@ router.patch('/:id/status', authenticate, requireAdmin, validateId, async (req,
 
     const contact = await prisma.contact.findUnique({
       where: { id },
-      select: { id: true, status: true }
+      select: { id: true, status: true, respondedAt: true }
     });
 
     if (!contact) {
@@ -357,6 +385,14 @@ router.patch('/:id/status', authenticate, requireAdmin, validateId, async (req,
       }
     });
 
+    await recordAudit(req, {
+      action: 'contact.status_change',
+      entityType: 'Contact',
+      entityId: id,
+      before: contact,
+      after: { status: updatedContact.status, respondedAt: updatedContact.respondedAt }
+    });
+
     res.json({
       success: true,
       message: `Estado del mensaje cambiado a ${status}`,
@@ -374,9 +410,9 @@ router.patch('/:id/status', authenticate, requireAdmin, validateId, async (req,
 /**
  * @route   GET /api/contacts/stats/summary
  * @desc    Obtener estadísticas de mensajes de contacto
- * @access  Private (Admin)
+ * @access  Private (contacts:read)
  */
-router.get('/stats/summary', authenticate, requireAdmin, async (req, res) => {
+router.get('/stats/summary', authenticate, requirePermission('contacts:read'), async (req, res) => {
   try {
     const [statusStats, recentContacts, monthlyStats] = await Promise.all([
       // Estadísticas por estado
@@ -444,9 +480,9 @@ router.get('/stats/summary', authenticate, requireAdmin, async (req, res) => {
 /**
  * @route   POST /api/contacts/bulk-update
  * @desc    Actualización masiva de mensajes de contacto
- * @access  Private (Admin)
+ * @access  Private (contacts:write)
  */
-router.post('/bulk-update', authenticate, requireAdmin, async (req, res) => {
+router.post('/bulk-update', authenticate, requirePermission('contacts:write'), async (req, res) => {
   try {
     const { contactIds, status, adminNotes } = req.body;
 
@@ -477,6 +513,16 @@ router.post('/bulk-update', authenticate, requireAdmin, async (req, res) => {
       updateData.adminNotes = adminNotes;
     }
 
+    // Estado previo de los mensajes afectados, para la auditoría
+    const previousContacts = await prisma.contact.findMany({
+      where: {
+        id: {
+          in: contactIds
+        }
+      },
+      select: { id: true, status: true, respondedAt: true, adminNotes: true }
+    });
+
     const result = await prisma.contact.updateMany({
       where: {
         id: {
@@ -486,6 +532,14 @@ router.post('/bulk-update', authenticate, requireAdmin, async (req, res) => {
       data: updateData
     });
 
+    await recordAudit(req, previousContacts.map(contact => ({
+      action: 'contact.bulk_update',
+      entityType: 'Contact',
+      entityId: contact.id,
+      before: contact,
+      after: { ...contact, ...updateData }
+    })));
+
     res.json({
       success: true,
       message: `${result.count} mensajes de contacto actualizados exitosamente`,
@@ -0,0 +1,26 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { openApiSpec } from '../docs/openapi.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/docs/openapi.json
+ * @desc    Especificación OpenAPI 3 en formato JSON
+ * @access  Public
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+/**
+ * @route   GET /api/docs
+ * @desc    Documentación interactiva de la API (Swagger UI)
+ * @access  Public
+ */
+router.use('/', swaggerUi.serve);
+router.get('/', swaggerUi.setup(openApiSpec, {
+  customSiteTitle: 'API Docs - Portafolio Jose Luis Castro'
+}));
+
+export default router;
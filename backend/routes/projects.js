@@ -1,54 +1,206 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
-import { authenticate, requireAdmin, optionalAuth } from '../middleware/auth.js';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { authenticate, requirePermission, optionalAuth } from '../middleware/auth.js';
+import { uploadVideo } from '../middleware/upload.js';
+import { cacheProjectResponse, invalidateProjectCacheOnWrite } from '../middleware/cache.js';
+import { resolveVideoPath, removeVideoFile } from '../config/storage.js';
+import { queueVideoProcessing } from '../utils/media.js';
+import { recordAudit } from '../utils/audit.js';
+import { generatePreviewToken } from '../utils/jwt.js';
+import { purgeProject, getTrashRetentionDays } from '../utils/projectTrash.js';
+import { publishedProjectWhere, canPreview, resolvePublication } from '../utils/projectPublishing.js';
+import { generateUniqueSlug, updateProjectSlug } from '../utils/projectSlugs.js';
+import {
+  buildTechnologyData,
+  normalizeTechnologyKey,
+  technologyKeysWhere,
+  technologySelect
+} from '../utils/technologies.js';
+import { rankSearch, findByRelevance, attachHighlights } from '../utils/search.js';
+import {
+  PROJECT_LIST,
+  ADMIN_PROJECT_LIST,
+  parseListOptions,
+  offsetPagination,
+  findPage,
+  setLinkHeader
+} from '../utils/pagination.js';
+import {
+  revisionSelect,
+  pickRevisionFields,
+  diffRevisions,
+  createRevision,
+  recordProjectRevision
+} from '../utils/projectRevisions.js';
 import { 
   validateProject, 
   validateUpdateProject, 
   validateId, 
-  validatePagination 
+  validateSlug,
+  validatePagination,
+  validateProjectListOptions,
+  validateAdminProjectListOptions,
+  validateProjectFilters,
+  validateAdminProjectFilters,
+  validateReorder,
+  validateRevision,
+  validateRevisionDiff
 } from '../middleware/validators.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Cualquier cambio en proyectos invalida la caché de las rutas públicas
+router.use(invalidateProjectCacheOnWrite);
+
+/**
+ * Obtener una página de proyectos: por relevancia si hay búsqueda de texto completo
+ * (ranks de rankSearch) sin ?sort= ni cursor, o según ?sort= en caso contrario
+ * @param {Object} query - { where, select, options, search, ranks } (options: parseListOptions)
+ * @returns {Promise<Object>} { projects, pagination }
+ */
+const findProjectPage = async ({ where, select, options, search, ranks }) => {
+  if (ranks && !options.sorted && !options.cursorMode) {
+    const { items, total } = await findByRelevance('project', search, ranks, {
+      where,
+      select,
+      skip: options.skip,
+      take: options.limit
+    });
+    return { projects: items, pagination: offsetPagination(options, total) };
+  }
+
+  const { items, pagination } = await findPage(prisma.project, { where, select, options });
+  const projects = ranks ? await attachHighlights('project', search, items) : items;
+
+  return { projects, pagination };
+};
+
+// Campos que se pueden editar con PUT /:id; slug, vídeo subido, papelera y autor
+// solo cambian desde sus propias rutas
+const EDITABLE_PROJECT_FIELDS = [
+  'title',
+  'description',
+  'videoUrl',
+  'videoTitle',
+  'repositoryUrl',
+  'technologies',
+  'isFeatured',
+  'order'
+];
+
+/**
+ * Tomar del cuerpo de la petición solo los campos editables que vienen informados
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} Datos para prisma.project.update
+ */
+const pickEditableFields = (body) => Object.fromEntries(
+  EDITABLE_PROJECT_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+/**
+ * Calcular el nuevo orden de los proyectos.
+ * - ids: los proyectos listados ocupan, en ese orden, las posiciones que ya tenían entre todos
+ *   (así se puede reordenar solo una parte, por ejemplo los destacados)
+ * - id con before/after: el proyecto se mueve justo antes o después del indicado
+ * @param {string[]} sequence - IDs en el orden actual
+ * @param {Object} body - { ids } o { id, before, after }
+ * @returns {Object} { sequence, missing } - missing con los IDs que no están en la secuencia
+ */
+const applyReorder = (sequence, { ids, id, before, after }) => {
+  const requested = ids || [id, before || after];
+  const missing = requested.filter(projectId => !sequence.includes(projectId));
+
+  if (missing.length > 0) {
+    return { sequence: null, missing };
+  }
+
+  if (ids) {
+    const listed = new Set(ids);
+    let next = 0;
+    return {
+      sequence: sequence.map(projectId => (listed.has(projectId) ? ids[next++] : projectId)),
+      missing
+    };
+  }
+
+  const rest = sequence.filter(projectId => projectId !== id);
+  const targetIndex = rest.indexOf(before || after);
+  rest.splice(before ? targetIndex : targetIndex + 1, 0, id);
+
+  return { sequence: rest, missing };
+};
+
 /**
  * @route   GET /api/projects
- * @desc    Obtener todos los proyectos (públicos)
+ * @desc    Obtener todos los proyectos (públicos). ?search= ordena por relevancia y devuelve
+ *          highlights; ?tech= (repetible o separado por comas) filtra por tecnologías (todas a la vez);
+ *          facets cuenta los proyectos de cada tecnología. Paginación por ?page= o por cursor
+ *          (?after= / ?before=), ?sort= y cabecera Link. Con ETag y caché en memoria
  * @access  Public
  */
-router.get('/', validatePagination, optionalAuth, async (req, res) => {
+router.get('/', validatePagination, validateProjectListOptions, validateProjectFilters, optionalAuth, cacheProjectResponse, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const options = parseListOptions(req.query, PROJECT_LIST);
     const search = req.query.search || '';
     const featured = req.query.featured === 'true';
-    const skip = (page - 1) * limit;
+    const tech = req.query.tech || [];
+
+    // Cada valor de ?tech= se compara por clave o alias ("node" → Node.js)
+    const techKeys = [...new Set(tech.map(normalizeTechnologyKey).filter(Boolean))];
+    const searchKey = normalizeTechnologyKey(search);
+
+    // Texto completo si está instalado (null: búsqueda simple con contains)
+    const ranks = search ? await rankSearch('project', search) : null;
 
     // Construir filtros
     const where = {
-      isActive: true,
+      ...publishedProjectWhere,
       ...(featured && { isFeatured: true }),
       ...(search && {
         OR: [
-          { title: { contains: search, mode: 'insensitive' } },
-          { description: { contains: search, mode: 'insensitive' } },
-          { technologies: { hasSome: [search] } }
+          ...(ranks ? [{ id: { in: [...ranks.keys()] } }] : [
+            { title: { contains: search, mode: 'insensitive' } },
+            { description: { contains: search, mode: 'insensitive' } },
+            { technologyTags: { some: { name: { contains: search, mode: 'insensitive' } } } }
+          ]),
+          // Los alias de tecnologías ("node") también encuentran el proyecto
+          ...(searchKey ? [{ technologyTags: { some: technologyKeysWhere([searchKey]) } }] : [])
         ]
+      }),
+      ...(techKeys.length > 0 && {
+        AND: techKeys.map(key => ({
+          technologyTags: { some: technologyKeysWhere([key]) }
+        }))
       })
     };
 
     // Obtener proyectos
-    const [projects, total] = await Promise.all([
-      prisma.project.findMany({
+    const [{ projects, pagination }, technologyFacets] = await Promise.all([
+      findProjectPage({
         where,
         select: {
           id: true,
           title: true,
+          slug: true,
           description: true,
           videoUrl: true,
           videoTitle: true,
+          videoFile: true,
+          videoMimeType: true,
+          videoDuration: true,
+          videoWidth: true,
+          videoHeight: true,
+          videoCodec: true,
+          videoPoster: true,
+          mediaStatus: true,
           repositoryUrl: true,
           technologies: true,
+          technologyTags: {
+            select: technologySelect
+          },
           isFeatured: true,
           order: true,
           createdAt: true,
@@ -60,30 +212,36 @@ router.get('/', validatePagination, optionalAuth, async (req, res) => {
             }
           }
         },
-        orderBy: [
-          { isFeatured: 'desc' },
-          { order: 'asc' },
-          { createdAt: 'desc' }
-        ],
-        skip,
-        take: limit
+        options,
+        search,
+        ranks
       }),
-      prisma.project.count({ where })
+      // Facetas: proyectos del resultado actual que usan cada tecnología
+      prisma.technology.findMany({
+        where: { projects: { some: where } },
+        select: {
+          ...technologySelect,
+          _count: {
+            select: {
+              projects: { where }
+            }
+          }
+        },
+        orderBy: { name: 'asc' }
+      })
     ]);
 
-    const totalPages = Math.ceil(total / limit);
+    setLinkHeader(req, res, pagination);
 
     res.json({
       success: true,
       data: {
         projects,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
+        pagination,
+        facets: {
+          technologies: technologyFacets
+            .map(({ _count, ...technology }) => ({ ...technology, count: _count.projects }))
+            .sort((a, b) => b.count - a.count)
         }
       }
     });
@@ -98,26 +256,39 @@ router.get('/', validatePagination, optionalAuth, async (req, res) => {
 
 /**
  * @route   GET /api/projects/featured
- * @desc    Obtener proyectos destacados
+ * @desc    Obtener proyectos destacados (con ETag y caché en memoria)
  * @access  Public
  */
-router.get('/featured', async (req, res) => {
+router.get('/featured', cacheProjectResponse, async (req, res) => {
   try {
     const projects = await prisma.project.findMany({
       where: {
-        isActive: true,
+        ...publishedProjectWhere,
         isFeatured: true
       },
       select: {
         id: true,
         title: true,
+        slug: true,
         description: true,
         videoUrl: true,
         videoTitle: true,
+        videoFile: true,
+        videoMimeType: true,
+        videoDuration: true,
+        videoWidth: true,
+        videoHeight: true,
+        videoCodec: true,
+        videoPoster: true,
+        mediaStatus: true,
         repositoryUrl: true,
         technologies: true,
+        technologyTags: {
+          select: technologySelect
+        },
         order: true,
         createdAt: true,
+        updatedAt: true,
         author: {
           select: {
             id: true,
@@ -144,30 +315,141 @@ router.get('/featured', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/projects/by-slug/:slug
+ * @desc    Obtener un proyecto por slug. Un slug antiguo (título renombrado) redirige con 301 al actual
+ * @access  Public
+ */
+router.get('/by-slug/:slug', validateSlug, optionalAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const preview = canPreview(req);
+    const visibleWhere = preview ? { deletedAt: null } : publishedProjectWhere;
+
+    const project = await prisma.project.findFirst({
+      where: {
+        slug,
+        ...visibleWhere
+      },
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        description: true,
+        videoUrl: true,
+        videoTitle: true,
+        videoFile: true,
+        videoMimeType: true,
+        videoDuration: true,
+        videoWidth: true,
+        videoHeight: true,
+        videoCodec: true,
+        videoPoster: true,
+        mediaStatus: true,
+        repositoryUrl: true,
+        technologies: true,
+        technologyTags: {
+          select: technologySelect
+        },
+        isFeatured: true,
+        order: true,
+        status: true,
+        publishAt: true,
+        createdAt: true,
+        updatedAt: true,
+        author: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      }
+    });
+
+    if (!project) {
+      const redirect = await prisma.projectSlugRedirect.findUnique({
+        where: { slug },
+        select: { projectId: true }
+      });
+
+      // Solo se redirige si el proyecto actual también es visible para quien pregunta
+      const target = redirect && await prisma.project.findFirst({
+        where: {
+          id: redirect.projectId,
+          ...visibleWhere
+        },
+        select: { slug: true }
+      });
+
+      if (target) {
+        const queryIndex = req.originalUrl.indexOf('?');
+        const queryString = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+        return res.redirect(301, `${req.baseUrl}/by-slug/${target.slug}${queryString}`);
+      }
+
+      return res.status(404).json({
+        success: false,
+        error: 'Proyecto no encontrado'
+      });
+    }
+
+    if (preview) {
+      res.set('Cache-Control', 'private, no-store');
+    }
+
+    res.json({
+      success: true,
+      data: { project }
+    });
+  } catch (error) {
+    console.error('Error obteniendo proyecto por slug:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
 /**
  * @route   GET /api/projects/:id
- * @desc    Obtener un proyecto por ID
+ * @desc    Obtener un proyecto por ID (con ?preview=true y projects:read o ?previewToken=, también no publicados).
+ *          Sin vista previa, con ETag y caché en memoria
  * @access  Public
  */
-router.get('/:id', validateId, async (req, res) => {
+router.get('/:id', validateId, optionalAuth, cacheProjectResponse, async (req, res) => {
   try {
     const { id } = req.params;
+    const preview = canPreview(req);
 
     const project = await prisma.project.findFirst({
       where: {
         id,
-        isActive: true
+        ...(preview ? { deletedAt: null } : publishedProjectWhere)
       },
       select: {
         id: true,
         title: true,
+        slug: true,
         description: true,
         videoUrl: true,
         videoTitle: true,
+        videoFile: true,
+        videoMimeType: true,
+        videoDuration: true,
+        videoWidth: true,
+        videoHeight: true,
+        videoCodec: true,
+        videoPoster: true,
+        mediaStatus: true,
         repositoryUrl: true,
         technologies: true,
+        technologyTags: {
+          select: technologySelect
+        },
         isFeatured: true,
         order: true,
+        status: true,
+        publishAt: true,
         createdAt: true,
         updatedAt: true,
         author: {
@@ -186,6 +468,11 @@ router.get('/:id', validateId, async (req, res) => {
       });
     }
 
+    // La vista previa depende del usuario: no debe guardarse en cachés compartidas
+    if (preview) {
+      res.set('Cache-Control', 'private, no-store');
+    }
+
     res.json({
       success: true,
       data: { project }
@@ -202,9 +489,9 @@ router.get('/:id', validateId, async (req, res) => {
 /**
  * @route   POST /api/projects
  * @desc    Crear nuevo proyecto
- * @access  Private (Admin)
+ * @access  Private (projects:write)
  */
-router.post('/', authenticate, requireAdmin, validateProject, async (req, res) => {
+router.post('/', authenticate, requirePermission('projects:write'), validateProject, async (req, res) => {
   try {
     const {
       title,
@@ -214,9 +501,19 @@ router.post('/', authenticate, requireAdmin, validateProject, async (req, res) =
       repositoryUrl,
       technologies,
       isFeatured = false,
-      order = 0
+      order = 0,
+      status = 'PUBLISHED',
+      publishAt
     } = req.body;
 
+    const publication = resolvePublication({ status, publishAt });
+    if (publication.error) {
+      return res.status(400).json({
+        success: false,
+        error: publication.error
+      });
+    }
+
     const project = await prisma.project.create({
       data: {
         title,
@@ -224,22 +521,35 @@ router.post('/', authenticate, requireAdmin, validateProject, async (req, res) =
         videoUrl,
         videoTitle,
         repositoryUrl,
-        technologies,
+        ...await buildTechnologyData(technologies),
         isFeatured,
         order,
+        ...publication.data,
+        slug: await generateUniqueSlug(title),
         authorId: req.user.id
       },
       select: {
         id: true,
         title: true,
+        slug: true,
         description: true,
         videoUrl: true,
         videoTitle: true,
+        videoFile: true,
+        videoMimeType: true,
+        videoDuration: true,
+        videoWidth: true,
+        videoHeight: true,
+        videoCodec: true,
+        videoPoster: true,
+        mediaStatus: true,
         repositoryUrl: true,
         technologies: true,
         isFeatured: true,
         isActive: true,
         order: true,
+        status: true,
+        publishAt: true,
         createdAt: true,
         author: {
           select: {
@@ -250,6 +560,15 @@ router.post('/', authenticate, requireAdmin, validateProject, async (req, res) =
       }
     });
 
+    await createRevision(project, req.user.id);
+
+    await recordAudit(req, {
+      action: 'project.create',
+      entityType: 'Project',
+      entityId: project.id,
+      after: project
+    });
+
     res.status(201).json({
       success: true,
       message: 'Proyecto creado exitosamente',
@@ -267,12 +586,13 @@ router.post('/', authenticate, requireAdmin, validateProject, async (req, res) =
 /**
  * @route   PUT /api/projects/:id
  * @desc    Actualizar proyecto
- * @access  Private (Admin)
+ * @access  Private (projects:write)
  */
-router.put('/:id', authenticate, requireAdmin, validateUpdateProject, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('projects:write'), validateUpdateProject, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { status, publishAt } = req.body;
+    const updateData = pickEditableFields(req.body);
 
     // Verificar que el proyecto existe
     const existingProject = await prisma.project.findUnique({
@@ -286,23 +606,51 @@ router.put('/:id', authenticate, requireAdmin, validateUpdateProject, async (req
       });
     }
 
+    if (existingProject.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'El proyecto está en la papelera. Restáuralo antes de editarlo'
+      });
+    }
+
+    const publication = resolvePublication({ status, publishAt }, existingProject);
+    if (publication.error) {
+      return res.status(400).json({
+        success: false,
+        error: publication.error
+      });
+    }
+
     const project = await prisma.project.update({
       where: { id },
       data: {
         ...updateData,
+        ...(updateData.technologies && await buildTechnologyData(updateData.technologies, { replace: true })),
+        ...publication.data,
         updatedAt: new Date()
       },
       select: {
         id: true,
         title: true,
+        slug: true,
         description: true,
         videoUrl: true,
         videoTitle: true,
+        videoFile: true,
+        videoMimeType: true,
+        videoDuration: true,
+        videoWidth: true,
+        videoHeight: true,
+        videoCodec: true,
+        videoPoster: true,
+        mediaStatus: true,
         repositoryUrl: true,
         technologies: true,
         isFeatured: true,
         isActive: true,
         order: true,
+        status: true,
+        publishAt: true,
         createdAt: true,
         updatedAt: true,
         author: {
@@ -314,6 +662,18 @@ router.put('/:id', authenticate, requireAdmin, validateUpdateProject, async (req
       }
     });
 
+    project.slug = await updateProjectSlug(project);
+
+    await recordProjectRevision(existingProject, project, req.user.id);
+
+    await recordAudit(req, {
+      action: 'project.update',
+      entityType: 'Project',
+      entityId: id,
+      before: existingProject,
+      after: project
+    });
+
     res.json({
       success: true,
       message: 'Proyecto actualizado exitosamente',
@@ -330,10 +690,10 @@ router.put('/:id', authenticate, requireAdmin, validateUpdateProject, async (req
 
 /**
  * @route   DELETE /api/projects/:id
- * @desc    Eliminar proyecto (soft delete)
- * @access  Private (Admin)
+ * @desc    Mover proyecto a la papelera (se purga tras PROJECT_TRASH_RETENTION_DAYS)
+ * @access  Private (projects:write)
  */
-router.delete('/:id', authenticate, requireAdmin, validateId, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('projects:write'), validateId, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -349,18 +709,42 @@ router.delete('/:id', authenticate, requireAdmin, validateId, async (req, res) =
       });
     }
 
-    // Soft delete - marcar como inactivo
-    await prisma.project.update({
+    if (existingProject.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'El proyecto ya está en la papelera'
+      });
+    }
+
+    // Soft delete - marcar como inactivo y mover a la papelera
+    const project = await prisma.project.update({
       where: { id },
       data: {
         isActive: false,
+        deletedAt: new Date(),
+        deletedById: req.user.id,
         updatedAt: new Date()
+      },
+      select: {
+        id: true,
+        isActive: true,
+        deletedAt: true,
+        deletedById: true
       }
     });
 
+    await recordAudit(req, {
+      action: 'project.delete',
+      entityType: 'Project',
+      entityId: id,
+      before: existingProject,
+      after: project
+    });
+
     res.json({
       success: true,
-      message: 'Proyecto eliminado exitosamente'
+      message: `Proyecto movido a la papelera. Se eliminará definitivamente en ${getTrashRetentionDays()} días`,
+      data: { project }
     });
   } catch (error) {
     console.error('Error eliminando proyecto:', error);
@@ -372,46 +756,65 @@ router.delete('/:id', authenticate, requireAdmin, validateId, async (req, res) =
 });
 
 /**
- * @route   PATCH /api/projects/:id/toggle-featured
- * @desc    Alternar estado destacado del proyecto
- * @access  Private (Admin)
+ * @route   POST /api/projects/:id/restore
+ * @desc    Restaurar un proyecto de la papelera
+ * @access  Private (projects:write)
  */
-router.patch('/:id/toggle-featured', authenticate, requireAdmin, validateId, async (req, res) => {
+router.post('/:id/restore', authenticate, requirePermission('projects:write'), validateId, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const project = await prisma.project.findUnique({
+    const existingProject = await prisma.project.findUnique({
       where: { id },
-      select: { id: true, isFeatured: true }
+      select: { id: true, isActive: true, deletedAt: true, deletedById: true }
     });
 
-    if (!project) {
+    if (!existingProject) {
       return res.status(404).json({
         success: false,
         error: 'Proyecto no encontrado'
       });
     }
 
-    const updatedProject = await prisma.project.update({
+    if (!existingProject.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'El proyecto no está en la papelera'
+      });
+    }
+
+    const project = await prisma.project.update({
       where: { id },
       data: {
-        isFeatured: !project.isFeatured,
+        isActive: true,
+        deletedAt: null,
+        deletedById: null,
         updatedAt: new Date()
       },
       select: {
         id: true,
         title: true,
-        isFeatured: true
+        isActive: true,
+        deletedAt: true,
+        deletedById: true
       }
     });
 
+    await recordAudit(req, {
+      action: 'project.restore',
+      entityType: 'Project',
+      entityId: id,
+      before: existingProject,
+      after: project
+    });
+
     res.json({
       success: true,
-      message: `Proyecto ${updatedProject.isFeatured ? 'marcado como destacado' : 'removido de destacados'}`,
-      data: { project: updatedProject }
+      message: 'Proyecto restaurado exitosamente',
+      data: { project }
     });
   } catch (error) {
-    console.error('Error alternando estado destacado:', error);
+    console.error('Error restaurando proyecto:', error);
     res.status(500).json({
       success: false,
       error: 'Error interno del servidor'
@@ -420,58 +823,89 @@ router.patch('/:id/toggle-featured', authenticate, requireAdmin, validateId, asy
 });
 
 /**
- * @route   GET /api/projects/admin/all
- * @desc    Obtener todos los proyectos (incluyendo inactivos) - Solo Admin
- * @access  Private (Admin)
+ * @route   DELETE /api/projects/:id/purge
+ * @desc    Eliminar definitivamente un proyecto de la papelera (incluye su video y portada)
+ * @access  Private (projects:write)
+ */
+router.delete('/:id/purge', authenticate, requirePermission('projects:write'), validateId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingProject = await prisma.project.findUnique({
+      where: { id },
+      select: { id: true, deletedAt: true }
+    });
+
+    if (!existingProject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Proyecto no encontrado'
+      });
+    }
+
+    // Solo se purga desde la papelera, para que un borrado siempre pueda deshacerse primero
+    if (!existingProject.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'El proyecto debe estar en la papelera para eliminarlo definitivamente'
+      });
+    }
+
+    const project = await purgeProject(id);
+
+    await recordAudit(req, {
+      action: 'project.purge',
+      entityType: 'Project',
+      entityId: id,
+      before: project
+    });
+
+    res.json({
+      success: true,
+      message: 'Proyecto eliminado definitivamente'
+    });
+  } catch (error) {
+    console.error('Error purgando proyecto:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/revisions
+ * @desc    Historial de revisiones del contenido del proyecto (más reciente primero)
+ * @access  Private (projects:read)
  */
-router.get('/admin/all', authenticate, requireAdmin, validatePagination, async (req, res) => {
+router.get('/:id/revisions', authenticate, requirePermission('projects:read'), validateId, validatePagination, async (req, res) => {
   try {
+    const { id } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || '';
     const skip = (page - 1) * limit;
 
-    const where = {
-      ...(search && {
-        OR: [
-          { title: { contains: search, mode: 'insensitive' } },
-          { description: { contains: search, mode: 'insensitive' } }
-        ]
-      })
-    };
+    const project = await prisma.project.findUnique({
+      where: { id },
+      select: { id: true }
+    });
 
-    const [projects, total] = await Promise.all([
-      prisma.project.findMany({
-        where,
-        select: {
-          id: true,
-          title: true,
-          description: true,
-          videoUrl: true,
-          videoTitle: true,
-          repositoryUrl: true,
-          technologies: true,
-          isFeatured: true,
-          isActive: true,
-          order: true,
-          createdAt: true,
-          updatedAt: true,
-          author: {
-            select: {
-              id: true,
-              name: true
-            }
-          }
-        },
-        orderBy: [
-          { isFeatured: 'desc' },
-          { order: 'asc' },
-          { createdAt: 'desc' }
-        ],
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Proyecto no encontrado'
+      });
+    }
+
+    const [revisions, total] = await Promise.all([
+      prisma.projectRevision.findMany({
+        where: { projectId: id },
+        select: revisionSelect,
+        orderBy: { revision: 'desc' },
         skip,
         take: limit
       }),
-      prisma.project.count({ where })
+      prisma.projectRevision.count({ where: { projectId: id } })
     ]);
 
     const totalPages = Math.ceil(total / limit);
@@ -479,7 +913,7 @@ router.get('/admin/all', authenticate, requireAdmin, validatePagination, async (
     res.json({
       success: true,
       data: {
-        projects,
+        revisions,
         pagination: {
           page,
           limit,
@@ -490,6 +924,607 @@ router.get('/admin/all', authenticate, requireAdmin, validatePagination, async (
         }
       }
     });
+  } catch (error) {
+    console.error('Error obteniendo revisiones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/revisions/diff?from=&to=
+ * @desc    Diferencias de contenido entre dos revisiones
+ * @access  Private (projects:read)
+ */
+router.get('/:id/revisions/diff', authenticate, requirePermission('projects:read'), validateRevisionDiff, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const revisions = await prisma.projectRevision.findMany({
+      where: {
+        projectId: id,
+        revision: { in: [from, to] }
+      },
+      select: revisionSelect
+    });
+
+    const fromRevision = revisions.find(revision => revision.revision === from);
+    const toRevision = revisions.find(revision => revision.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revisión no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision,
+        to: toRevision,
+        changes: diffRevisions(fromRevision, toRevision)
+      }
+    });
+  } catch (error) {
+    console.error('Error comparando revisiones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/revisions/:rev
+ * @desc    Obtener una revisión
+ * @access  Private (projects:read)
+ */
+router.get('/:id/revisions/:rev', authenticate, requirePermission('projects:read'), validateRevision, async (req, res) => {
+  try {
+    const revision = await prisma.projectRevision.findUnique({
+      where: {
+        projectId_revision: {
+          projectId: req.params.id,
+          revision: req.params.rev
+        }
+      },
+      select: revisionSelect
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revisión no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { revision }
+    });
+  } catch (error) {
+    console.error('Error obteniendo revisión:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:id/revisions/:rev/restore
+ * @desc    Restaurar el contenido de una revisión (se guarda como una revisión nueva)
+ * @access  Private (projects:write)
+ */
+router.post('/:id/revisions/:rev/restore', authenticate, requirePermission('projects:write'), validateRevision, async (req, res) => {
+  try {
+    const { id, rev } = req.params;
+
+    const [existingProject, revision] = await Promise.all([
+      prisma.project.findUnique({
+        where: { id }
+      }),
+      prisma.projectRevision.findUnique({
+        where: {
+          projectId_revision: {
+            projectId: id,
+            revision: rev
+          }
+        }
+      })
+    ]);
+
+    if (!existingProject || !revision) {
+      return res.status(404).json({
+        success: false,
+        error: existingProject ? 'Revisión no encontrada' : 'Proyecto no encontrado'
+      });
+    }
+
+    if (existingProject.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'El proyecto está en la papelera. Restáuralo antes de editarlo'
+      });
+    }
+
+    if (Object.keys(diffRevisions(existingProject, revision)).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'El proyecto ya tiene el contenido de esta revisión'
+      });
+    }
+
+    const project = await prisma.project.update({
+      where: { id },
+      data: {
+        ...pickRevisionFields(revision),
+        ...await buildTechnologyData(revision.technologies, { replace: true }),
+        updatedAt: new Date()
+      },
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        description: true,
+        videoUrl: true,
+        videoTitle: true,
+        repositoryUrl: true,
+        technologies: true,
+        isFeatured: true,
+        isActive: true,
+        updatedAt: true
+      }
+    });
+
+    project.slug = await updateProjectSlug(project);
+
+    const newRevision = await createRevision(project, req.user.id, { restoredFromRevision: rev });
+
+    await recordAudit(req, {
+      action: 'project.revision_restore',
+      entityType: 'Project',
+      entityId: id,
+      before: pickRevisionFields(existingProject),
+      after: pickRevisionFields(project)
+    });
+
+    res.json({
+      success: true,
+      message: `Revisión ${rev} restaurada exitosamente`,
+      data: {
+        project,
+        revision: newRevision
+      }
+    });
+  } catch (error) {
+    console.error('Error restaurando revisión:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/projects/reorder
+ * @desc    Reordenar proyectos: { ids: [...] } o { id, before } / { id, after }.
+ *          Renumera todos los proyectos fuera de la papelera (0, 1, 2...) en una transacción
+ * @access  Private (projects:write)
+ */
+router.patch('/reorder', authenticate, requirePermission('projects:write'), validateReorder, async (req, res) => {
+  try {
+    // Serializable: dos reordenaciones simultáneas no pueden partir del mismo orden
+    const result = await prisma.$transaction(async (tx) => {
+      const projects = await tx.project.findMany({
+        where: { deletedAt: null },
+        select: { id: true, title: true, order: true },
+        orderBy: [
+          { order: 'asc' },
+          { createdAt: 'desc' }
+        ]
+      });
+
+      const { sequence, missing } = applyReorder(projects.map(project => project.id), req.body);
+
+      if (missing.length > 0) {
+        return { missing };
+      }
+
+      const projectsById = new Map(projects.map(project => [project.id, project]));
+      const changes = [];
+
+      for (const [index, projectId] of sequence.entries()) {
+        const project = projectsById.get(projectId);
+
+        if (project.order !== index) {
+          await tx.project.update({
+            where: { id: projectId },
+            data: { order: index, updatedAt: new Date() }
+          });
+          changes.push({ id: projectId, before: project.order, after: index });
+        }
+      }
+
+      return {
+        missing,
+        changes,
+        projects: sequence.map((projectId, index) => ({ ...projectsById.get(projectId), order: index }))
+      };
+    }, {
+      isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+    });
+
+    if (result.missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Proyectos no encontrados o en la papelera',
+        missing: result.missing
+      });
+    }
+
+    await recordAudit(req, result.changes.map(change => ({
+      action: 'project.reorder',
+      entityType: 'Project',
+      entityId: change.id,
+      before: { order: change.before },
+      after: { order: change.after }
+    })));
+
+    res.json({
+      success: true,
+      message: `Proyectos reordenados exitosamente (${result.changes.length} cambios)`,
+      data: { projects: result.projects }
+    });
+  } catch (error) {
+    // P2034: conflicto con otra transacción concurrente
+    if (error.code === 'P2034') {
+      return res.status(409).json({
+        success: false,
+        error: 'El orden cambió mientras se procesaba la petición. Inténtalo de nuevo'
+      });
+    }
+
+    console.error('Error reordenando proyectos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/projects/:id/toggle-featured
+ * @desc    Alternar estado destacado del proyecto
+ * @access  Private (projects:write)
+ */
+router.patch('/:id/toggle-featured', authenticate, requirePermission('projects:write'), validateId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id },
+      select: { id: true, isFeatured: true }
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Proyecto no encontrado'
+      });
+    }
+
+    const updatedProject = await prisma.project.update({
+      where: { id },
+      data: {
+        isFeatured: !project.isFeatured,
+        updatedAt: new Date()
+      },
+      select: {
+        id: true,
+        title: true,
+        isFeatured: true
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'project.toggle_featured',
+      entityType: 'Project',
+      entityId: id,
+      before: project,
+      after: { isFeatured: updatedProject.isFeatured }
+    });
+
+    res.json({
+      success: true,
+      message: `Proyecto ${updatedProject.isFeatured ? 'marcado como destacado' : 'removido de destacados'}`,
+      data: { project: updatedProject }
+    });
+  } catch (error) {
+    console.error('Error alternando estado destacado:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:id/video
+ * @desc    Subir video del proyecto (multipart, campo "video")
+ * @access  Private (projects:write)
+ */
+router.post('/:id/video', authenticate, requirePermission('projects:write'), validateId, uploadVideo, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingProject = await prisma.project.findUnique({
+      where: { id },
+      select: { id: true, videoFile: true, videoPoster: true }
+    });
+
+    if (!existingProject) {
+      await removeVideoFile(req.file.filename);
+      return res.status(404).json({
+        success: false,
+        error: 'Proyecto no encontrado'
+      });
+    }
+
+    const project = await prisma.project.update({
+      where: { id },
+      data: {
+        videoFile: req.file.filename,
+        videoMimeType: req.file.mimetype,
+        videoSize: req.file.size,
+        videoDuration: null,
+        videoWidth: null,
+        videoHeight: null,
+        videoCodec: null,
+        videoPoster: null,
+        mediaStatus: 'PENDING',
+        ...(req.body.videoTitle && { videoTitle: req.body.videoTitle.trim().slice(0, 100) }),
+        updatedAt: new Date()
+      },
+      select: {
+        id: true,
+        title: true,
+        videoTitle: true,
+        videoFile: true,
+        videoMimeType: true,
+        videoDuration: true,
+        videoWidth: true,
+        videoHeight: true,
+        videoCodec: true,
+        videoPoster: true,
+        mediaStatus: true,
+        videoSize: true,
+        updatedAt: true
+      }
+    });
+
+    // Eliminar el video anterior (y su portada) si fue reemplazado
+    if (existingProject.videoFile && existingProject.videoFile !== req.file.filename) {
+      await removeVideoFile(existingProject.videoFile);
+    }
+    if (existingProject.videoPoster) {
+      await removeVideoFile(existingProject.videoPoster);
+    }
+
+    await recordAudit(req, {
+      action: 'project.video_upload',
+      entityType: 'Project',
+      entityId: id,
+      before: existingProject,
+      after: { videoFile: project.videoFile, videoPoster: project.videoPoster }
+    });
+
+    // Extraer metadatos y portada en segundo plano
+    queueVideoProcessing(id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Video subido exitosamente',
+      data: { project }
+    });
+  } catch (error) {
+    console.error('Error subiendo video:', error);
+    if (req.file) {
+      await removeVideoFile(req.file.filename);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/video
+ * @desc    Reproducir video subido del proyecto (soporta HTTP Range; ?preview=true como en GET /:id)
+ * @access  Public
+ */
+router.get('/:id/video', validateId, optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await prisma.project.findFirst({
+      where: {
+        id,
+        ...(canPreview(req) ? { deletedAt: null } : publishedProjectWhere)
+      },
+      select: {
+        videoFile: true,
+        videoMimeType: true
+      }
+    });
+
+    const filePath = project && resolveVideoPath(project.videoFile);
+
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video no encontrado'
+      });
+    }
+
+    // sendFile responde 206 Partial Content a las peticiones con cabecera Range
+    res.sendFile(filePath, {
+      acceptRanges: true,
+      headers: project.videoMimeType ? { 'Content-Type': project.videoMimeType } : {}
+    }, (error) => {
+      if (error && !res.headersSent) {
+        const isMissing = error.code === 'ENOENT' || error.status === 404;
+        res.status(isMissing ? 404 : 500).json({
+          success: false,
+          error: isMissing ? 'Video no encontrado' : 'Error interno del servidor'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error sirviendo video:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/poster
+ * @desc    Obtener imagen de portada generada del video (?preview=true como en GET /:id)
+ * @access  Public
+ */
+router.get('/:id/poster', validateId, optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await prisma.project.findFirst({
+      where: {
+        id,
+        ...(canPreview(req) ? { deletedAt: null } : publishedProjectWhere)
+      },
+      select: { videoPoster: true }
+    });
+
+    const filePath = project && resolveVideoPath(project.videoPoster);
+
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Portada no encontrada'
+      });
+    }
+
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Portada no encontrada'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error sirviendo portada:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/admin/all
+ * @desc    Obtener todos los proyectos (incluyendo inactivos) - Solo Admin.
+ *          trashed=true lista solo la papelera; trashed=false la excluye; status filtra por estado.
+ *          Admite ?sort= (también por status) y cursores como GET /api/projects
+ * @access  Private (projects:read)
+ */
+router.get('/admin/all', authenticate, requirePermission('projects:read'), validatePagination, validateAdminProjectListOptions, validateAdminProjectFilters, async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, ADMIN_PROJECT_LIST);
+    const search = req.query.search || '';
+    const { trashed, status } = req.query;
+
+    const ranks = search ? await rankSearch('project', search) : null;
+
+    const where = {
+      ...(trashed === 'true' && { deletedAt: { not: null } }),
+      ...(trashed === 'false' && { deletedAt: null }),
+      ...(status && { status }),
+      ...(search && (ranks ? { id: { in: [...ranks.keys()] } } : {
+        OR: [
+          { title: { contains: search, mode: 'insensitive' } },
+          { description: { contains: search, mode: 'insensitive' } }
+        ]
+      }))
+    };
+
+    const { projects, pagination } = await findProjectPage({
+      where,
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        description: true,
+        videoUrl: true,
+        videoTitle: true,
+        videoFile: true,
+        videoMimeType: true,
+        videoDuration: true,
+        videoWidth: true,
+        videoHeight: true,
+        videoCodec: true,
+        videoPoster: true,
+        mediaStatus: true,
+        repositoryUrl: true,
+        technologies: true,
+        isFeatured: true,
+        isActive: true,
+        order: true,
+        status: true,
+        publishAt: true,
+        createdAt: true,
+        updatedAt: true,
+        deletedAt: true,
+        author: {
+          select: {
+            id: true,
+            name: true
+          }
+        },
+        deletedBy: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      },
+      options,
+      search,
+      ranks
+    });
+
+    setLinkHeader(req, res, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        // Enlace de vista previa de los no publicados: lleva un token firmado de corta duración,
+        // así funciona al abrirlo en el navegador o compartirlo (sin cabecera Authorization)
+        projects: projects.map(project => ({
+          ...project,
+          previewUrl: project.status !== 'PUBLISHED' && !project.deletedAt
+            ? `/api/projects/${project.id}?preview=true&previewToken=${generatePreviewToken(project.id, req.user)}`
+            : null
+        })),
+        pagination
+      }
+    });
   } catch (error) {
     console.error('Error obteniendo todos los proyectos:', error);
     res.status(500).json({
@@ -0,0 +1,207 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { invalidateProjectCacheOnWrite } from '../middleware/cache.js';
+import {
+  validateTechnology,
+  validateUpdateTechnology,
+  validateTechnologyFilters
+} from '../middleware/validators.js';
+import { recordAudit } from '../utils/audit.js';
+import { publishedProjectWhere } from '../utils/projectPublishing.js';
+import { normalizeTechnologyKey, technologyKeysWhere, technologySelect } from '../utils/technologies.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Los proyectos públicos incluyen las tecnologías: sus cambios invalidan la caché
+router.use(invalidateProjectCacheOnWrite);
+
+/**
+ * Buscar otra tecnología que ya use alguna de las claves (como clave o como alias)
+ * @param {string[]} keys - Claves normalizadas
+ * @param {string|null} excludeId - Tecnología que se está editando
+ * @returns {Promise<Object|null>} Tecnología en conflicto
+ */
+const findKeyConflict = (keys, excludeId = null) => {
+  return prisma.technology.findFirst({
+    where: {
+      ...technologyKeysWhere(keys),
+      ...(excludeId && { id: { not: excludeId } })
+    },
+    select: { id: true, name: true }
+  });
+};
+
+/**
+ * Normalizar una lista de alias (sin repetidos ni la propia clave)
+ * @param {string[]} aliases - Alias recibidos
+ * @param {string} key - Clave de la tecnología
+ * @returns {string[]} Alias normalizados
+ */
+const normalizeAliases = (aliases, key) => {
+  return [...new Set(aliases.map(normalizeTechnologyKey))].filter(alias => alias && alias !== key);
+};
+
+/**
+ * @route   GET /api/technologies
+ * @desc    Listar tecnologías con el número de proyectos publicados que las usan (filtro: category)
+ * @access  Public
+ */
+router.get('/', validateTechnologyFilters, async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    const technologies = await prisma.technology.findMany({
+      where: {
+        ...(category && { category })
+      },
+      select: {
+        ...technologySelect,
+        aliases: true,
+        _count: {
+          select: {
+            projects: { where: publishedProjectWhere }
+          }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    const result = technologies
+      .map(({ _count, ...technology }) => ({ ...technology, projectCount: _count.projects }))
+      .sort((a, b) => b.projectCount - a.projectCount);
+
+    res.json({
+      success: true,
+      data: { technologies: result }
+    });
+  } catch (error) {
+    console.error('Error obteniendo tecnologías:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/technologies
+ * @desc    Añadir una tecnología al catálogo
+ * @access  Private (projects:write)
+ */
+router.post('/', authenticate, requirePermission('projects:write'), validateTechnology, async (req, res) => {
+  try {
+    const { name, category = null, icon = null, aliases = [] } = req.body;
+    const key = normalizeTechnologyKey(name);
+    const normalizedAliases = normalizeAliases(aliases, key);
+
+    const conflict = await findKeyConflict([key, ...normalizedAliases]);
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `El nombre o alguno de los alias ya corresponde a la tecnología "${conflict.name}"`
+      });
+    }
+
+    const technology = await prisma.technology.create({
+      data: {
+        name,
+        key,
+        category,
+        icon,
+        aliases: normalizedAliases
+      },
+      select: { ...technologySelect, aliases: true }
+    });
+
+    await recordAudit(req, {
+      action: 'technology.create',
+      entityType: 'Technology',
+      entityId: technology.id,
+      after: technology
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tecnología creada exitosamente',
+      data: { technology }
+    });
+  } catch (error) {
+    console.error('Error creando tecnología:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/technologies/:id
+ * @desc    Editar categoría, icono o alias de una tecnología (el nombre canónico no cambia)
+ * @access  Private (projects:write)
+ */
+router.patch('/:id', authenticate, requirePermission('projects:write'), validateUpdateTechnology, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { category, icon, aliases } = req.body;
+
+    const existingTechnology = await prisma.technology.findUnique({
+      where: { id },
+      select: { ...technologySelect, aliases: true }
+    });
+
+    if (!existingTechnology) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tecnología no encontrada'
+      });
+    }
+
+    const normalizedAliases = aliases && normalizeAliases(aliases, existingTechnology.key);
+
+    if (normalizedAliases && normalizedAliases.length > 0) {
+      const conflict = await findKeyConflict(normalizedAliases, id);
+
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          error: `Alguno de los alias ya corresponde a la tecnología "${conflict.name}"`
+        });
+      }
+    }
+
+    const technology = await prisma.technology.update({
+      where: { id },
+      data: {
+        ...(category !== undefined && { category }),
+        ...(icon !== undefined && { icon }),
+        ...(normalizedAliases && { aliases: normalizedAliases })
+      },
+      select: { ...technologySelect, aliases: true }
+    });
+
+    await recordAudit(req, {
+      action: 'technology.update',
+      entityType: 'Technology',
+      entityId: id,
+      before: existingTechnology,
+      after: technology
+    });
+
+    res.json({
+      success: true,
+      message: 'Tecnología actualizada exitosamente',
+      data: { technology }
+    });
+  } catch (error) {
+    console.error('Error actualizando tecnología:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,480 @@
+import express from 'express';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import {
+  validatePagination,
+  validateId,
+  validateRoleUpdate,
+  validateUserFilters,
+  validateUserStatus
+} from '../middleware/validators.js';
+import { PERMISSIONS, ROLE_PERMISSIONS } from '../config/permissions.js';
+import { deleteAllUserRefreshTokens } from '../utils/jwt.js';
+import { sendPasswordResetEmail } from '../utils/passwordReset.js';
+import { recordAudit } from '../utils/audit.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Campos de usuario expuestos en la administración (nunca contraseña ni secretos 2FA)
+const userSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  isActive: true,
+  emailVerified: true,
+  twoFactorEnabled: true,
+  lockedUntil: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: {
+    select: { projects: true }
+  }
+};
+
+/**
+ * Aplicar un cambio que deja al usuario sin rol ADMIN activo, salvo que sea el último
+ * administrador activo (no se le puede quitar el rol, desactivar ni eliminar).
+ * Serializable: si dos administradores se degradan a la vez, solo una transacción
+ * termina y la otra falla con P2034 (ver lastAdminConflict)
+ * @param {string} id - ID del usuario
+ * @param {Function} write - Escritura a aplicar: (tx) => Promise
+ * @returns {Promise<Object>} { lastAdmin, result } - lastAdmin es true si no se aplicó el cambio
+ */
+const unlessLastActiveAdmin = (id, write) => {
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.findUnique({
+      where: { id },
+      select: { role: true, isActive: true }
+    });
+
+    if (user && user.role === 'ADMIN' && user.isActive) {
+      const activeAdmins = await tx.user.count({
+        where: { role: 'ADMIN', isActive: true }
+      });
+
+      if (activeAdmins <= 1) {
+        return { lastAdmin: true, result: null };
+      }
+    }
+
+    return { lastAdmin: false, result: await write(tx) };
+  }, {
+    isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+  });
+};
+
+/**
+ * Responder 409 si la transacción chocó con otro cambio de usuarios simultáneo
+ * @param {Object} res - Respuesta
+ * @param {Error} error - Error capturado
+ * @returns {boolean} true si ya se respondió
+ */
+const lastAdminConflict = (res, error) => {
+  // P2034: conflicto con otra transacción concurrente
+  if (error.code !== 'P2034') {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: 'Otro cambio de usuarios se procesó a la vez. Inténtalo de nuevo'
+  });
+  return true;
+};
+
+/**
+ * @route   GET /api/users
+ * @desc    Listar usuarios con paginación, búsqueda y filtros (role, isActive)
+ * @access  Private (users:read)
+ */
+router.get('/', authenticate, requirePermission('users:read'), validatePagination, validateUserFilters, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const search = req.query.search || '';
+    const { role, isActive } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Construir filtros
+    const where = {
+      ...(role && { role }),
+      ...(isActive !== undefined && { isActive: isActive === 'true' }),
+      ...(search && {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { email: { contains: search, mode: 'insensitive' } }
+        ]
+      })
+    };
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: userSelect,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo usuarios:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/roles
+ * @desc    Listar roles disponibles y sus permisos
+ * @access  Private (users:read)
+ */
+router.get('/roles', authenticate, requirePermission('users:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({
+        role,
+        permissions
+      })),
+      permissions: Object.entries(PERMISSIONS).map(([permission, description]) => ({
+        permission,
+        description
+      }))
+    }
+  });
+});
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Obtener un usuario por ID
+ * @access  Private (users:read)
+ */
+router.get('/:id', authenticate, requirePermission('users:read'), validateId, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: userSelect
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          ...user,
+          permissions: ROLE_PERMISSIONS[user.role]
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo usuario:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/users/:id/role
+ * @desc    Asignar un rol a un usuario
+ * @access  Private (users:write)
+ */
+router.patch('/:id/role', authenticate, requirePermission('users:write'), validateRoleUpdate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, role: true, isActive: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const updateRole = (client) => client.user.update({
+      where: { id },
+      data: { role },
+      select: userSelect
+    });
+
+    // No dejar el sistema sin ningún administrador activo
+    const { lastAdmin, result: updatedUser } = role === 'ADMIN'
+      ? { lastAdmin: false, result: await updateRole(prisma) }
+      : await unlessLastActiveAdmin(id, updateRole);
+
+    if (lastAdmin) {
+      return res.status(400).json({
+        success: false,
+        error: 'No se puede cambiar el rol del último administrador activo'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      entityType: 'User',
+      entityId: id,
+      before: user,
+      after: { role: updatedUser.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Rol actualizado exitosamente',
+      data: {
+        user: {
+          ...updatedUser,
+          permissions: ROLE_PERMISSIONS[updatedUser.role]
+        }
+      }
+    });
+  } catch (error) {
+    if (lastAdminConflict(res, error)) {
+      return;
+    }
+
+    console.error('Error actualizando rol:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/users/:id/status
+ * @desc    Activar o desactivar un usuario (desactivar cierra todas sus sesiones)
+ * @access  Private (users:write)
+ */
+router.patch('/:id/status', authenticate, requirePermission('users:write'), validateUserStatus, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, role: true, isActive: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!isActive) {
+      if (user.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'No puedes desactivar tu propia cuenta'
+        });
+      }
+    }
+
+    const updateStatus = (client) => client.user.update({
+      where: { id },
+      data: { isActive },
+      select: userSelect
+    });
+
+    const { lastAdmin, result: updatedUser } = isActive
+      ? { lastAdmin: false, result: await updateStatus(prisma) }
+      : await unlessLastActiveAdmin(id, updateStatus);
+
+    if (lastAdmin) {
+      return res.status(400).json({
+        success: false,
+        error: 'No se puede desactivar al último administrador activo'
+      });
+    }
+
+    // authenticate ya rechaza usuarios inactivos; además se revocan sus refresh tokens
+    if (!isActive) {
+      await deleteAllUserRefreshTokens(id);
+    }
+
+    await recordAudit(req, {
+      action: 'user.status_change',
+      entityType: 'User',
+      entityId: id,
+      before: user,
+      after: { isActive: updatedUser.isActive }
+    });
+
+    res.json({
+      success: true,
+      message: isActive ? 'Usuario activado exitosamente' : 'Usuario desactivado y sesiones revocadas',
+      data: { user: updatedUser }
+    });
+  } catch (error) {
+    if (lastAdminConflict(res, error)) {
+      return;
+    }
+
+    console.error('Error actualizando estado del usuario:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/users/:id/password-reset
+ * @desc    Enviar al usuario un enlace para restablecer su contraseña
+ * @access  Private (users:write)
+ */
+router.post('/:id/password-reset', authenticate, requirePermission('users:write'), validateId, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, name: true, email: true, isActive: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    // reset-password rechaza los tokens de cuentas inactivas
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'El usuario está desactivado. Actívalo antes de restablecer su contraseña'
+      });
+    }
+
+    await sendPasswordResetEmail(user, { requestedByAdmin: true });
+
+    await recordAudit(req, {
+      action: 'user.password_reset',
+      entityType: 'User',
+      entityId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: `Enlace de restablecimiento enviado a ${user.email}`
+    });
+  } catch (error) {
+    console.error('Error iniciando restablecimiento de contraseña:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Eliminar un usuario
+ * @access  Private (users:write)
+ */
+router.delete('/:id', authenticate, requirePermission('users:write'), validateId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        role: true,
+        isActive: true,
+        _count: { select: { projects: true } }
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'No puedes eliminar tu propia cuenta'
+      });
+    }
+
+    // Los proyectos se eliminan en cascada con su autor: se exige desactivar en su lugar
+    if (user._count.projects > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'El usuario es autor de proyectos. Desactívalo en lugar de eliminarlo'
+      });
+    }
+
+    const { lastAdmin } = await unlessLastActiveAdmin(id, (tx) => tx.user.delete({
+      where: { id }
+    }));
+
+    if (lastAdmin) {
+      return res.status(400).json({
+        success: false,
+        error: 'No se puede eliminar al último administrador activo'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      entityType: 'User',
+      entityId: id,
+      before: user
+    });
+
+    res.json({
+      success: true,
+      message: 'Usuario eliminado exitosamente'
+    });
+  } catch (error) {
+    if (lastAdminConflict(res, error)) {
+      return;
+    }
+
+    console.error('Error eliminando usuario:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+export default router;
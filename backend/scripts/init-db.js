@@ -6,6 +6,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { connectDatabase, seedDatabase, checkDatabaseHealth } from '../config/database.js';
+import { backfillProjectSlugs } from '../utils/projectSlugs.js';
+import { seedTechnologyCatalog, backfillProjectTechnologies } from '../utils/technologies.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -74,6 +76,21 @@ const generatePrismaClient = () => {
   }
 };
 
+/**
+ * Ajustar los datos existentes antes de sincronizar el esquema (prisma/prepare.sql)
+ */
+const prepareExistingData = () => {
+  try {
+    console.log('🔄 Preparando datos existentes...');
+    execSync('npx prisma db execute --file prisma/prepare.sql --schema prisma/schema.prisma', { stdio: 'inherit' });
+    console.log('✅ Datos existentes preparados');
+    return true;
+  } catch (error) {
+    console.error('❌ Error preparando datos existentes:', error.message);
+    return false;
+  }
+};
+
 /**
  * Ejecutar migraciones de base de datos
  */
@@ -97,6 +114,22 @@ const runMigrations = () => {
   }
 };
 
+/**
+ * Instalar la búsqueda de texto completo (prisma/search.sql).
+ * Se repite tras cada db push, que elimina los índices que no están en el esquema.
+ */
+const installSearch = () => {
+  try {
+    console.log('🔎 Instalando búsqueda de texto completo...');
+    execSync('npx prisma db execute --file prisma/search.sql --schema prisma/schema.prisma', { stdio: 'inherit' });
+    console.log('✅ Búsqueda de texto completo instalada');
+    return true;
+  } catch (error) {
+    console.error('❌ Error instalando la búsqueda de texto completo:', error.message);
+    return false;
+  }
+};
+
 /**
  * Verificar conexión a la base de datos
  */
@@ -123,6 +156,35 @@ const testDatabaseConnection = async () => {
   }
 };
 
+/**
+ * Generar el slug de los proyectos que aún no lo tienen
+ */
+const generateMissingSlugs = async () => {
+  try {
+    console.log('🔄 Generando slugs de proyectos...');
+    await backfillProjectSlugs();
+    return true;
+  } catch (error) {
+    console.error('❌ Error generando slugs:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Crear el catálogo de tecnologías y vincular los proyectos existentes
+ */
+const syncTechnologies = async () => {
+  try {
+    console.log('🔄 Sincronizando catálogo de tecnologías...');
+    await seedTechnologyCatalog();
+    await backfillProjectTechnologies();
+    return true;
+  } catch (error) {
+    console.error('❌ Error sincronizando tecnologías:', error.message);
+    return false;
+  }
+};
+
 /**
  * Sembrar datos iniciales
  */
@@ -160,17 +222,37 @@ const initializeDatabase = async () => {
     process.exit(1);
   }
 
-  // 4. Ejecutar migraciones
+  // 4. Ajustar datos existentes (debe ir antes de sincronizar el esquema)
+  if (!prepareExistingData()) {
+    process.exit(1);
+  }
+
+  // 5. Ejecutar migraciones
   if (!runMigrations()) {
     process.exit(1);
   }
 
-  // 5. Verificar conexión
+  // 6. Búsqueda de texto completo (sin ella se usa la búsqueda simple)
+  if (!installSearch()) {
+    console.error('⚠️  Error instalando la búsqueda, se usará la búsqueda simple');
+  }
+
+  // 7. Verificar conexión
   if (!await testDatabaseConnection()) {
     process.exit(1);
   }
 
-  // 6. Sembrar datos iniciales (opcional)
+  // 8. Generar slugs de proyectos existentes
+  if (!await generateMissingSlugs()) {
+    console.error('⚠️  Error generando slugs, pero la base de datos está lista');
+  }
+
+  // 9. Catálogo de tecnologías
+  if (!await syncTechnologies()) {
+    console.error('⚠️  Error sincronizando tecnologías, pero la base de datos está lista');
+  }
+
+  // 10. Sembrar datos iniciales (opcional)
   const shouldSeed = process.argv.includes('--seed') || process.env.SEED_DATABASE === 'true';
   if (shouldSeed) {
     if (!await seedInitialData()) {
@@ -11,17 +11,41 @@ import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import projectRoutes from './routes/projects.js';
 import contactRoutes from './routes/contacts.js';
+import userRoutes from './routes/users.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import auditRoutes from './routes/audit.js';
+import technologyRoutes from './routes/technologies.js';
+import analyticsRoutes from './routes/analytics.js';
+import docsRoutes from './routes/docs.js';
 
 // Importar middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
+import { requestId } from './middleware/requestId.js';
 
 // Configurar variables de entorno
 dotenv.config();
 
+// Sin ENCRYPTION_KEY no se pueden leer los secretos 2FA ni los verificadores OAuth guardados
+if (!process.env.ENCRYPTION_KEY) {
+  console.error('❌ ENCRYPTION_KEY es requerido para cifrar los secretos de 2FA y OAuth');
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Detrás de un proxy inverso (Nginx, Vercel, etc.) req.ip debe salir de X-Forwarded-For
+// TRUST_PROXY acepta true, un número de saltos o una lista de IPs/subredes
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  }
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
@@ -56,10 +80,12 @@ app.use(cors({
     : ['http://localhost:8000', 'http://127.0.0.1:8000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Range', 'If-None-Match', 'If-Modified-Since'],
+  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'X-Request-Id', 'Link', 'ETag']
 }));
 
 // Middleware general
+app.use(requestId);
 app.use(compression());
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
@@ -80,6 +106,12 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/contacts', contactRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/technologies', technologyRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/docs', docsRoutes);
 
 // Ruta raíz
 app.get('/', (req, res) => {
@@ -91,6 +123,11 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       projects: '/api/projects',
       contacts: '/api/contacts',
+      users: '/api/users',
+      apiKeys: '/api/api-keys',
+      audit: '/api/audit',
+      technologies: '/api/technologies',
+      analytics: '/api/analytics',
       health: '/api/health'
     }
   });
@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Tipos de evento aceptados en POST /api/analytics/events y su contador diario
+export const ANALYTICS_EVENTS = {
+  view: { type: 'VIEW', field: 'views' },
+  video_play: { type: 'VIDEO_PLAY', field: 'videoPlays' },
+  repo_click: { type: 'REPO_CLICK', field: 'repoClicks' }
+};
+
+export const ANALYTICS_METRICS = ['views', 'videoPlays', 'repoClicks'];
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Clientes automáticos que no cuentan como visitantes
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|headless|preview|monitor/i;
+
+// Sal del día ya leída de la base de datos (se guarda en AnalyticsSalt para sobrevivir a reinicios)
+let dailySalt = { day: null, value: null };
+
+/**
+ * Día en UTC de una fecha (medianoche), como se guarda en las columnas @db.Date
+ * @param {Date} [date] - Fecha (por defecto, ahora)
+ * @returns {Date} Medianoche UTC
+ */
+export const startOfUtcDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Obtener la sal aleatoria de un día: la crea la primera petición del día y las demás
+ * (también tras un reinicio) reutilizan la guardada. Al cambiar de día los hashes
+ * anteriores dejan de poder relacionarse.
+ * @param {Date} day - Día (startOfUtcDay)
+ * @returns {Promise<string>} Sal en hexadecimal
+ */
+const getDailySalt = async (day) => {
+  const key = day.toISOString();
+
+  if (dailySalt.day === key) {
+    return dailySalt.value;
+  }
+
+  const upsertSalt = () => prisma.analyticsSalt.upsert({
+    where: { date: day },
+    create: { date: day, value: crypto.randomBytes(32).toString('hex') },
+    update: {}
+  });
+
+  let salt;
+  try {
+    salt = await upsertSalt();
+  } catch (error) {
+    // Dos procesos pueden crear la sal a la vez: el segundo lee la del primero
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+    salt = await upsertSalt();
+  }
+
+  dailySalt = { day: key, value: salt.value };
+  return salt.value;
+};
+
+/**
+ * Identificador anónimo del visitante para el día: hash de IP y user agent con la sal diaria.
+ * La IP no se guarda en ningún sitio.
+ * @param {string|null} ipAddress - IP del cliente
+ * @param {string|null} userAgent - User agent
+ * @param {Date} day - Día (startOfUtcDay)
+ * @returns {Promise<string>} Hash en hexadecimal
+ */
+const hashVisitor = async (ipAddress, userAgent, day) => {
+  const salt = await getDailySalt(day);
+
+  return crypto
+    .createHash('sha256')
+    .update(`${salt}:${ipAddress || ''}:${userAgent || ''}`)
+    .digest('hex');
+};
+
+/**
+ * Indica si no se debe contar la petición: bots o navegadores que piden no ser rastreados
+ * (DNT o Global Privacy Control)
+ * @param {Object} req - Petición
+ * @returns {boolean} true si el evento se debe ignorar
+ */
+export const shouldIgnoreEvent = (req) => {
+  return BOT_USER_AGENT.test(req.get('user-agent') || '') ||
+    req.get('dnt') === '1' ||
+    req.get('sec-gpc') === '1';
+};
+
+/**
+ * Registrar un evento de un proyecto. Cada visitante cuenta una vez por día y tipo de evento.
+ * @param {Object} event - { projectId, event ('view', 'video_play' o 'repo_click'), ipAddress, userAgent }
+ * @returns {Promise<boolean>} true si se sumó al contador (false si el visitante ya lo había hecho hoy)
+ */
+export const recordProjectEvent = async ({ projectId, event, ipAddress, userAgent }) => {
+  const { type, field } = ANALYTICS_EVENTS[event];
+  const date = startOfUtcDay();
+
+  const { count } = await prisma.analyticsVisit.createMany({
+    data: [{ projectId, date, type, visitorHash: await hashVisitor(ipAddress, userAgent, date) }],
+    skipDuplicates: true
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  const increment = () => prisma.projectDailyStat.upsert({
+    where: { projectId_date: { projectId, date } },
+    create: { projectId, date, [field]: 1 },
+    update: { [field]: { increment: 1 } }
+  });
+
+  try {
+    await increment();
+  } catch (error) {
+    // Dos eventos simultáneos pueden intentar crear la misma fila: el segundo la actualiza
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+    await increment();
+  }
+
+  return true;
+};
+
+/**
+ * Rango de fechas de un informe (por defecto, los últimos 30 días)
+ * @param {Object} query - { from, to } en formato YYYY-MM-DD
+ * @returns {Object} { from, to } como días UTC
+ */
+export const getReportRange = ({ from, to }) => {
+  const end = startOfUtcDay(to ? new Date(to) : new Date());
+  const start = from ? startOfUtcDay(new Date(from)) : new Date(end.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+  return { from: start, to: end };
+};
+
+/**
+ * Inicio del periodo (día, semana ISO desde el lunes o mes) al que pertenece una fecha
+ * @param {Date} date - Día UTC
+ * @param {string} interval - 'day', 'week' o 'month'
+ * @returns {Date} Primer día del periodo
+ */
+const startOfInterval = (date, interval) => {
+  if (interval === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  if (interval === 'week') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - daysSinceMonday * 24 * 60 * 60 * 1000);
+  }
+
+  return date;
+};
+
+/**
+ * Agrupar totales diarios en una serie continua (los periodos sin datos valen 0)
+ * @param {Object[]} rows - [{ date, views, videoPlays, repoClicks }]
+ * @param {Object} range - { from, to }
+ * @param {string} interval - 'day', 'week' o 'month'
+ * @returns {Object[]} [{ date: 'YYYY-MM-DD', views, videoPlays, repoClicks }]
+ */
+export const buildTrendSeries = (rows, { from, to }, interval) => {
+  const emptyTotals = () => Object.fromEntries(ANALYTICS_METRICS.map(metric => [metric, 0]));
+  const buckets = new Map();
+
+  for (let day = from; day <= to; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+    const key = startOfInterval(day, interval).toISOString().slice(0, 10);
+    if (!buckets.has(key)) {
+      buckets.set(key, emptyTotals());
+    }
+  }
+
+  for (const row of rows) {
+    const totals = buckets.get(startOfInterval(startOfUtcDay(row.date), interval).toISOString().slice(0, 10));
+    if (totals) {
+      ANALYTICS_METRICS.forEach(metric => { totals[metric] += row[metric] || 0; });
+    }
+  }
+
+  return [...buckets.entries()].map(([date, totals]) => ({ date, ...totals }));
+};
+
+/**
+ * Eliminar los visitantes y las sales de días anteriores (sus hashes ya no se pueden relacionar)
+ * @returns {number} Número de visitantes eliminados
+ */
+export const pruneAnalyticsVisits = async () => {
+  try {
+    const where = { date: { lt: startOfUtcDay() } };
+    const [{ count }] = await prisma.$transaction([
+      prisma.analyticsVisit.deleteMany({ where }),
+      prisma.analyticsSalt.deleteMany({ where })
+    ]);
+
+    if (count > 0) {
+      console.log(`🧹 Eliminados ${count} visitantes de días anteriores`);
+    }
+    return count;
+  } catch (error) {
+    console.error('Error eliminando visitantes de días anteriores:', error);
+    return 0;
+  }
+};
+
+// Limpiar los visitantes de días anteriores cada hora
+if (process.env.NODE_ENV !== 'test') {
+  setInterval(pruneAnalyticsVisits, 60 * 60 * 1000);
+}
+
+export default {
+  ANALYTICS_EVENTS,
+  ANALYTICS_METRICS,
+  ANALYTICS_INTERVALS,
+  startOfUtcDay,
+  shouldIgnoreEvent,
+  recordProjectEvent,
+  getReportRange,
+  buildTrendSeries,
+  pruneAnalyticsVisits
+};
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { hashToken } from './crypto.js';
+
+const prisma = new PrismaClient();
+
+// Prefijo fijo para reconocer las claves (p. ej. en escáneres de secretos)
+const KEY_PREFIX = 'pfk_';
+// Caracteres de la clave que se guardan en claro para identificarla en los listados
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+// lastUsedAt solo se actualiza si el último uso registrado es más antiguo que este intervalo
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Campos públicos de una API key (nunca el hash)
+export const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * Extraer la API key de la petición (Authorization: ApiKey ... o X-API-Key)
+ * @param {Object} req - Request de Express
+ * @returns {string|null} Clave en texto plano o null si no se envió
+ */
+export const getApiKeyFromRequest = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authHeader.substring(7).trim() || null;
+  }
+
+  return req.headers['x-api-key'] || null;
+};
+
+/**
+ * Crear una API key para un usuario
+ * @param {string} userId - Propietario de la clave
+ * @param {Object} options - Datos de la clave
+ * @param {string} options.name - Nombre descriptivo
+ * @param {string[]} options.scopes - Permisos concedidos
+ * @param {Date} [options.expiresAt] - Fecha de expiración (sin expiración si se omite)
+ * @returns {Object} { apiKey, key } - Registro guardado y clave en texto plano (solo se devuelve aquí)
+ */
+export const createApiKey = async (userId, { name, scopes, expiresAt = null }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name,
+      prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashToken(key),
+      scopes,
+      userId,
+      expiresAt
+    },
+    select: apiKeySelect
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Buscar una API key por su valor y comprobar que siga vigente
+ * @param {string} key - Clave en texto plano
+ * @returns {Object} { apiKey, reason } - apiKey es null si no es válida; reason indica el motivo
+ */
+export const findActiveApiKey = async (key) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+    select: {
+      id: true,
+      scopes: true,
+      userId: true,
+      expiresAt: true,
+      lastUsedAt: true,
+      revokedAt: true
+    }
+  });
+
+  if (!apiKey) {
+    return { apiKey: null, reason: 'invalid' };
+  }
+
+  if (apiKey.revokedAt) {
+    return { apiKey: null, reason: 'revoked' };
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { apiKey: null, reason: 'expired' };
+  }
+
+  return { apiKey, reason: null };
+};
+
+/**
+ * Registrar el uso de una API key (como mucho una escritura por minuto)
+ * @param {Object} apiKey - Clave devuelta por findActiveApiKey
+ */
+export const touchApiKey = async (apiKey) => {
+  const now = new Date();
+
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_UPDATE_INTERVAL_MS) {
+    return;
+  }
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: now }
+  });
+};
+
+/**
+ * Revocar una API key
+ * @param {string} id - ID de la clave
+ * @returns {boolean} True si estaba activa y se revocó
+ */
+export const revokeApiKey = async (id) => {
+  const result = await prisma.apiKey.updateMany({
+    where: { id, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  return result.count > 0;
+};
+
+export default {
+  getApiKeyFromRequest,
+  createApiKey,
+  findActiveApiKey,
+  touchApiKey,
+  revokeApiKey,
+  apiKeySelect
+};
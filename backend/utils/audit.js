@@ -0,0 +1,120 @@
+import { PrismaClient } from '@prisma/client';
+import { getRequestContext } from './userAgent.js';
+
+const prisma = new PrismaClient();
+
+// Campos que cambian en cada escritura y no aportan información al diff
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Normalizar un valor para guardarlo en JSON (fechas en ISO; se omiten relaciones anidadas)
+ * @param {*} value - Valor del campo
+ * @returns {*} Valor serializable, o undefined si se debe omitir
+ */
+const normalizeValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return undefined;
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * Calcular el diff entre dos estados de una entidad.
+ * Sin estado previo (creación) o posterior (eliminación) se registran todos los campos;
+ * en una actualización solo los campos de `after` que cambiaron.
+ * @param {Object|null} before - Estado anterior
+ * @param {Object|null} after - Estado posterior
+ * @returns {Object} { campo: { before, after } }
+ */
+export const diffEntities = (before, after) => {
+  const fields = Object.keys(after || before || {})
+    .filter(field => !IGNORED_FIELDS.includes(field));
+
+  return fields.reduce((changes, field) => {
+    const previous = before ? normalizeValue(before[field]) : null;
+    const next = after ? normalizeValue(after[field]) : null;
+
+    if (previous === undefined || next === undefined) {
+      return changes;
+    }
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { before: previous, after: next };
+    }
+
+    return changes;
+  }, {});
+};
+
+/**
+ * Registrar una o varias entradas de auditoría para la petición actual.
+ * Un fallo al auditar se registra en consola sin interrumpir la respuesta.
+ * @param {Object|null} req - Petición autenticada (usa req.user, req.apiKey, req.id y la IP);
+ *   null para tareas programadas, que quedan registradas sin actor
+ * @param {Object|Object[]} entries - { action, entityType, entityId, before, after }
+ */
+export const recordAudit = async (req, entries) => {
+  try {
+    const { ipAddress } = req ? getRequestContext(req) : { ipAddress: null };
+
+    await prisma.auditLog.createMany({
+      data: [].concat(entries).map(({ action, entityType, entityId = null, before = null, after = null }) => ({
+        actorId: req && req.user ? req.user.id : null,
+        actorEmail: req && req.user ? req.user.email : null,
+        apiKeyId: req && req.apiKey ? req.apiKey.id : null,
+        action,
+        entityType,
+        entityId,
+        changes: diffEntities(before, after),
+        ipAddress,
+        requestId: req ? req.id || null : null
+      }))
+    });
+  } catch (error) {
+    console.error('Error registrando auditoría:', error);
+  }
+};
+
+/**
+ * Escapar un valor para CSV (RFC 4180). Los valores que empiezan por =, +, -, @, tabulador
+ * o retorno de carro se prefijan con ' para que las hojas de cálculo no los interpreten como fórmulas.
+ * @param {*} value - Valor de la celda
+ * @returns {string} Celda escapada
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convertir entradas de auditoría a CSV
+ * @param {Object[]} logs - Entradas de AuditLog
+ * @returns {string} CSV con cabecera
+ */
+export const auditLogsToCsv = (logs) => {
+  const columns = ['createdAt', 'actorId', 'actorEmail', 'apiKeyId', 'action', 'entityType', 'entityId', 'ipAddress', 'requestId', 'changes'];
+
+  const rows = logs.map(log => columns
+    .map(column => toCsvCell(column === 'changes' ? JSON.stringify(log.changes || {}) : log[column]))
+    .join(','));
+
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+export default {
+  diffEntities,
+  recordAudit,
+  auditLogsToCsv
+};
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+
+/**
+ * Generar un token aleatorio seguro
+ * @param {number} bytes - Cantidad de bytes aleatorios
+ * @returns {string} Token en hexadecimal
+ */
+export const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Calcular el hash SHA-256 de un token para almacenarlo en la base de datos
+ * @param {string} token - Token en texto plano
+ * @returns {string} Hash en hexadecimal
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Firmar un valor con HMAC-SHA256 (para valores que viajan en cookies)
+ * @param {string} value - Valor en texto plano
+ * @returns {string} Firma en hexadecimal
+ */
+export const signValue = (value) => {
+  return crypto.createHmac('sha256', getEncryptionKey()).update(value).digest('hex');
+};
+
+/**
+ * Comparar en tiempo constante una firma recibida con la de un valor
+ * @param {string} value - Valor en texto plano
+ * @param {string} signature - Firma recibida
+ * @returns {boolean} true si la firma corresponde al valor
+ */
+export const verifySignature = (value, signature) => {
+  const expected = Buffer.from(signValue(value));
+  const received = Buffer.from(String(signature || ''));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Derivar la clave de cifrado para secretos almacenados en la base de datos.
+ * Es independiente de JWT_SECRET: rotar las claves JWT no debe dejar ilegibles los secretos guardados.
+ * @returns {Buffer} Clave AES-256
+ */
+const getEncryptionKey = () => {
+  const secret = process.env.ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY es requerido para cifrar secretos');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Cifrar un secreto con AES-256-GCM
+ * @param {string} plainText - Texto a cifrar
+ * @returns {string} Texto cifrado con formato iv:tag:contenido (base64)
+ */
+export const encryptSecret = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Descifrar un secreto cifrado con encryptSecret
+ * @param {string} payload - Texto cifrado con formato iv:tag:contenido
+ * @returns {string} Texto original
+ */
+export const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+export default {
+  generateSecureToken,
+  hashToken,
+  signValue,
+  verifySignature,
+  encryptSecret,
+  decryptSecret
+};
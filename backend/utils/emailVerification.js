@@ -0,0 +1,86 @@
+import { PrismaClient } from '@prisma/client';
+import { generateEmailVerificationToken } from './jwt.js';
+import { sendMail } from './mailer.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Enviar el enlace de verificación de email y registrar la fecha de envío
+ * @param {Object} user - Usuario (id, name, email)
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:8000'}/#/verify-email?token=${token}`;
+  const expiresIn = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verifica tu email',
+    text: `Hola ${user.name},\n\n` +
+      `Confirma tu dirección de correo con el siguiente enlace (válido durante ${expiresIn}):\n\n` +
+      `${verifyUrl}\n\n` +
+      'Si no creaste esta cuenta, puedes ignorar este correo.'
+  });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { emailVerificationSentAt: new Date() }
+  });
+};
+
+/**
+ * Segundos que faltan para poder reenviar el enlace de verificación
+ * @param {Object} user - Usuario con emailVerificationSentAt
+ * @returns {number} 0 si se puede reenviar
+ */
+export const getResendWaitSeconds = (user) => {
+  if (!user.emailVerificationSentAt) {
+    return 0;
+  }
+
+  const intervalMs = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000;
+  const remainingMs = user.emailVerificationSentAt.getTime() + intervalMs - Date.now();
+
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+/**
+ * Eliminar cuentas sin verificar cuyo último enlace de verificación se envió hace más de
+ * UNVERIFIED_ACCOUNT_MAX_AGE_DAYS. Solo afecta a usuarios (no administradores); las cuentas
+ * anteriores a la verificación de email se marcaron como verificadas (prisma/prepare.sql).
+ * @returns {number} Número de cuentas eliminadas
+ */
+export const cleanUnverifiedUsers = async () => {
+  try {
+    const maxAgeDays = parseInt(process.env.UNVERIFIED_ACCOUNT_MAX_AGE_DAYS) || 7;
+    const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+
+    const result = await prisma.user.deleteMany({
+      where: {
+        role: 'USER',
+        emailVerified: false,
+        emailVerificationSentAt: { lt: cutoff }
+      }
+    });
+
+    if (result.count > 0) {
+      console.log(`🧹 Eliminadas ${result.count} cuentas sin verificar`);
+    }
+    return result.count;
+  } catch (error) {
+    console.error('Error limpiando cuentas sin verificar:', error);
+    return 0;
+  }
+};
+
+// Programar limpieza automática de cuentas sin verificar cada hora
+if (process.env.NODE_ENV !== 'test') {
+  setInterval(cleanUnverifiedUsers, 60 * 60 * 1000); // Cada hora
+}
+
+export default {
+  sendVerificationEmail,
+  getResendWaitSeconds,
+  cleanUnverifiedUsers
+};
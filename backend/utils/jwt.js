@@ -1,47 +1,223 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
+import { hashToken } from './crypto.js';
 
 const prisma = new PrismaClient();
 
+/**
+ * Servicio único de tokens: todos los JWT de la API se emiten y verifican aquí.
+ *
+ * Claims comunes: sub (ID de usuario), tokenType, iss y aud; la cabecera incluye
+ * kid para identificar la clave de firma. Para rotar una clave sin cerrar sesiones,
+ * mueve el secreto actual a JWT_PREVIOUS_SECRETS (o JWT_REFRESH_PREVIOUS_SECRETS)
+ * y define el nuevo en JWT_SECRET: los tokens firmados con la clave anterior
+ * siguen siendo válidos hasta que expiran.
+ */
+const ISSUER = 'joseluiscastro-portfolio';
+const AUDIENCE = 'portfolio-users';
+const CHALLENGE_AUDIENCE = 'portfolio-2fa';
+const EMAIL_VERIFICATION_AUDIENCE = 'portfolio-email-verification';
+const PROJECT_PREVIEW_AUDIENCE = 'portfolio-project-preview';
+const ALGORITHM = 'HS256';
+
+/**
+ * Derivar un identificador de clave (kid) estable a partir del secreto
+ * @param {string} secret - Secreto de firma
+ * @returns {string} kid
+ */
+const deriveKeyId = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 16);
+};
+
+/**
+ * Construir el conjunto de claves: la primera firma, todas verifican.
+ * Se lee de process.env en cada llamada para respetar la configuración cargada con dotenv.
+ * @param {'access'|'refresh'} purpose - Tipo de clave
+ * @returns {Array<{kid: string, secret: string}>} Claves disponibles
+ */
+const getKeyRing = (purpose) => {
+  const current = purpose === 'refresh'
+    // REFRESH_TOKEN_SECRET se mantiene por compatibilidad con configuraciones anteriores
+    ? process.env.JWT_REFRESH_SECRET || process.env.REFRESH_TOKEN_SECRET
+    : process.env.JWT_SECRET;
+  const previous = purpose === 'refresh'
+    ? process.env.JWT_REFRESH_PREVIOUS_SECRETS
+    : process.env.JWT_PREVIOUS_SECRETS;
+
+  if (!current) {
+    throw new Error(`Secreto JWT no configurado para tokens de tipo ${purpose}`);
+  }
+
+  return [current, ...(previous || '').split(',')]
+    .map(secret => secret.trim())
+    .filter(Boolean)
+    .map(secret => ({ kid: deriveKeyId(secret), secret }));
+};
+
+/**
+ * Firmar un token con la clave actual del conjunto
+ * @param {Object} claims - Claims propios del token
+ * @param {'access'|'refresh'} purpose - Clave a usar
+ * @param {Object} options - Opciones de expiración y audiencia
+ * @returns {string} Token JWT
+ */
+const signToken = (claims, purpose, { expiresIn, audience = AUDIENCE }) => {
+  const [signingKey] = getKeyRing(purpose);
+
+  return jwt.sign(claims, signingKey.secret, {
+    algorithm: ALGORITHM,
+    expiresIn,
+    issuer: ISSUER,
+    audience,
+    keyid: signingKey.kid
+  });
+};
+
+/**
+ * Verificar un token buscando la clave por kid (o probando todas si no tiene kid)
+ * @param {string} token - Token JWT
+ * @param {'access'|'refresh'} purpose - Conjunto de claves
+ * @param {string} tokenType - Tipo de token esperado
+ * @param {string} audience - Audiencia esperada
+ * @returns {Object} Payload decodificado
+ * @throws {JsonWebTokenError|TokenExpiredError} Si el token no es válido
+ */
+const verifyToken = (token, purpose, tokenType, audience = AUDIENCE) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const keyRing = getKeyRing(purpose);
+  const kid = decoded.header.kid;
+  const candidates = kid ? keyRing.filter(key => key.kid === kid) : keyRing;
+
+  if (candidates.length === 0) {
+    throw new jwt.JsonWebTokenError('Clave de firma desconocida');
+  }
+
+  let lastError;
+  for (const key of candidates) {
+    try {
+      const payload = jwt.verify(token, key.secret, {
+        algorithms: [ALGORITHM],
+        issuer: ISSUER,
+        audience
+      });
+
+      if (payload.tokenType !== tokenType) {
+        throw new jwt.JsonWebTokenError('Tipo de token inválido');
+      }
+
+      return payload;
+    } catch (error) {
+      // Un token expirado no mejora probando otras claves
+      if (error.name === 'TokenExpiredError') {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
 /**
  * Generar token de acceso JWT
- * @param {Object} payload - Datos del usuario
+ * @param {Object} user - Datos del usuario (id, role)
+ * @param {string} [sessionId] - Sesión (familia de refresh tokens) a la que pertenece
  * @returns {string} Token JWT
  */
-export const generateAccessToken = (payload) => {
-  return jwt.sign(
+export const generateAccessToken = (user, sessionId) => {
+  return signToken(
     {
-      userId: payload.id,
-      email: payload.email,
-      role: payload.role,
-      name: payload.name
+      sub: user.id,
+      role: user.role,
+      tokenType: 'access',
+      ...(sessionId && { sid: sessionId })
     },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
-      issuer: 'joseluiscastro-portfolio',
-      audience: 'portfolio-users'
-    }
+    'access',
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
 /**
  * Generar token de refresco
- * @param {Object} payload - Datos del usuario
+ * @param {Object} user - Datos del usuario (id)
  * @returns {string} Refresh token
  */
-export const generateRefreshToken = (payload) => {
-  return jwt.sign(
+export const generateRefreshToken = (user) => {
+  return signToken(
     {
-      userId: payload.id,
-      email: payload.email,
-      tokenType: 'refresh'
+      sub: user.id,
+      tokenType: 'refresh',
+      // jti garantiza que cada refresh token sea único aunque se emitan en el mismo segundo
+      jti: crypto.randomUUID()
     },
-    process.env.JWT_REFRESH_SECRET,
+    'refresh',
+    { expiresIn: getRefreshExpiresIn() }
+  );
+};
+
+/**
+ * Generar token de desafío 2FA (corta duración, audiencia propia: no sirve como access token)
+ * @param {Object} user - Datos del usuario (id)
+ * @returns {string} Token de desafío
+ */
+export const generateChallengeToken = (user) => {
+  return signToken(
+    {
+      sub: user.id,
+      tokenType: '2fa_challenge'
+    },
+    'access',
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+      audience: CHALLENGE_AUDIENCE
+    }
+  );
+};
+
+/**
+ * Generar token firmado para el enlace de verificación de email.
+ * Incluye el email para que el enlace deje de valer si la dirección cambia.
+ * @param {Object} user - Datos del usuario (id, email)
+ * @returns {string} Token de verificación
+ */
+export const generateEmailVerificationToken = (user) => {
+  return signToken(
+    {
+      sub: user.id,
+      email: user.email,
+      tokenType: 'email_verification'
+    },
+    'access',
+    {
+      expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+      audience: EMAIL_VERIFICATION_AUDIENCE
+    }
+  );
+};
+
+/**
+ * Generar token de vista previa de un proyecto no publicado, para compartir el enlace
+ * (se abre sin cabecera Authorization). Solo vale para ese proyecto.
+ * @param {string} projectId - Proyecto
+ * @param {Object} user - Usuario que genera el enlace (id)
+ * @returns {string} Token de vista previa
+ */
+export const generatePreviewToken = (projectId, user) => {
+  return signToken(
+    {
+      sub: user.id,
+      pid: projectId,
+      tokenType: 'project_preview'
+    },
+    'access',
     {
-      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
-      issuer: 'joseluiscastro-portfolio',
-      audience: 'portfolio-users'
+      expiresIn: process.env.PROJECT_PREVIEW_EXPIRES_IN || '1h',
+      audience: PROJECT_PREVIEW_AUDIENCE
     }
   );
 };
@@ -49,43 +225,104 @@ export const generateRefreshToken = (payload) => {
 /**
  * Verificar token de acceso
  * @param {string} token - Token JWT
- * @returns {Object} Payload decodificado
+ * @returns {Object} Payload decodificado (sub = ID de usuario)
+ * @throws {JsonWebTokenError|TokenExpiredError} Si el token no es válido
  */
 export const verifyAccessToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.JWT_SECRET, {
-      issuer: 'joseluiscastro-portfolio',
-      audience: 'portfolio-users'
-    });
-  } catch (error) {
-    throw new Error('Token de acceso inválido o expirado');
-  }
+  return verifyToken(token, 'access', 'access');
 };
 
 /**
  * Verificar token de refresco
  * @param {string} token - Refresh token
- * @returns {Object} Payload decodificado
+ * @returns {Object} Payload decodificado (sub = ID de usuario)
+ * @throws {JsonWebTokenError|TokenExpiredError} Si el token no es válido
  */
 export const verifyRefreshToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.JWT_REFRESH_SECRET, {
-      issuer: 'joseluiscastro-portfolio',
-      audience: 'portfolio-users'
-    });
-  } catch (error) {
-    throw new Error('Token de refresco inválido o expirado');
+  return verifyToken(token, 'refresh', 'refresh');
+};
+
+/**
+ * Verificar token de desafío 2FA
+ * @param {string} token - Token de desafío
+ * @returns {Object} Payload decodificado (sub = ID de usuario)
+ * @throws {JsonWebTokenError|TokenExpiredError} Si el token no es válido
+ */
+export const verifyChallengeToken = (token) => {
+  return verifyToken(token, 'access', '2fa_challenge', CHALLENGE_AUDIENCE);
+};
+
+/**
+ * Verificar token del enlace de verificación de email
+ * @param {string} token - Token de verificación
+ * @returns {Object} Payload decodificado (sub = ID de usuario, email)
+ * @throws {JsonWebTokenError|TokenExpiredError} Si el token no es válido
+ */
+export const verifyEmailVerificationToken = (token) => {
+  return verifyToken(token, 'access', 'email_verification', EMAIL_VERIFICATION_AUDIENCE);
+};
+
+/**
+ * Verificar token de vista previa de un proyecto
+ * @param {string} token - Token de vista previa
+ * @returns {Object} Payload decodificado (sub = ID de usuario, pid = ID del proyecto)
+ * @throws {JsonWebTokenError|TokenExpiredError} Si el token no es válido
+ */
+export const verifyPreviewToken = (token) => {
+  return verifyToken(token, 'access', 'project_preview', PROJECT_PREVIEW_AUDIENCE);
+};
+
+/**
+ * Duración configurada de los refresh tokens
+ * @returns {string} Duración (p. ej. '7d')
+ */
+const getRefreshExpiresIn = () => {
+  return process.env.JWT_REFRESH_EXPIRES_IN || process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+};
+
+/**
+ * Calcular la fecha de expiración de un refresh token recién emitido
+ * @returns {Date} Fecha de expiración
+ */
+export const getRefreshTokenExpiry = () => {
+  const refreshExpiresIn = getRefreshExpiresIn();
+  const expiresAt = new Date();
+
+  // Parsear el tiempo de expiración
+  const timeValue = parseInt(refreshExpiresIn);
+  const timeUnit = refreshExpiresIn.slice(-1);
+
+  switch (timeUnit) {
+    case 'd':
+      expiresAt.setDate(expiresAt.getDate() + timeValue);
+      break;
+    case 'h':
+      expiresAt.setHours(expiresAt.getHours() + timeValue);
+      break;
+    case 'm':
+      expiresAt.setMinutes(expiresAt.getMinutes() + timeValue);
+      break;
+    default:
+      expiresAt.setDate(expiresAt.getDate() + 7); // Default 7 días
   }
+
+  return expiresAt;
 };
 
 /**
- * Guardar refresh token en la base de datos
+ * Guardar refresh token en la base de datos (solo se almacena su hash)
  * @param {string} userId - ID del usuario
  * @param {string} token - Refresh token
  * @param {Date} expiresAt - Fecha de expiración
+ * @param {Object} [options] - Datos de la sesión
+ * @param {string} [options.familyId] - Familia de rotación (se crea una nueva si se omite)
+ * @param {string} [options.userAgent] - User-Agent del cliente
+ * @param {string} [options.ipAddress] - IP del cliente
  * @returns {Object} Token guardado
  */
-export const saveRefreshToken = async (userId, token, expiresAt) => {
+export const saveRefreshToken = async (userId, token, expiresAt, options = {}) => {
+  const { familyId = crypto.randomUUID(), userAgent = null, ipAddress = null } = options;
+
   try {
     // Eliminar tokens expirados del usuario
     await prisma.refreshToken.deleteMany({
@@ -97,19 +334,25 @@ export const saveRefreshToken = async (userId, token, expiresAt) => {
       }
     });
 
-    // Limitar a máximo 5 refresh tokens por usuario
-    const existingTokens = await prisma.refreshToken.findMany({
-      where: { userId },
-      orderBy: { createdAt: 'desc' }
+    // Limitar a máximo 5 sesiones (familias activas) por usuario
+    const activeTokens = await prisma.refreshToken.findMany({
+      where: {
+        userId,
+        rotatedAt: null,
+        revokedAt: null,
+        familyId: { not: familyId }
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { familyId: true }
     });
 
-    if (existingTokens.length >= 5) {
-      // Eliminar los tokens más antiguos
-      const tokensToDelete = existingTokens.slice(4);
+    if (activeTokens.length >= 5) {
+      // Eliminar las sesiones más antiguas
+      const familiesToDelete = activeTokens.slice(4).map(t => t.familyId);
       await prisma.refreshToken.deleteMany({
         where: {
-          id: {
-            in: tokensToDelete.map(t => t.id)
+          familyId: {
+            in: familiesToDelete
           }
         }
       });
@@ -118,9 +361,12 @@ export const saveRefreshToken = async (userId, token, expiresAt) => {
     // Guardar el nuevo token
     return await prisma.refreshToken.create({
       data: {
-        token,
+        tokenHash: hashToken(token),
+        familyId,
         userId,
-        expiresAt
+        expiresAt,
+        userAgent,
+        ipAddress
       }
     });
   } catch (error) {
@@ -130,7 +376,7 @@ export const saveRefreshToken = async (userId, token, expiresAt) => {
 };
 
 /**
- * Verificar si el refresh token existe en la base de datos
+ * Verificar si el refresh token existe en la base de datos y sigue vigente
  * @param {string} token - Refresh token
  * @returns {Object|null} Token encontrado o null
  */
@@ -138,7 +384,9 @@ export const findRefreshToken = async (token) => {
   try {
     return await prisma.refreshToken.findFirst({
       where: {
-        token,
+        tokenHash: hashToken(token),
+        rotatedAt: null,
+        revokedAt: null,
         expiresAt: {
           gt: new Date()
         }
@@ -162,14 +410,129 @@ export const findRefreshToken = async (token) => {
 };
 
 /**
- * Eliminar refresh token de la base de datos
+ * Indica si una sesión (familia de refresh tokens) sigue abierta. Al cerrar una sesión,
+ * restablecer la contraseña o desactivar al usuario se eliminan sus refresh tokens:
+ * sus access tokens (claim sid) dejan de valer aunque no hayan expirado.
+ * @param {string} familyId - ID de la sesión (claim sid del access token)
+ * @param {string} userId - Usuario del token
+ * @returns {Promise<boolean>} true si queda algún refresh token vigente y no revocado
+ */
+export const isSessionActive = async (familyId, userId) => {
+  const token = await prisma.refreshToken.findFirst({
+    where: {
+      familyId,
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    select: { id: true }
+  });
+
+  return Boolean(token);
+};
+
+/**
+ * Revocar todos los tokens de una familia de rotación
+ * @param {string} familyId - ID de la familia
+ * @returns {number} Número de tokens revocados
+ */
+export const revokeTokenFamily = async (familyId) => {
+  const result = await prisma.refreshToken.updateMany({
+    where: {
+      familyId,
+      revokedAt: null
+    },
+    data: {
+      revokedAt: new Date()
+    }
+  });
+
+  return result.count;
+};
+
+/**
+ * Rotar un refresh token: invalidar el actual y guardar su reemplazo en la misma familia.
+ * Si el token ya había sido rotado o revocado, se considera reutilización (posible robo)
+ * y se revoca toda la familia.
+ * @param {string} token - Refresh token presentado por el cliente
+ * @param {string} newToken - Nuevo refresh token
+ * @param {Date} expiresAt - Expiración del nuevo token
+ * @param {Object} [context] - User-Agent e IP actuales del cliente
+ * @returns {Object} { status: 'rotated' | 'reused' | 'invalid', userId, familyId }
+ */
+export const rotateRefreshToken = async (token, newToken, expiresAt, context = {}) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!stored || stored.expiresAt < new Date()) {
+    return { status: 'invalid' };
+  }
+
+  const handleReuse = async () => {
+    const revoked = await revokeTokenFamily(stored.familyId);
+    console.warn(
+      `🚨 Reutilización de refresh token detectada (posible robo). Usuario: ${stored.userId}, ` +
+      `familia: ${stored.familyId}, tokens revocados: ${revoked}`
+    );
+    return { status: 'reused', userId: stored.userId };
+  };
+
+  if (stored.rotatedAt || stored.revokedAt) {
+    return handleReuse();
+  }
+
+  // Marcar como rotado solo si nadie lo hizo antes (evita carreras con el mismo token)
+  const marked = await prisma.refreshToken.updateMany({
+    where: {
+      id: stored.id,
+      rotatedAt: null,
+      revokedAt: null
+    },
+    data: {
+      rotatedAt: new Date()
+    }
+  });
+
+  if (marked.count === 0) {
+    return handleReuse();
+  }
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(newToken),
+      familyId: stored.familyId,
+      userId: stored.userId,
+      expiresAt,
+      userAgent: context.userAgent || stored.userAgent,
+      ipAddress: context.ipAddress || stored.ipAddress,
+      sessionStartedAt: stored.sessionStartedAt,
+      lastUsedAt: new Date()
+    }
+  });
+
+  return { status: 'rotated', userId: stored.userId, familyId: stored.familyId };
+};
+
+/**
+ * Eliminar la sesión asociada a un refresh token (toda su familia de rotación)
  * @param {string} token - Refresh token
+ * @param {string} [userId] - Restringir a los tokens de este usuario
  * @returns {boolean} True si se eliminó exitosamente
  */
-export const deleteRefreshToken = async (token) => {
+export const deleteRefreshToken = async (token, userId) => {
   try {
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      select: { familyId: true, userId: true }
+    });
+
+    if (!stored || (userId && stored.userId !== userId)) {
+      return false;
+    }
+
     await prisma.refreshToken.deleteMany({
-      where: { token }
+      where: { familyId: stored.familyId }
     });
     return true;
   } catch (error) {
@@ -178,6 +541,77 @@ export const deleteRefreshToken = async (token) => {
   }
 };
 
+/**
+ * Listar las sesiones activas de un usuario (una por familia de rotación)
+ * @param {string} userId - ID del usuario
+ * @returns {Array} Refresh tokens vigentes, ordenados por último uso
+ */
+export const listUserSessions = async (userId) => {
+  return await prisma.refreshToken.findMany({
+    where: {
+      userId,
+      rotatedAt: null,
+      revokedAt: null,
+      expiresAt: {
+        gt: new Date()
+      }
+    },
+    orderBy: { lastUsedAt: 'desc' },
+    select: {
+      familyId: true,
+      userAgent: true,
+      ipAddress: true,
+      sessionStartedAt: true,
+      lastUsedAt: true,
+      expiresAt: true
+    }
+  });
+};
+
+/**
+ * Cerrar una sesión concreta de un usuario
+ * @param {string} userId - ID del usuario
+ * @param {string} sessionId - ID de la sesión (familia de rotación)
+ * @returns {boolean} True si la sesión existía y se eliminó
+ */
+export const deleteUserSession = async (userId, sessionId) => {
+  const result = await prisma.refreshToken.deleteMany({
+    where: {
+      userId,
+      familyId: sessionId
+    }
+  });
+
+  return result.count > 0;
+};
+
+/**
+ * Cerrar todas las sesiones de un usuario excepto la indicada
+ * @param {string} userId - ID del usuario
+ * @param {string} currentSessionId - Sesión que se conserva
+ * @returns {number} Número de sesiones cerradas
+ */
+export const deleteOtherUserSessions = async (userId, currentSessionId) => {
+  const where = {
+    userId,
+    familyId: { not: currentSessionId }
+  };
+
+  // Contar solo sesiones vigentes; los tokens rotados o expirados se eliminan igualmente
+  const activeSessions = await prisma.refreshToken.count({
+    where: {
+      ...where,
+      rotatedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    }
+  });
+
+  await prisma.refreshToken.deleteMany({ where });
+
+  return activeSessions;
+};
+
 /**
  * Eliminar todos los refresh tokens de un usuario
  * @param {string} userId - ID del usuario
@@ -221,44 +655,30 @@ export const cleanExpiredTokens = async () => {
 };
 
 /**
- * Generar par de tokens (access + refresh)
+ * Generar par de tokens (access + refresh) e iniciar una nueva sesión
  * @param {Object} user - Datos del usuario
- * @returns {Object} Objeto con ambos tokens
+ * @param {Object} [context] - User-Agent e IP del cliente
+ * @returns {Object} Objeto con ambos tokens y el ID de la sesión
  */
-export const generateTokenPair = async (user) => {
+export const generateTokenPair = async (user, context = {}) => {
   try {
-    const accessToken = generateAccessToken(user);
+    const sessionId = crypto.randomUUID();
+    const accessToken = generateAccessToken(user, sessionId);
     const refreshToken = generateRefreshToken(user);
+    const expiresAt = getRefreshTokenExpiry();
     
-    // Calcular fecha de expiración del refresh token
-    const refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
-    const expiresAt = new Date();
-    
-    // Parsear el tiempo de expiración
-    const timeValue = parseInt(refreshExpiresIn);
-    const timeUnit = refreshExpiresIn.slice(-1);
-    
-    switch (timeUnit) {
-      case 'd':
-        expiresAt.setDate(expiresAt.getDate() + timeValue);
-        break;
-      case 'h':
-        expiresAt.setHours(expiresAt.getHours() + timeValue);
-        break;
-      case 'm':
-        expiresAt.setMinutes(expiresAt.getMinutes() + timeValue);
-        break;
-      default:
-        expiresAt.setDate(expiresAt.getDate() + 7); // Default 7 días
-    }
-    
-    // Guardar refresh token en la base de datos
-    await saveRefreshToken(user.id, refreshToken, expiresAt);
+    // Guardar refresh token en la base de datos como inicio de la sesión
+    await saveRefreshToken(user.id, refreshToken, expiresAt, {
+      familyId: sessionId,
+      userAgent: context.userAgent,
+      ipAddress: context.ipAddress
+    });
     
     return {
       accessToken,
       refreshToken,
-      expiresAt
+      expiresAt,
+      sessionId
     };
   } catch (error) {
     console.error('Error generando par de tokens:', error);
@@ -266,6 +686,30 @@ export const generateTokenPair = async (user) => {
   }
 };
 
+/**
+ * Renovar el par de tokens rotando el refresh token presentado
+ * @param {string} refreshToken - Refresh token actual
+ * @param {Object} user - Datos del usuario
+ * @param {Object} [context] - User-Agent e IP del cliente
+ * @returns {Object} { status, accessToken?, refreshToken?, sessionId? }
+ */
+export const rotateTokenPair = async (refreshToken, user, context = {}) => {
+  const newRefreshToken = generateRefreshToken(user);
+
+  const rotation = await rotateRefreshToken(refreshToken, newRefreshToken, getRefreshTokenExpiry(), context);
+
+  if (rotation.status !== 'rotated') {
+    return { status: rotation.status };
+  }
+
+  return {
+    status: 'rotated',
+    accessToken: generateAccessToken(user, rotation.familyId),
+    refreshToken: newRefreshToken,
+    sessionId: rotation.familyId
+  };
+};
+
 /**
  * Decodificar token sin verificar (para obtener información)
  * @param {string} token - Token JWT
@@ -308,14 +752,26 @@ if (process.env.NODE_ENV !== 'test') {
 export default {
   generateAccessToken,
   generateRefreshToken,
+  generateChallengeToken,
+  generateEmailVerificationToken,
   verifyAccessToken,
   verifyRefreshToken,
+  verifyChallengeToken,
+  verifyEmailVerificationToken,
+  getRefreshTokenExpiry,
   saveRefreshToken,
   findRefreshToken,
+  isSessionActive,
+  revokeTokenFamily,
+  rotateRefreshToken,
   deleteRefreshToken,
+  listUserSessions,
+  deleteUserSession,
+  deleteOtherUserSessions,
   deleteAllUserRefreshTokens,
   cleanExpiredTokens,
   generateTokenPair,
+  rotateTokenPair,
   decodeToken,
   isTokenNearExpiry
 };
\ No newline at end of file
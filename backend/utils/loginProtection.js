@@ -0,0 +1,315 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Configuración de la protección contra fuerza bruta (se lee en cada llamada)
+ * @returns {Object} Límites, ventana, duración del bloqueo y retrasos
+ */
+const getConfig = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  baseDelayMs: parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000,
+  maxDelayMs: parseInt(process.env.LOGIN_DELAY_MAX_MS) || 30000
+});
+
+/**
+ * Retraso exigido tras N fallos consecutivos (crece exponencialmente hasta un máximo)
+ * @param {number} failures - Fallos recientes
+ * @param {Object} config - Configuración
+ * @returns {number} Milisegundos
+ */
+const getProgressiveDelay = (failures, config) => {
+  if (failures <= 0) {
+    return 0;
+  }
+  return Math.min(config.baseDelayMs * 2 ** (failures - 1), config.maxDelayMs);
+};
+
+/**
+ * Convertir una fecha futura en segundos de espera (mínimo 1)
+ * @param {Date} until - Fecha hasta la que se bloquea
+ * @returns {number} Segundos restantes
+ */
+const secondsUntil = (until) => Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+
+/**
+ * Fallos recientes de un email. Las cuentas existentes usan su contador; para emails
+ * sin cuenta se cuentan los intentos registrados, de modo que ambos casos se comportan igual
+ * y la respuesta no revela si la cuenta existe.
+ * @param {string} email - Email normalizado
+ * @param {Object|null} user - Usuario asociado al email
+ * @param {Object} config - Configuración
+ * @returns {Object} { failures, lastFailureAt, lockedUntil }
+ */
+const getEmailFailureState = async (email, user, config) => {
+  const windowStart = new Date(Date.now() - config.windowMs);
+
+  if (user) {
+    const isRecent = user.lastFailedLoginAt && user.lastFailedLoginAt > windowStart;
+    return {
+      failures: isRecent ? user.failedLoginAttempts : 0,
+      lastFailureAt: user.lastFailedLoginAt,
+      lockedUntil: user.lockedUntil
+    };
+  }
+
+  const recentFailures = await prisma.loginAttempt.findMany({
+    where: {
+      email,
+      success: false,
+      createdAt: { gte: windowStart }
+    },
+    orderBy: { createdAt: 'desc' },
+    take: config.maxAttempts,
+    select: { createdAt: true }
+  });
+
+  const lastFailureAt = recentFailures[0]?.createdAt || null;
+  const failures = recentFailures.length;
+
+  return {
+    failures,
+    lastFailureAt,
+    lockedUntil: failures >= config.maxAttempts
+      ? new Date(lastFailureAt.getTime() + config.lockoutMs)
+      : null
+  };
+};
+
+/**
+ * Liberar el bloqueo de una cuenta cuyo periodo ya terminó
+ * @param {Object} user - Usuario (se actualiza en memoria)
+ */
+const releaseExpiredLock = async (user) => {
+  if (!user.lockedUntil || user.lockedUntil > new Date()) {
+    return;
+  }
+
+  await unlockAccount(user.id, 'EXPIRED');
+  user.lockedUntil = null;
+  user.failedLoginAttempts = 0;
+};
+
+/**
+ * Comprobar si se permite un intento de login para el email y la IP
+ * @param {Object} options - Datos del intento
+ * @param {string} options.email - Email normalizado
+ * @param {string} [options.ipAddress] - IP del cliente
+ * @param {Object|null} options.user - Usuario asociado al email (null si no existe)
+ * @returns {number} 0 si se permite; si no, segundos que el cliente debe esperar
+ */
+export const checkLoginAllowed = async ({ email, ipAddress, user }) => {
+  const config = getConfig();
+  const now = new Date();
+
+  // Límite por IP: cubre ataques que prueban muchos emails distintos
+  if (ipAddress) {
+    const ipFailures = await prisma.loginAttempt.findMany({
+      where: {
+        ipAddress,
+        success: false,
+        createdAt: { gte: new Date(now.getTime() - config.windowMs) }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: config.ipMaxAttempts,
+      select: { createdAt: true }
+    });
+
+    if (ipFailures.length >= config.ipMaxAttempts) {
+      // Se permite de nuevo cuando el fallo más antiguo del bloque sale de la ventana
+      const oldest = ipFailures[ipFailures.length - 1].createdAt;
+      return secondsUntil(new Date(oldest.getTime() + config.windowMs));
+    }
+  }
+
+  if (user) {
+    await releaseExpiredLock(user);
+  }
+
+  const { failures, lastFailureAt, lockedUntil } = await getEmailFailureState(email, user, config);
+
+  if (lockedUntil && lockedUntil > now) {
+    return secondsUntil(lockedUntil);
+  }
+
+  // Retraso progresivo entre intentos fallidos consecutivos
+  const delay = getProgressiveDelay(failures, config);
+  if (delay > 0 && lastFailureAt) {
+    const nextAttemptAt = new Date(lastFailureAt.getTime() + delay);
+    if (nextAttemptAt > now) {
+      return secondsUntil(nextAttemptAt);
+    }
+  }
+
+  return 0;
+};
+
+/**
+ * Registrar un intento fallido y bloquear la cuenta al alcanzar el máximo
+ * @param {Object} options - Datos del intento
+ * @param {string} options.email - Email normalizado
+ * @param {string} [options.ipAddress] - IP del cliente
+ * @param {Object|null} options.user - Usuario asociado al email (null si no existe)
+ */
+export const recordFailedLogin = async ({ email, ipAddress, user }) => {
+  const config = getConfig();
+  const now = new Date();
+
+  await prisma.loginAttempt.create({
+    data: { email, ipAddress, success: false }
+  });
+
+  if (!user) {
+    return;
+  }
+
+  const windowStart = new Date(now.getTime() - config.windowMs);
+  const isRecent = user.lastFailedLoginAt && user.lastFailedLoginAt > windowStart;
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      // Incremento atómico para no perder fallos de peticiones concurrentes
+      failedLoginAttempts: isRecent ? { increment: 1 } : 1,
+      lastFailedLoginAt: now
+    },
+    select: { failedLoginAttempts: true }
+  });
+
+  if (updated.failedLoginAttempts < config.maxAttempts) {
+    return;
+  }
+
+  const lockedUntil = new Date(now.getTime() + config.lockoutMs);
+
+  // Solo la primera petición que alcanza el límite crea el bloqueo
+  const locked = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { lockedUntil: null },
+        { lockedUntil: { lte: now } }
+      ]
+    },
+    data: { lockedUntil }
+  });
+
+  if (locked.count === 0) {
+    return;
+  }
+
+  await prisma.accountLockout.create({
+    data: {
+      userId: user.id,
+      ipAddress,
+      failedAttempts: updated.failedLoginAttempts,
+      lockedUntil
+    }
+  });
+
+  console.warn(
+    `🔒 Cuenta bloqueada por intentos fallidos de login. Usuario: ${user.id}, ` +
+    `intentos: ${updated.failedLoginAttempts}, IP: ${ipAddress || 'desconocida'}, hasta: ${lockedUntil.toISOString()}`
+  );
+};
+
+/**
+ * Registrar un login correcto y reiniciar el contador de fallos
+ * @param {Object} options - Datos del intento
+ * @param {string} options.email - Email normalizado
+ * @param {string} [options.ipAddress] - IP del cliente
+ * @param {Object} options.user - Usuario autenticado
+ */
+export const recordSuccessfulLogin = async ({ email, ipAddress, user }) => {
+  await prisma.loginAttempt.create({
+    data: { email, ipAddress, success: true }
+  });
+
+  if (user.failedLoginAttempts > 0 || user.lastFailedLoginAt) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null
+      }
+    });
+  }
+};
+
+/**
+ * Desbloquear una cuenta y cerrar sus bloqueos abiertos
+ * @param {string} userId - ID del usuario
+ * @param {string} reason - Motivo (EXPIRED, ADMIN o PASSWORD_RESET)
+ * @param {string} [unlockedById] - Administrador que desbloquea
+ * @returns {number} Número de bloqueos cerrados
+ */
+export const unlockAccount = async (userId, reason, unlockedById = null) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null
+    }
+  });
+
+  const result = await prisma.accountLockout.updateMany({
+    where: {
+      userId,
+      unlockedAt: null
+    },
+    data: {
+      unlockedAt: new Date(),
+      unlockReason: reason,
+      unlockedById
+    }
+  });
+
+  if (result.count > 0) {
+    console.log(`🔓 Cuenta desbloqueada (${reason}). Usuario: ${userId}`);
+  }
+
+  return result.count;
+};
+
+/**
+ * Eliminar intentos de login antiguos (solo se necesitan los de la ventana actual)
+ * @returns {number} Número de intentos eliminados
+ */
+export const cleanOldLoginAttempts = async () => {
+  try {
+    const { windowMs } = getConfig();
+    // Se conservan 24 horas como mínimo para poder revisar ataques recientes
+    const cutoff = new Date(Date.now() - Math.max(windowMs, 24 * 60 * 60 * 1000));
+
+    const result = await prisma.loginAttempt.deleteMany({
+      where: {
+        createdAt: { lt: cutoff }
+      }
+    });
+
+    if (result.count > 0) {
+      console.log(`🧹 Eliminados ${result.count} intentos de login antiguos`);
+    }
+    return result.count;
+  } catch (error) {
+    console.error('Error limpiando intentos de login:', error);
+    return 0;
+  }
+};
+
+// Programar limpieza automática de intentos antiguos cada hora
+if (process.env.NODE_ENV !== 'test') {
+  setInterval(cleanOldLoginAttempts, 60 * 60 * 1000); // Cada hora
+}
+
+export default {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  cleanOldLoginAttempts
+};
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_FROM = process.env.FROM_EMAIL || 'noreply@joseluiscastro.dev';
+
+/**
+ * Transportes de correo disponibles. Cada transporte recibe el mensaje
+ * ({ from, to, subject, text, html }) y devuelve una promesa.
+ */
+const transports = {
+  // Imprime el mensaje en consola (desarrollo)
+  console: async (message) => {
+    console.log('📧 Correo enviado (console):');
+    console.log(`   Para: ${message.to}`);
+    console.log(`   Asunto: ${message.subject}`);
+    console.log(message.text);
+  },
+
+  // Guarda cada mensaje como archivo JSON en MAIL_OUTBOX_DIR
+  file: async (message) => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || './logs/mail');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+/**
+ * Registrar un transporte de correo personalizado (por ejemplo, SMTP o un proveedor externo)
+ * @param {string} name - Nombre del transporte (valor de MAIL_TRANSPORT)
+ * @param {Function} transport - Función async que recibe el mensaje
+ */
+export const registerMailTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error('El transporte de correo debe ser una función');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Enviar un correo usando el transporte configurado en MAIL_TRANSPORT
+ * @param {Object} options - Datos del mensaje
+ * @param {string} options.to - Destinatario
+ * @param {string} options.subject - Asunto
+ * @param {string} options.text - Cuerpo en texto plano
+ * @param {string} [options.html] - Cuerpo en HTML
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Transporte de correo no soportado: ${transportName}`);
+  }
+
+  await transport({
+    from: DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    ...(html && { html })
+  });
+};
+
+export default {
+  registerMailTransport,
+  sendMail
+};
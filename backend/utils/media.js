@@ -0,0 +1,145 @@
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+import { PrismaClient } from '@prisma/client';
+import { resolveVideoPath, removeVideoFile } from '../config/storage.js';
+import { invalidateProjectCache } from './projectCache.js';
+
+const prisma = new PrismaClient();
+const execFileAsync = promisify(execFile);
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const MEDIA_TIMEOUT_MS = parseInt(process.env.MEDIA_TIMEOUT_MS) || 60 * 1000;
+
+/**
+ * Leer duración, resolución y códec de un video con ffprobe
+ * @param {string} filePath - Ruta absoluta del video
+ * @returns {Object} Metadatos del stream de video
+ */
+export const probeVideo = async (filePath) => {
+  const { stdout } = await execFileAsync(FFPROBE_PATH, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=codec_name,width,height:format=duration',
+    '-of', 'json',
+    filePath
+  ], { timeout: MEDIA_TIMEOUT_MS });
+
+  const info = JSON.parse(stdout);
+  const stream = info.streams && info.streams[0];
+
+  if (!stream) {
+    throw new Error('El archivo no contiene un stream de video');
+  }
+
+  const duration = parseFloat(info.format && info.format.duration);
+
+  return {
+    videoDuration: Number.isFinite(duration) ? duration : null,
+    videoWidth: stream.width || null,
+    videoHeight: stream.height || null,
+    videoCodec: stream.codec_name || null
+  };
+};
+
+/**
+ * Generar imagen de portada (poster) a partir de un fotograma del video
+ * @param {string} filePath - Ruta absoluta del video
+ * @param {number|null} duration - Duración del video en segundos
+ * @returns {string} Nombre del archivo de portada generado
+ */
+export const generatePoster = async (filePath, duration) => {
+  const posterName = `${path.basename(filePath, path.extname(filePath))}-poster.jpg`;
+  const posterPath = resolveVideoPath(posterName);
+
+  // Tomar el fotograma al 10% del video (máximo 3s) para evitar pantallas negras iniciales
+  const seekSeconds = duration ? Math.min(duration * 0.1, 3) : 0;
+
+  await execFileAsync(FFMPEG_PATH, [
+    '-y',
+    '-v', 'error',
+    '-ss', seekSeconds.toFixed(2),
+    '-i', filePath,
+    '-frames:v', '1',
+    '-vf', 'scale=640:-2',
+    posterPath
+  ], { timeout: MEDIA_TIMEOUT_MS });
+
+  return posterName;
+};
+
+/**
+ * Procesar el video de un proyecto: extraer metadatos y generar portada.
+ * Si no hay herramientas de medios disponibles, marca el video como UNPROCESSED.
+ * @param {string} projectId - ID del proyecto
+ * @returns {string} Estado final del procesamiento
+ */
+export const processProjectVideo = async (projectId) => {
+  const project = await prisma.project.findUnique({
+    where: { id: projectId },
+    select: { videoFile: true }
+  });
+
+  if (!project || !project.videoFile) {
+    return null;
+  }
+
+  const filePath = resolveVideoPath(project.videoFile);
+
+  try {
+    const metadata = await probeVideo(filePath);
+    const videoPoster = await generatePoster(filePath, metadata.videoDuration);
+
+    // El video pudo reemplazarse mientras se procesaba
+    const result = await prisma.project.updateMany({
+      where: { id: projectId, videoFile: project.videoFile },
+      data: {
+        ...metadata,
+        videoPoster,
+        mediaStatus: 'READY'
+      }
+    });
+
+    if (result.count === 0) {
+      await removeVideoFile(videoPoster);
+      return null;
+    }
+
+    invalidateProjectCache();
+    return 'READY';
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.warn('⚠️  ffmpeg/ffprobe no disponible, video sin procesar:', projectId);
+    } else {
+      console.error('Error procesando video del proyecto:', error.message);
+    }
+
+    await prisma.project.updateMany({
+      where: { id: projectId, videoFile: project.videoFile },
+      data: { mediaStatus: 'UNPROCESSED' }
+    });
+
+    invalidateProjectCache();
+    return 'UNPROCESSED';
+  }
+};
+
+/**
+ * Encolar el procesamiento del video en segundo plano (no bloquea la respuesta)
+ * @param {string} projectId - ID del proyecto
+ */
+export const queueVideoProcessing = (projectId) => {
+  setImmediate(() => {
+    processProjectVideo(projectId).catch((error) => {
+      console.error('Error en procesamiento de video en segundo plano:', error);
+    });
+  });
+};
+
+export default {
+  probeVideo,
+  generatePoster,
+  processProjectVideo,
+  queueVideoProcessing
+};
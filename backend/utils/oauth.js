@@ -0,0 +1,333 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { getOAuthRequestTimeout } from '../config/oauth.js';
+import {
+  generateSecureToken,
+  hashToken,
+  signValue,
+  verifySignature,
+  encryptSecret,
+  decryptSecret
+} from './crypto.js';
+
+const prisma = new PrismaClient();
+
+// Vigencia del ticket que el frontend canjea por los tokens tras el callback
+const LOGIN_TICKET_TTL_MS = 60 * 1000;
+
+// Cookie con la firma del state: liga el callback al navegador que inició el flujo (evita login CSRF)
+const STATE_COOKIE = 'oauth_state';
+
+const getStateExpiresMinutes = () => parseInt(process.env.OAUTH_STATE_EXPIRES_MINUTES) || 10;
+
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oauth'
+});
+
+/**
+ * Leer una cookie de la petición
+ * @param {Object} req - Petición
+ * @param {string} name - Nombre de la cookie
+ * @returns {string|null} Valor, o null si no viene
+ */
+const readCookie = (req, name) => {
+  const cookies = (req.get('cookie') || '').split(';');
+
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator !== -1 && cookie.slice(0, separator).trim() === name) {
+      return cookie.slice(separator + 1).trim();
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Guardar en el navegador la firma del state del flujo que empieza
+ * @param {Object} res - Respuesta
+ * @param {string} state - State en texto plano
+ */
+export const setStateCookie = (res, state) => {
+  res.cookie(STATE_COOKIE, signValue(state), {
+    ...stateCookieOptions(),
+    maxAge: getStateExpiresMinutes() * 60 * 1000
+  });
+};
+
+/**
+ * Comprobar que el state del callback es el del flujo iniciado por este navegador
+ * @param {Object} req - Petición del callback
+ * @param {string} state - State recibido en la query
+ * @returns {boolean} true si la cookie firma ese state
+ */
+export const stateMatchesCookie = (req, state) => {
+  const signature = readCookie(req, STATE_COOKIE);
+  return Boolean(signature) && verifySignature(state, signature);
+};
+
+/**
+ * Borrar la cookie del state (el callback la usa una sola vez)
+ * @param {Object} res - Respuesta
+ */
+export const clearStateCookie = (res) => {
+  res.clearCookie(STATE_COOKIE, stateCookieOptions());
+};
+
+/**
+ * Crear el state y el code verifier (PKCE) de un nuevo flujo y guardarlos
+ * @param {Object} provider - Proveedor devuelto por getOAuthProvider
+ * @returns {Object} { url, state } - URL de autorización del proveedor y state en texto plano
+ */
+export const createAuthorizationUrl = async (provider) => {
+  const state = generateSecureToken();
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const expiresMinutes = getStateExpiresMinutes();
+
+  await prisma.oAuthState.create({
+    data: {
+      stateHash: hashToken(state),
+      provider: provider.name,
+      codeVerifier: encryptSecret(codeVerifier),
+      expiresAt: new Date(Date.now() + expiresMinutes * 60 * 1000)
+    }
+  });
+
+  const url = new URL(provider.authorizeUrl);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), state };
+};
+
+/**
+ * Consumir un state (un solo uso) y devolver su code verifier
+ * @param {Object} provider - Proveedor del callback
+ * @param {string} state - State recibido en el callback
+ * @returns {string|null} Code verifier, o null si el state no existe, expiró o es de otro proveedor
+ */
+export const consumeState = async (provider, state) => {
+  const stateHash = hashToken(state);
+
+  const stored = await prisma.oAuthState.findUnique({
+    where: { stateHash }
+  });
+
+  if (!stored) {
+    return null;
+  }
+
+  // deleteMany evita que dos callbacks concurrentes usen el mismo state
+  const deleted = await prisma.oAuthState.deleteMany({
+    where: { stateHash }
+  });
+
+  if (deleted.count === 0 || stored.provider !== provider.name || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return decryptSecret(stored.codeVerifier);
+};
+
+/**
+ * Canjear el código de autorización por un token de acceso del proveedor
+ * @param {Object} provider - Proveedor
+ * @param {string} code - Código de autorización
+ * @param {string} codeVerifier - Code verifier PKCE del flujo
+ * @returns {Promise<string>} Token de acceso del proveedor
+ */
+export const exchangeCode = async (provider, code, codeVerifier) => {
+  const response = await fetch(provider.tokenUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier
+    }),
+    signal: AbortSignal.timeout(getOAuthRequestTimeout())
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.access_token) {
+    throw new Error(`El proveedor OAuth rechazó el código: ${result.error || response.status}`);
+  }
+
+  return result.access_token;
+};
+
+/**
+ * Buscar el usuario local de un perfil externo. Primero por la cuenta ya vinculada;
+ * si no hay, por email, siempre que esté verificado en el proveedor y en la cuenta local.
+ * @param {Object} provider - Proveedor
+ * @param {Object} profile - Perfil normalizado (providerUserId, email, emailVerified)
+ * @returns {Object} { user, error } - error es 'email_not_verified' o 'account_not_found' si no se pudo vincular
+ */
+export const findOrLinkUser = async (provider, profile) => {
+  const account = await prisma.oAuthAccount.findUnique({
+    where: {
+      provider_providerUserId: {
+        provider: provider.name,
+        providerUserId: profile.providerUserId
+      }
+    },
+    include: { user: true }
+  });
+
+  if (account) {
+    await prisma.oAuthAccount.update({
+      where: { id: account.id },
+      data: { lastLoginAt: new Date() }
+    });
+    return { user: account.user, error: null };
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    return { user: null, error: 'email_not_verified' };
+  }
+
+  const user = await prisma.user.findFirst({
+    where: { email: { equals: profile.email, mode: 'insensitive' } }
+  });
+
+  if (!user) {
+    return { user: null, error: 'account_not_found' };
+  }
+
+  // Sin email verificado localmente, alguien podría haber registrado la dirección ajena
+  if (!user.emailVerified) {
+    return { user: null, error: 'email_not_verified' };
+  }
+
+  await prisma.oAuthAccount.create({
+    data: {
+      provider: provider.name,
+      providerUserId: profile.providerUserId,
+      email: profile.email,
+      userId: user.id
+    }
+  });
+
+  console.log(`🔗 Cuenta de ${provider.label} vinculada. Usuario: ${user.id}`);
+
+  return { user, error: null };
+};
+
+/**
+ * Crear un ticket de un solo uso para que el frontend obtenga los tokens
+ * (los tokens no viajan en la URL de redirección)
+ * @param {string} userId - Usuario autenticado
+ * @param {string} provider - Nombre del proveedor
+ * @returns {string} Ticket en texto plano
+ */
+export const createLoginTicket = async (userId, provider) => {
+  const ticket = generateSecureToken();
+
+  await prisma.oAuthLoginTicket.create({
+    data: {
+      ticketHash: hashToken(ticket),
+      userId,
+      provider,
+      expiresAt: new Date(Date.now() + LOGIN_TICKET_TTL_MS)
+    }
+  });
+
+  return ticket;
+};
+
+/**
+ * Consumir un ticket de login
+ * @param {string} ticket - Ticket recibido del frontend
+ * @returns {string|null} ID del usuario, o null si el ticket no es válido o expiró
+ */
+export const consumeLoginTicket = async (ticket) => {
+  const ticketHash = hashToken(ticket);
+
+  const stored = await prisma.oAuthLoginTicket.findUnique({
+    where: { ticketHash }
+  });
+
+  if (!stored) {
+    return null;
+  }
+
+  const deleted = await prisma.oAuthLoginTicket.deleteMany({
+    where: { ticketHash }
+  });
+
+  if (deleted.count === 0 || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return stored.userId;
+};
+
+/**
+ * URL del frontend a la que vuelve el navegador al terminar el flujo
+ * @param {Object} params - Parámetros de la query (code o error)
+ * @returns {string} URL de redirección
+ */
+export const buildFrontendCallbackUrl = (params) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8000';
+  return `${frontendUrl}/#/oauth/callback?${new URLSearchParams(params).toString()}`;
+};
+
+/**
+ * Eliminar states y tickets expirados
+ * @returns {number} Número de registros eliminados
+ */
+export const cleanExpiredOAuthData = async () => {
+  try {
+    const now = new Date();
+    const [states, tickets] = await Promise.all([
+      prisma.oAuthState.deleteMany({ where: { expiresAt: { lt: now } } }),
+      prisma.oAuthLoginTicket.deleteMany({ where: { expiresAt: { lt: now } } })
+    ]);
+
+    const count = states.count + tickets.count;
+    if (count > 0) {
+      console.log(`🧹 Eliminados ${count} states y tickets OAuth expirados`);
+    }
+    return count;
+  } catch (error) {
+    console.error('Error limpiando datos OAuth:', error);
+    return 0;
+  }
+};
+
+// Programar limpieza automática de datos OAuth expirados cada hora
+if (process.env.NODE_ENV !== 'test') {
+  setInterval(cleanExpiredOAuthData, 60 * 60 * 1000); // Cada hora
+}
+
+export default {
+  setStateCookie,
+  stateMatchesCookie,
+  clearStateCookie,
+  createAuthorizationUrl,
+  consumeState,
+  exchangeCode,
+  findOrLinkUser,
+  createLoginTicket,
+  consumeLoginTicket,
+  buildFrontendCallbackUrl,
+  cleanExpiredOAuthData
+};
@@ -0,0 +1,338 @@
+import { PROJECT_STATUSES } from './projectPublishing.js';
+
+// Orden de ContactStatus en el esquema (PostgreSQL ordena los enums por declaración)
+const CONTACT_STATUSES = ['PENDING', 'IN_PROGRESS', 'RESOLVED', 'CLOSED'];
+
+// Listados que admiten ?sort=: campos permitidos (con su tipo) y orden por defecto.
+// Solo campos no nulos, para que los cursores puedan compararlos.
+export const PROJECT_LIST = {
+  fields: {
+    createdAt: 'date',
+    updatedAt: 'date',
+    title: 'string',
+    order: 'number',
+    isFeatured: 'boolean'
+  },
+  defaultSort: '-isFeatured,order,-createdAt'
+};
+
+export const ADMIN_PROJECT_LIST = {
+  fields: {
+    ...PROJECT_LIST.fields,
+    status: PROJECT_STATUSES
+  },
+  defaultSort: PROJECT_LIST.defaultSort
+};
+
+export const CONTACT_LIST = {
+  fields: {
+    createdAt: 'date',
+    updatedAt: 'date',
+    name: 'string',
+    email: 'string',
+    status: CONTACT_STATUSES
+  },
+  defaultSort: 'status,-createdAt'
+};
+
+/**
+ * Interpretar un parámetro ?sort= ("-createdAt,title": "-" indica orden descendente).
+ * Se añade siempre el id como desempate para que el orden sea estable.
+ * @param {string} value - Valor de ?sort=
+ * @param {Object} fields - Campos permitidos ({ campo: tipo })
+ * @returns {Object[]} [{ field, direction, type }]
+ * @throws {Error} Si algún campo no está permitido o se repite
+ */
+export const parseSort = (value, fields) => {
+  const sort = String(value)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const field = part.replace(/^-/, '');
+
+      if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+        throw new Error(`No se puede ordenar por "${field}". Campos permitidos: ${Object.keys(fields).join(', ')}`);
+      }
+
+      return { field, direction: part.startsWith('-') ? 'desc' : 'asc', type: fields[field] };
+    });
+
+  if (new Set(sort.map(({ field }) => field)).size !== sort.length) {
+    throw new Error('Un campo no puede aparecer dos veces en sort');
+  }
+
+  return [...sort, { field: 'id', direction: 'asc', type: 'string' }];
+};
+
+/**
+ * Representación canónica de un orden (se guarda en los cursores)
+ * @param {Object[]} sort - Resultado de parseSort
+ * @returns {string} Por ejemplo "-createdAt,title,id"
+ */
+const sortKey = (sort) => {
+  return sort.map(({ field, direction }) => `${direction === 'desc' ? '-' : ''}${field}`).join(',');
+};
+
+/**
+ * Crear el cursor opaco de un elemento: los valores de los campos de ordenación
+ * @param {Object} item - Elemento del listado (debe incluir los campos de sort)
+ * @param {Object[]} sort - Resultado de parseSort
+ * @returns {string} Cursor en base64url
+ */
+export const encodeCursor = (item, sort) => {
+  const payload = { s: sortKey(sort), v: sort.map(({ field }) => item[field]) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Leer un cursor creado por encodeCursor para el mismo orden
+ * @param {string} cursor - Cursor recibido en ?after= o ?before=
+ * @param {Object[]} sort - Resultado de parseSort
+ * @returns {Array} Valores de los campos de ordenación (fechas como Date)
+ * @throws {Error} Si el cursor no es válido o se creó con otro orden
+ */
+export const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Cursor inválido');
+  }
+
+  if (!payload || !Array.isArray(payload.v)) {
+    throw new Error('Cursor inválido');
+  }
+
+  if (payload.s !== sortKey(sort)) {
+    throw new Error('El cursor corresponde a otro orden; usa el mismo sort con el que se obtuvo');
+  }
+
+  if (payload.v.length !== sort.length) {
+    throw new Error('Cursor inválido');
+  }
+
+  return sort.map(({ type }, index) => {
+    const value = payload.v[index];
+    const valid = type === 'date' ? !Number.isNaN(Date.parse(value))
+      : Array.isArray(type) ? type.includes(value)
+        : typeof value === type;
+
+    if (!valid) {
+      throw new Error('Cursor inválido');
+    }
+
+    return type === 'date' ? new Date(value) : value;
+  });
+};
+
+/**
+ * Filtro de Prisma para los valores mayores (gt) o menores (lt) que uno dado
+ * @param {string} field - Campo
+ * @param {string|string[]} type - Tipo del campo (o valores del enum, en orden)
+ * @param {*} value - Valor de referencia
+ * @param {string} operator - 'gt' o 'lt'
+ * @returns {Object|null} Filtro, o null si ningún valor cumple la condición
+ */
+const compareWhere = (field, type, value, operator) => {
+  if (type === 'boolean') {
+    // false < true: solo true es mayor que false y solo false es menor que true
+    if (operator === 'gt') {
+      return value === false ? { [field]: true } : null;
+    }
+    return value === true ? { [field]: false } : null;
+  }
+
+  if (Array.isArray(type)) {
+    const index = type.indexOf(value);
+    const values = operator === 'gt' ? type.slice(index + 1) : type.slice(0, index);
+    return values.length > 0 ? { [field]: { in: values } } : null;
+  }
+
+  return { [field]: { [operator]: value } };
+};
+
+/**
+ * Filtro de los elementos posteriores (after) o anteriores (before) a un cursor
+ * según el orden: (a > x) OR (a = x AND b > y) OR ...
+ * @param {Object[]} sort - Resultado de parseSort
+ * @param {Array} values - Valores del cursor
+ * @param {string} position - 'after' o 'before'
+ * @returns {Object} Filtro de Prisma
+ */
+const cursorWhere = (sort, values, position) => {
+  const OR = [];
+
+  sort.forEach(({ field, direction, type }, index) => {
+    const forward = (direction === 'asc') === (position === 'after');
+    const comparison = compareWhere(field, type, values[index], forward ? 'gt' : 'lt');
+
+    if (comparison) {
+      OR.push({
+        AND: [
+          ...sort.slice(0, index).map((previous, previousIndex) => ({ [previous.field]: values[previousIndex] })),
+          comparison
+        ]
+      });
+    }
+  });
+
+  return { OR };
+};
+
+/**
+ * Leer las opciones de listado de la petición (ya validadas)
+ * @param {Object} query - req.query
+ * @param {Object} list - PROJECT_LIST, ADMIN_PROJECT_LIST o CONTACT_LIST
+ * @returns {Object} { sort, sorted, page, limit, skip, after, before, cursorMode, withCount }
+ */
+export const parseListOptions = (query, list) => {
+  const sort = parseSort(query.sort || list.defaultSort, list.fields);
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+  const after = query.after ? decodeCursor(query.after, sort) : null;
+  const before = query.before ? decodeCursor(query.before, sort) : null;
+  const cursorMode = Boolean(after || before);
+
+  return {
+    sort,
+    sorted: Boolean(query.sort),
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    after,
+    before,
+    cursorMode,
+    // Con cursores el total es opcional (?count=true); con páginas se puede omitir con ?count=false
+    withCount: query.count !== undefined ? query.count === 'true' : !cursorMode
+  };
+};
+
+/**
+ * Paginación por páginas de un listado ya calculado (por ejemplo, por relevancia)
+ * @param {Object} options - Resultado de parseListOptions
+ * @param {number} total - Total de elementos
+ * @returns {Object} Objeto pagination de la respuesta
+ */
+export const offsetPagination = ({ page, limit }, total) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNext: page < totalPages,
+    hasPrev: page > 1,
+    nextCursor: null,
+    prevCursor: null
+  };
+};
+
+/**
+ * Obtener una página de un modelo por páginas (?page=) o por cursor (?after= / ?before=)
+ * @param {Object} delegate - Modelo de Prisma (prisma.project, prisma.contact...)
+ * @param {Object} query - { where, select, options } (options: resultado de parseListOptions)
+ * @returns {Promise<Object>} { items, pagination }
+ */
+export const findPage = async (delegate, { where, select, options }) => {
+  const { sort, page, limit, skip, after, before, cursorMode, withCount } = options;
+  const cursor = after || before;
+  const position = after ? 'after' : 'before';
+
+  // Hacia atrás se recorre el orden invertido y después se da la vuelta a la página
+  const orderBy = sort.map(({ field, direction }) => ({
+    [field]: before ? (direction === 'asc' ? 'desc' : 'asc') : direction
+  }));
+
+  const [rows, total] = await Promise.all([
+    delegate.findMany({
+      where: cursor ? { AND: [where, cursorWhere(sort, cursor, position)] } : where,
+      select: { ...select, ...Object.fromEntries(sort.map(({ field }) => [field, true])) },
+      orderBy,
+      ...(!cursorMode && { skip }),
+      take: limit + 1
+    }),
+    withCount ? delegate.count({ where }) : null
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (before) {
+    items.reverse();
+  }
+
+  const hasNext = before ? true : hasMore;
+  const hasPrev = cursorMode ? (before ? hasMore : true) : page > 1;
+  const cursors = {
+    nextCursor: hasNext && items.length > 0 ? encodeCursor(items[items.length - 1], sort) : null,
+    prevCursor: hasPrev && items.length > 0 ? encodeCursor(items[0], sort) : null
+  };
+
+  const pagination = cursorMode
+    ? { limit, ...(withCount && { total }), hasNext, hasPrev, ...cursors }
+    : {
+      page,
+      limit,
+      total,
+      totalPages: withCount ? Math.ceil(total / limit) : null,
+      hasNext,
+      hasPrev,
+      ...cursors
+    };
+
+  return { items, pagination };
+};
+
+/**
+ * Añadir la cabecera Link (RFC 8288) con las páginas first, prev, next y last
+ * @param {Object} req - Petición
+ * @param {Object} res - Respuesta
+ * @param {Object} pagination - Objeto pagination de la respuesta
+ */
+export const setLinkHeader = (req, res, pagination) => {
+  const link = (changes, rel) => {
+    const params = new URLSearchParams();
+
+    for (const [key, value] of Object.entries(req.query)) {
+      if (!['page', 'after', 'before'].includes(key)) {
+        [].concat(value).forEach(item => params.append(key, item));
+      }
+    }
+    for (const [key, value] of Object.entries(changes)) {
+      params.set(key, value);
+    }
+
+    const queryString = params.toString();
+    return `<${req.originalUrl.split('?')[0]}${queryString ? `?${queryString}` : ''}>; rel="${rel}"`;
+  };
+
+  const links = [];
+
+  if (pagination.page === undefined) {
+    // Por cursor: first vuelve al principio sin cursor
+    links.push(link({}, 'first'));
+    if (pagination.prevCursor) links.push(link({ before: pagination.prevCursor }, 'prev'));
+    if (pagination.nextCursor) links.push(link({ after: pagination.nextCursor }, 'next'));
+  } else {
+    links.push(link({ page: 1 }, 'first'));
+    if (pagination.hasPrev) links.push(link({ page: pagination.page - 1 }, 'prev'));
+    if (pagination.hasNext) links.push(link({ page: pagination.page + 1 }, 'next'));
+    if (pagination.totalPages) links.push(link({ page: pagination.totalPages }, 'last'));
+  }
+
+  res.set('Link', links.join(', '));
+};
+
+export default {
+  PROJECT_LIST,
+  ADMIN_PROJECT_LIST,
+  CONTACT_LIST,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  parseListOptions,
+  offsetPagination,
+  findPage,
+  setLinkHeader
+};
@@ -0,0 +1,49 @@
+import { PrismaClient } from '@prisma/client';
+import { generateSecureToken, hashToken } from './crypto.js';
+import { sendMail } from './mailer.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Crear un token de restablecimiento de un solo uso y enviar el enlace por correo.
+ * Invalida las solicitudes anteriores del usuario.
+ * @param {Object} user - Usuario (id, name, email)
+ * @param {Object} [options] - Opciones del mensaje
+ * @param {boolean} [options.requestedByAdmin] - El restablecimiento lo inició un administrador
+ * @returns {Promise<void>}
+ */
+export const sendPasswordResetEmail = async (user, { requestedByAdmin = false } = {}) => {
+  const token = generateSecureToken();
+  const expiresMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+  // Invalidar solicitudes anteriores del usuario
+  await prisma.passwordResetToken.deleteMany({
+    where: { userId: user.id }
+  });
+
+  await prisma.passwordResetToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId: user.id,
+      expiresAt: new Date(Date.now() + expiresMinutes * 60 * 1000)
+    }
+  });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:8000'}/#/reset-password?token=${token}`;
+  const intro = requestedByAdmin
+    ? 'Un administrador solicitó que restablezcas tu contraseña.'
+    : 'Recibimos una solicitud para restablecer tu contraseña.';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Restablecer contraseña',
+    text: `Hola ${user.name},\n\n` +
+      `${intro} Usa el siguiente enlace (válido por ${expiresMinutes} minutos):\n\n` +
+      `${resetUrl}\n\n` +
+      'Si no solicitaste este cambio, puedes ignorar este correo.'
+  });
+};
+
+export default {
+  sendPasswordResetEmail
+};
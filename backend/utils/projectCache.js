@@ -0,0 +1,90 @@
+// Caché en memoria de las respuestas públicas de proyectos (clave: URL de la petición)
+const entries = new Map();
+
+// Máximo de respuestas guardadas; al superarlo se descartan las más antiguas
+const MAX_ENTRIES = 500;
+
+// Cada invalidación incrementa la generación: una respuesta calculada antes de un cambio no se guarda
+let generation = 0;
+let invalidatedAt = new Date();
+
+/**
+ * Segundos de Cache-Control (max-age y stale-while-revalidate) y de vida en la caché del servidor
+ * @returns {Object} { maxAge, staleWhileRevalidate, ttl }
+ */
+export const getProjectCacheConfig = () => ({
+  maxAge: parseInt(process.env.PROJECT_CACHE_MAX_AGE_SECONDS) || 60,
+  staleWhileRevalidate: parseInt(process.env.PROJECT_CACHE_SWR_SECONDS) || 300,
+  ttl: parseInt(process.env.PROJECT_CACHE_TTL_SECONDS) || 300
+});
+
+/**
+ * Generación actual de la caché (se guarda al empezar a calcular una respuesta)
+ * @returns {number} Generación
+ */
+export const getCacheGeneration = () => generation;
+
+/**
+ * Fecha de la última invalidación (o del arranque): ninguna respuesta es anterior a ella
+ * @returns {Date} Fecha
+ */
+export const getLastInvalidation = () => invalidatedAt;
+
+/**
+ * Obtener una respuesta guardada que no haya caducado
+ * @param {string} key - URL de la petición
+ * @returns {Object|null} { body, headers }
+ */
+export const getCachedResponse = (key) => {
+  const entry = entries.get(key);
+
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Guardar una respuesta si no hubo cambios desde que se empezó a calcular
+ * @param {string} key - URL de la petición
+ * @param {Object} response - { body, headers }
+ * @param {number} startGeneration - Generación al empezar la petición
+ */
+export const setCachedResponse = (key, response, startGeneration) => {
+  if (startGeneration !== generation) {
+    return;
+  }
+
+  if (entries.size >= MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+
+  entries.set(key, {
+    ...response,
+    expiresAt: Date.now() + getProjectCacheConfig().ttl * 1000
+  });
+};
+
+/**
+ * Vaciar la caché tras cualquier cambio en proyectos o tecnologías
+ */
+export const invalidateProjectCache = () => {
+  entries.clear();
+  generation++;
+  invalidatedAt = new Date();
+};
+
+export default {
+  getProjectCacheConfig,
+  getCacheGeneration,
+  getLastInvalidation,
+  getCachedResponse,
+  setCachedResponse,
+  invalidateProjectCache
+};
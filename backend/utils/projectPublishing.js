@@ -0,0 +1,153 @@
+import { PrismaClient } from '@prisma/client';
+import { hasPermission } from '../config/permissions.js';
+import { recordAudit } from './audit.js';
+import { verifyPreviewToken } from './jwt.js';
+import { invalidateProjectCache } from './projectCache.js';
+
+const prisma = new PrismaClient();
+
+// Ciclo de vida: DRAFT → SCHEDULED → PUBLISHED → ARCHIVED
+export const PROJECT_STATUSES = ['DRAFT', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED'];
+
+// Filtro de los proyectos visibles en los endpoints públicos
+export const publishedProjectWhere = {
+  isActive: true,
+  status: 'PUBLISHED'
+};
+
+/**
+ * Indica si ?previewToken= es un token de vista previa válido para el proyecto de la ruta (:id)
+ * @param {Object} req - Petición
+ * @returns {boolean} true si el token corresponde a req.params.id
+ */
+const hasPreviewToken = (req) => {
+  const token = req.query.previewToken;
+
+  if (typeof token !== 'string' || !req.params.id) {
+    return false;
+  }
+
+  try {
+    return verifyPreviewToken(token).pid === req.params.id;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Indica si la petición pide (y puede ver) la vista previa de un proyecto no publicado.
+ * Requiere ?preview=true y un usuario autenticado (optionalAuth) con projects:read,
+ * o un ?previewToken= del enlace de vista previa de ese proyecto.
+ * @param {Object} req - Petición
+ * @returns {boolean} true si se deben mostrar borradores, programados y archivados
+ */
+export const canPreview = (req) => {
+  if (req.query.preview !== 'true') {
+    return false;
+  }
+
+  return (Boolean(req.user) && hasPermission(req.user.role, 'projects:read')) || hasPreviewToken(req);
+};
+
+/**
+ * Calcular status y publishAt a guardar a partir de la petición y del estado actual.
+ * - SCHEDULED exige un publishAt futuro.
+ * - PUBLISHED no admite un publishAt futuro; al publicar sin fecha se usa la actual.
+ * @param {Object} input - { status, publishAt } recibidos (pueden faltar)
+ * @param {Object|null} existing - Proyecto actual (null al crear)
+ * @returns {Object} { data, error } - data con los campos a guardar, o error con el mensaje
+ */
+export const resolvePublication = ({ status, publishAt }, existing = null) => {
+  if (status === undefined && publishAt === undefined) {
+    return { data: {}, error: null };
+  }
+
+  const now = new Date();
+  const nextStatus = status || (existing ? existing.status : 'PUBLISHED');
+  let nextPublishAt = publishAt !== undefined
+    ? (publishAt ? new Date(publishAt) : null)
+    : (existing ? existing.publishAt : null);
+
+  if (nextStatus === 'SCHEDULED' && (!nextPublishAt || nextPublishAt <= now)) {
+    return { data: null, error: 'Para programar un proyecto, publishAt debe ser una fecha futura' };
+  }
+
+  if (nextStatus === 'PUBLISHED') {
+    // Al publicar (también por adelantado un programado) sin indicar fecha, se publica ahora
+    const wasPublished = existing && existing.status === 'PUBLISHED';
+    if (!nextPublishAt || (!wasPublished && publishAt === undefined)) {
+      nextPublishAt = now;
+    }
+
+    if (nextPublishAt > now) {
+      return { data: null, error: 'Un proyecto publicado no puede tener publishAt futuro. Usa el estado SCHEDULED' };
+    }
+  }
+
+  return {
+    data: { status: nextStatus, publishAt: nextPublishAt },
+    error: null
+  };
+};
+
+/**
+ * Publicar los proyectos programados cuyo publishAt ya pasó
+ * @returns {number} Número de proyectos publicados
+ */
+export const publishDueProjects = async () => {
+  try {
+    const due = await prisma.project.findMany({
+      where: {
+        status: 'SCHEDULED',
+        publishAt: { lte: new Date() }
+      },
+      select: { id: true, status: true, publishAt: true }
+    });
+
+    let count = 0;
+    for (const project of due) {
+      // La condición sobre status evita publicar un proyecto que se reprogramó mientras tanto
+      const { count: updated } = await prisma.project.updateMany({
+        where: {
+          id: project.id,
+          status: 'SCHEDULED',
+          publishAt: { lte: new Date() }
+        },
+        data: { status: 'PUBLISHED' }
+      });
+
+      if (updated > 0) {
+        await recordAudit(null, {
+          action: 'project.publish',
+          entityType: 'Project',
+          entityId: project.id,
+          before: project,
+          after: { ...project, status: 'PUBLISHED' }
+        });
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      invalidateProjectCache();
+      console.log(`📅 Publicados ${count} proyectos programados`);
+    }
+    return count;
+  } catch (error) {
+    console.error('Error publicando proyectos programados:', error);
+    return 0;
+  }
+};
+
+// Revisar los proyectos programados cada PROJECT_SCHEDULER_INTERVAL_SECONDS (por defecto, cada minuto)
+if (process.env.NODE_ENV !== 'test') {
+  setInterval(publishDueProjects, (parseInt(process.env.PROJECT_SCHEDULER_INTERVAL_SECONDS) || 60) * 1000);
+}
+
+export default {
+  PROJECT_STATUSES,
+  publishedProjectWhere,
+  canPreview,
+  resolvePublication,
+  publishDueProjects
+};
@@ -0,0 +1,136 @@
+import { PrismaClient } from '@prisma/client';
+import { diffEntities } from './audit.js';
+
+const prisma = new PrismaClient();
+
+// Reintentos si otra revisión simultánea ocupa el mismo número
+const MAX_REVISION_ATTEMPTS = 5;
+
+// Campos de contenido que se guardan en cada revisión (destacado y orden no son contenido)
+export const REVISION_FIELDS = ['title', 'description', 'videoUrl', 'videoTitle', 'repositoryUrl', 'technologies'];
+
+// Campos públicos de una revisión
+export const revisionSelect = {
+  id: true,
+  revision: true,
+  title: true,
+  description: true,
+  videoUrl: true,
+  videoTitle: true,
+  repositoryUrl: true,
+  technologies: true,
+  restoredFromRevision: true,
+  createdAt: true,
+  editor: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+/**
+ * Extraer el contenido versionado de un proyecto
+ * @param {Object} project - Proyecto o revisión
+ * @returns {Object} Solo los campos de REVISION_FIELDS
+ */
+export const pickRevisionFields = (project) => {
+  return REVISION_FIELDS.reduce((fields, field) => {
+    fields[field] = project[field] === undefined ? null : project[field];
+    return fields;
+  }, {});
+};
+
+/**
+ * Diferencias de contenido entre dos estados (proyectos o revisiones)
+ * @param {Object} before - Estado anterior
+ * @param {Object} after - Estado posterior
+ * @returns {Object} { campo: { before, after } }
+ */
+export const diffRevisions = (before, after) => {
+  return diffEntities(pickRevisionFields(before), pickRevisionFields(after));
+};
+
+/**
+ * Guardar una revisión con el contenido actual del proyecto
+ * @param {Object} project - Proyecto (con id y los campos de contenido)
+ * @param {string|null} editorId - Usuario que hizo el cambio
+ * @param {Object} [options] - Opciones
+ * @param {number} [options.restoredFromRevision] - Revisión restaurada (rollback)
+ * @param {Date} [options.createdAt] - Fecha del contenido (por defecto, ahora)
+ * @returns {Object} Revisión creada
+ */
+export const createRevision = async (project, editorId, { restoredFromRevision = null, createdAt } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await prisma.projectRevision.findFirst({
+      where: { projectId: project.id },
+      orderBy: { revision: 'desc' },
+      select: { revision: true }
+    });
+
+    try {
+      return await prisma.projectRevision.create({
+        data: {
+          projectId: project.id,
+          revision: last ? last.revision + 1 : 1,
+          ...pickRevisionFields(project),
+          editorId,
+          restoredFromRevision,
+          ...(createdAt && { createdAt })
+        },
+        select: revisionSelect
+      });
+    } catch (error) {
+      // P2002: otra petición guardó antes ese número (projectId, revision); se calcula de nuevo
+      if (error.code !== 'P2002' || attempt >= MAX_REVISION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Registrar la revisión de una actualización. Si el proyecto aún no tiene revisiones
+ * (creado antes del historial), primero se guarda su contenido previo como revisión base.
+ * @param {Object} previous - Proyecto antes del cambio (fila completa)
+ * @param {Object} current - Proyecto después del cambio
+ * @param {string} editorId - Usuario que hizo el cambio
+ * @returns {Object|null} Revisión creada, o null si el contenido no cambió
+ */
+export const recordProjectRevision = async (previous, current, editorId) => {
+  if (Object.keys(diffRevisions(previous, current)).length === 0) {
+    return null;
+  }
+
+  const existing = await prisma.projectRevision.count({
+    where: { projectId: previous.id }
+  });
+
+  if (existing === 0) {
+    // La revisión base es siempre la 1: si dos actualizaciones simultáneas la crean, basta con una
+    await prisma.projectRevision.create({
+      data: {
+        projectId: previous.id,
+        revision: 1,
+        ...pickRevisionFields(previous),
+        editorId: previous.authorId,
+        createdAt: previous.updatedAt
+      }
+    }).catch(error => {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    });
+  }
+
+  return createRevision(current, editorId);
+};
+
+export default {
+  REVISION_FIELDS,
+  revisionSelect,
+  pickRevisionFields,
+  diffRevisions,
+  createRevision,
+  recordProjectRevision
+};
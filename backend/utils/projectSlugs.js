@@ -0,0 +1,120 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Longitud máxima del slug base (sin el sufijo numérico de desambiguación)
+const SLUG_MAX_LENGTH = 80;
+
+/**
+ * Convertir un título en slug: minúsculas, sin acentos (á → a, ñ → n, ü → u)
+ * y con guiones en lugar de espacios y signos
+ * @param {string} text - Título del proyecto
+ * @returns {string} Slug (nunca vacío)
+ */
+export const slugify = (text) => {
+  const slug = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/-+$/, '');
+
+  return slug || 'proyecto';
+};
+
+/**
+ * Indica si un slug está en uso por otro proyecto (como slug actual o como redirección)
+ * @param {string} slug - Slug candidato
+ * @param {string|null} projectId - Proyecto que lo quiere usar (sus propias redirecciones no cuentan)
+ * @returns {Promise<boolean>} true si no se puede usar
+ */
+const isSlugTaken = async (slug, projectId) => {
+  const [project, redirect] = await Promise.all([
+    prisma.project.findUnique({ where: { slug }, select: { id: true } }),
+    prisma.projectSlugRedirect.findUnique({ where: { slug }, select: { projectId: true } })
+  ]);
+
+  return Boolean(
+    (project && project.id !== projectId) ||
+    (redirect && redirect.projectId !== projectId)
+  );
+};
+
+/**
+ * Generar un slug único a partir de un título (añade -2, -3... si ya existe)
+ * @param {string} title - Título del proyecto
+ * @param {string|null} [projectId] - Proyecto al que se asignará (null al crear)
+ * @returns {Promise<string>} Slug libre
+ */
+export const generateUniqueSlug = async (title, projectId = null) => {
+  const base = slugify(title);
+  let slug = base;
+  let suffix = 2;
+
+  while (await isSlugTaken(slug, projectId)) {
+    slug = `${base}-${suffix++}`;
+  }
+
+  return slug;
+};
+
+/**
+ * Recalcular el slug de un proyecto tras un cambio de título.
+ * El slug anterior se guarda como redirección para no romper los enlaces compartidos.
+ * @param {Object} project - Proyecto con id, title y slug (actualizado)
+ * @returns {Promise<string>} Slug vigente
+ */
+export const updateProjectSlug = async (project) => {
+  const base = slugify(project.title);
+
+  // El slug sigue correspondiendo al título (incluido un sufijo de desambiguación)
+  if (project.slug && (project.slug === base || new RegExp(`^${base}-\\d+$`).test(project.slug))) {
+    return project.slug;
+  }
+
+  const slug = await generateUniqueSlug(project.title, project.id);
+
+  await prisma.$transaction([
+    // Si el proyecto recupera un slug antiguo, deja de ser una redirección
+    prisma.projectSlugRedirect.deleteMany({ where: { slug } }),
+    prisma.project.update({
+      where: { id: project.id },
+      data: { slug }
+    }),
+    ...(project.slug ? [
+      prisma.projectSlugRedirect.create({
+        data: { slug: project.slug, projectId: project.id }
+      })
+    ] : [])
+  ]);
+
+  return slug;
+};
+
+/**
+ * Generar el slug de los proyectos creados antes de que existieran los slugs
+ * @returns {number} Número de proyectos actualizados
+ */
+export const backfillProjectSlugs = async () => {
+  const projects = await prisma.project.findMany({
+    where: { slug: null },
+    select: { id: true, title: true, slug: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  for (const project of projects) {
+    await updateProjectSlug(project);
+  }
+
+  console.log(`🔗 Generados ${projects.length} slugs de proyectos`);
+  return projects.length;
+};
+
+export default {
+  slugify,
+  generateUniqueSlug,
+  updateProjectSlug,
+  backfillProjectSlugs
+};
@@ -0,0 +1,90 @@
+import { PrismaClient } from '@prisma/client';
+import { removeVideoFile } from '../config/storage.js';
+import { recordAudit } from './audit.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Días que un proyecto permanece en la papelera antes de purgarse
+ * @returns {number} Días de retención
+ */
+export const getTrashRetentionDays = () => parseInt(process.env.PROJECT_TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Eliminar definitivamente un proyecto y sus archivos (video y portada)
+ * @param {string} id - ID del proyecto
+ * @returns {Object|null} Proyecto eliminado, o null si no existía
+ */
+export const purgeProject = async (id) => {
+  const project = await prisma.project.findUnique({
+    where: { id }
+  });
+
+  if (!project) {
+    return null;
+  }
+
+  await prisma.project.delete({
+    where: { id }
+  });
+
+  // Los archivos se borran después: si falla la base de datos, no se pierden
+  if (project.videoFile) {
+    await removeVideoFile(project.videoFile);
+  }
+  if (project.videoPoster) {
+    await removeVideoFile(project.videoPoster);
+  }
+
+  return project;
+};
+
+/**
+ * Purgar los proyectos que llevan en la papelera más que el periodo de retención
+ * @returns {number} Número de proyectos purgados
+ */
+export const purgeExpiredProjects = async () => {
+  try {
+    const cutoff = new Date(Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+
+    const expired = await prisma.project.findMany({
+      where: {
+        deletedAt: { lt: cutoff }
+      },
+      select: { id: true }
+    });
+
+    let count = 0;
+    for (const { id } of expired) {
+      const project = await purgeProject(id);
+      if (project) {
+        await recordAudit(null, {
+          action: 'project.purge',
+          entityType: 'Project',
+          entityId: id,
+          before: project
+        });
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      console.log(`🧹 Eliminados ${count} proyectos de la papelera`);
+    }
+    return count;
+  } catch (error) {
+    console.error('Error purgando proyectos de la papelera:', error);
+    return 0;
+  }
+};
+
+// Programar purga automática de la papelera cada hora
+if (process.env.NODE_ENV !== 'test') {
+  setInterval(purgeExpiredProjects, 60 * 60 * 1000); // Cada hora
+}
+
+export default {
+  getTrashRetentionDays,
+  purgeProject,
+  purgeExpiredProjects
+};
@@ -0,0 +1,184 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Máximo de coincidencias que se ordenan por relevancia
+const MAX_RESULTS = 1000;
+
+// Delimitadores internos de ts_headline; se convierten en <mark> tras escapar el HTML
+const MARK_START = '⟦';
+const MARK_STOP = '⟧';
+const TITLE_HEADLINE = `StartSel=${MARK_START}, StopSel=${MARK_STOP}, HighlightAll=true`;
+const SNIPPET_HEADLINE = `StartSel=${MARK_START}, StopSel=${MARK_STOP}, MaxFragments=2, MinWords=8, MaxWords=25, FragmentDelimiter=" … "`;
+
+// Consultas de cada entidad: rank devuelve { id, rank }; highlight, los fragmentos resaltados
+const SEARCH_QUERIES = {
+  project: {
+    rank: (search) => prisma.$queryRaw`
+      WITH search AS (
+        SELECT websearch_to_tsquery('portfolio_es', ${search}) || websearch_to_tsquery('portfolio_en', ${search}) AS query,
+               portfolio_unaccent(lower(${search})) AS term
+      )
+      SELECT p.id,
+             ts_rank_cd(project_search_document(p.title, p.description, p.technologies), search.query)
+               + word_similarity(search.term, portfolio_unaccent(lower(p.title))) AS rank
+      FROM projects p, search
+      WHERE project_search_document(p.title, p.description, p.technologies) @@ search.query
+         OR search.term <% portfolio_unaccent(lower(p.title))
+      ORDER BY rank DESC
+      LIMIT ${MAX_RESULTS}`,
+    highlight: (search, ids) => prisma.$queryRaw`
+      WITH search AS (
+        SELECT websearch_to_tsquery('portfolio_es', ${search}) || websearch_to_tsquery('portfolio_en', ${search}) AS query
+      )
+      SELECT p.id,
+             ts_headline('portfolio_es', p.title, search.query, ${TITLE_HEADLINE}) AS title,
+             ts_headline('portfolio_es', p.description, search.query, ${SNIPPET_HEADLINE}) AS description
+      FROM projects p, search
+      WHERE p.id IN (${Prisma.join(ids)})`
+  },
+  contact: {
+    rank: (search) => prisma.$queryRaw`
+      WITH search AS (
+        SELECT websearch_to_tsquery('portfolio_es', ${search}) || websearch_to_tsquery('portfolio_en', ${search}) AS query,
+               portfolio_unaccent(lower(${search})) AS term
+      )
+      SELECT c.id,
+             ts_rank_cd(contact_search_document(c.name, c.email, c.subject, c.message), search.query)
+               + word_similarity(search.term, portfolio_unaccent(lower(c.name || ' ' || c.email))) AS rank
+      FROM contacts c, search
+      WHERE contact_search_document(c.name, c.email, c.subject, c.message) @@ search.query
+         OR search.term <% portfolio_unaccent(lower(c.name || ' ' || c.email))
+      ORDER BY rank DESC
+      LIMIT ${MAX_RESULTS}`,
+    highlight: (search, ids) => prisma.$queryRaw`
+      WITH search AS (
+        SELECT websearch_to_tsquery('portfolio_es', ${search}) || websearch_to_tsquery('portfolio_en', ${search}) AS query
+      )
+      SELECT c.id,
+             ts_headline('portfolio_es', coalesce(c.subject, ''), search.query, ${TITLE_HEADLINE}) AS subject,
+             ts_headline('portfolio_es', c.message, search.query, ${SNIPPET_HEADLINE}) AS message
+      FROM contacts c, search
+      WHERE c.id IN (${Prisma.join(ids)})`
+  }
+};
+
+let missingEngineWarned = false;
+
+/**
+ * Indica si el error se debe a que no se aplicó prisma/search.sql
+ * (función o configuración de búsqueda inexistente)
+ * @param {Error} error - Error de Prisma
+ * @returns {boolean} true si falta el motor de búsqueda
+ */
+const isSearchEngineMissing = (error) => {
+  return error.code === 'P2010' && ['42883', '42704'].includes(error.meta && error.meta.code);
+};
+
+/**
+ * Escapar un fragmento y convertir los delimitadores de ts_headline en <mark>
+ * @param {string|null} text - Fragmento devuelto por ts_headline
+ * @returns {string|null} HTML seguro
+ */
+const toHighlightHtml = (text) => {
+  if (text === null || text === undefined) {
+    return null;
+  }
+
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(new RegExp(MARK_START, 'g'), '<mark>')
+    .replace(new RegExp(MARK_STOP, 'g'), '</mark>');
+};
+
+/**
+ * Buscar por texto completo (español e inglés, sin acentos) con coincidencias
+ * aproximadas por trigramas para los errores de escritura
+ * @param {string} entity - 'project' o 'contact'
+ * @param {string} search - Texto buscado
+ * @returns {Promise<Map|null>} Relevancia por ID, o null si el motor no está instalado
+ *   (quien llama debe usar entonces la búsqueda simple con contains)
+ */
+export const rankSearch = async (entity, search) => {
+  try {
+    const rows = await SEARCH_QUERIES[entity].rank(search);
+    return new Map(rows.map(row => [row.id, Number(row.rank)]));
+  } catch (error) {
+    if (!isSearchEngineMissing(error)) {
+      throw error;
+    }
+
+    if (!missingEngineWarned) {
+      console.warn('⚠️  Búsqueda de texto completo no instalada (npm run db:search). Se usa la búsqueda simple');
+      missingEngineWarned = true;
+    }
+    return null;
+  }
+};
+
+/**
+ * Añadir a cada resultado los fragmentos resaltados (highlights) de la búsqueda
+ * @param {string} entity - 'project' o 'contact'
+ * @param {string} search - Texto buscado
+ * @param {Object[]} items - Resultados (con id), en el orden en que se devolverán
+ * @returns {Promise<Object[]>} Los mismos resultados con highlights
+ */
+export const attachHighlights = async (entity, search, items) => {
+  if (items.length === 0) {
+    return items;
+  }
+
+  const highlights = await SEARCH_QUERIES[entity].highlight(search, items.map(item => item.id));
+
+  return items.map(item => {
+    const { id: _id, ...fields } = highlights.find(highlight => highlight.id === item.id) || {};
+    return {
+      ...item,
+      highlights: Object.fromEntries(Object.entries(fields).map(([field, text]) => [field, toHighlightHtml(text)]))
+    };
+  });
+};
+
+/**
+ * Obtener una página de resultados ordenada por relevancia, con fragmentos resaltados
+ * @param {string} entity - 'project' o 'contact'
+ * @param {string} search - Texto buscado
+ * @param {Map} ranks - Resultado de rankSearch
+ * @param {Object} query - { where, select, skip, take } (where debe limitar a los IDs de ranks)
+ * @returns {Promise<Object>} { items, total } - cada item incluye highlights
+ */
+export const findByRelevance = async (entity, search, ranks, { where, select, skip, take }) => {
+  const delegate = prisma[entity];
+
+  const matches = await delegate.findMany({
+    where,
+    select: { id: true }
+  });
+
+  const ids = matches
+    .map(match => match.id)
+    .sort((a, b) => (ranks.get(b) || 0) - (ranks.get(a) || 0));
+  const pageIds = ids.slice(skip, skip + take);
+
+  if (pageIds.length === 0) {
+    return { items: [], total: ids.length };
+  }
+
+  const rows = await delegate.findMany({
+    where: { id: { in: pageIds } },
+    select
+  });
+
+  const items = await attachHighlights(entity, search, pageIds.map(id => rows.find(row => row.id === id)));
+
+  return { items, total: ids.length };
+};
+
+export default {
+  rankSearch,
+  attachHighlights,
+  findByRelevance
+};
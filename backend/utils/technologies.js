@@ -0,0 +1,163 @@
+import { PrismaClient } from '@prisma/client';
+import { TECHNOLOGY_CATALOG } from '../config/technologies.js';
+
+const prisma = new PrismaClient();
+
+// Campos públicos de una tecnología
+export const technologySelect = {
+  id: true,
+  name: true,
+  key: true,
+  category: true,
+  icon: true
+};
+
+/**
+ * Normalizar el nombre de una tecnología para compararlo: sin acentos, en minúsculas
+ * y sin signos ("Node.js", "NodeJS" y "node.js" → "nodejs"; "C#" → "csharp")
+ * @param {string} name - Nombre o alias
+ * @returns {string} Clave normalizada (vacía si no queda ningún carácter válido)
+ */
+export const normalizeTechnologyKey = (name) => {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/#/g, 'sharp')
+    .replace(/\+/g, 'plus')
+    .replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Filtro de Prisma para las tecnologías que corresponden a alguna de las claves (por clave o alias)
+ * @param {string[]} keys - Claves normalizadas
+ * @returns {Object} Filtro para prisma.technology
+ */
+export const technologyKeysWhere = (keys) => ({
+  OR: [
+    { key: { in: keys } },
+    { aliases: { hasSome: keys } }
+  ]
+});
+
+/**
+ * Resolver nombres escritos libremente a tecnologías del catálogo.
+ * Las que no existen se crean con el nombre recibido (sin categoría).
+ * @param {string[]} names - Nombres de tecnologías
+ * @returns {Promise<Object[]>} Tecnologías ({ id, name, ... }) sin repetir, en el orden recibido
+ */
+export const resolveTechnologies = async (names) => {
+  const entries = names
+    .map(name => ({ name: String(name).trim(), key: normalizeTechnologyKey(name) }))
+    .filter(entry => entry.key);
+  const keys = [...new Set(entries.map(entry => entry.key))];
+
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const existing = await prisma.technology.findMany({
+    where: technologyKeysWhere(keys),
+    select: { ...technologySelect, aliases: true }
+  });
+
+  const findByKey = (key) => existing.find(technology => technology.key === key || technology.aliases.includes(key));
+
+  const technologies = [];
+  for (const entry of entries) {
+    let technology = findByKey(entry.key);
+
+    if (!technology) {
+      // upsert: otra petición puede haberla creado entretanto
+      technology = await prisma.technology.upsert({
+        where: { key: entry.key },
+        create: { name: entry.name, key: entry.key, aliases: [] },
+        update: {},
+        select: { ...technologySelect, aliases: true }
+      });
+      existing.push(technology);
+    }
+
+    if (!technologies.some(resolved => resolved.id === technology.id)) {
+      technologies.push(technology);
+    }
+  }
+
+  return technologies.map(({ aliases, ...technology }) => technology);
+};
+
+/**
+ * Datos de Prisma para guardar las tecnologías de un proyecto: nombres canónicos en
+ * `technologies` y la relación con el catálogo en `technologyTags`
+ * @param {string[]} names - Nombres recibidos
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.replace] - true al actualizar (sustituye la relación); false al crear
+ * @returns {Promise<Object>} { technologies, technologyTags }
+ */
+export const buildTechnologyData = async (names, { replace = false } = {}) => {
+  const technologies = await resolveTechnologies(names);
+  const ids = technologies.map(({ id }) => ({ id }));
+
+  return {
+    technologies: technologies.map(technology => technology.name),
+    technologyTags: replace ? { set: ids } : { connect: ids }
+  };
+};
+
+/**
+ * Crear las tecnologías del catálogo inicial que falten (no modifica las existentes)
+ * @returns {number} Número de tecnologías creadas
+ */
+export const seedTechnologyCatalog = async () => {
+  let count = 0;
+
+  for (const { name, category, icon, aliases } of TECHNOLOGY_CATALOG) {
+    const key = normalizeTechnologyKey(name);
+    const exists = await prisma.technology.findUnique({ where: { key }, select: { id: true } });
+
+    if (!exists) {
+      await prisma.technology.create({
+        data: { name, key, category, icon, aliases: aliases.map(normalizeTechnologyKey) }
+      });
+      count++;
+    }
+  }
+
+  console.log(`🏷️  Creadas ${count} tecnologías del catálogo`);
+  return count;
+};
+
+/**
+ * Vincular al catálogo los proyectos que aún no tienen tecnologías relacionadas
+ * (normaliza también sus nombres)
+ * @returns {number} Número de proyectos actualizados
+ */
+export const backfillProjectTechnologies = async () => {
+  const projects = await prisma.project.findMany({
+    where: {
+      technologies: { isEmpty: false },
+      technologyTags: { none: {} }
+    },
+    select: { id: true, technologies: true }
+  });
+
+  for (const project of projects) {
+    await prisma.project.update({
+      where: { id: project.id },
+      data: await buildTechnologyData(project.technologies, { replace: true })
+    });
+  }
+
+  console.log(`🏷️  Vinculados ${projects.length} proyectos al catálogo de tecnologías`);
+  return projects.length;
+};
+
+export default {
+  technologySelect,
+  normalizeTechnologyKey,
+  technologyKeysWhere,
+  resolveTechnologies,
+  buildTechnologyData,
+  seedTechnologyCatalog,
+  backfillProjectTechnologies
+};
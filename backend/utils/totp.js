@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // segundos
+
+/**
+ * Codificar bytes en Base32 (RFC 4648, sin relleno)
+ * @param {Buffer} buffer - Bytes a codificar
+ * @returns {string} Texto Base32
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodificar texto Base32 a bytes
+ * @param {string} input - Texto Base32
+ * @returns {Buffer} Bytes decodificados
+ */
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto Base32 inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+};
+
+/**
+ * Generar un secreto TOTP aleatorio (160 bits, recomendado por RFC 4226)
+ * @returns {string} Secreto en Base32
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Calcular el código TOTP para un intervalo de tiempo (RFC 6238, HMAC-SHA1)
+ * @param {string} secret - Secreto en Base32
+ * @param {number} step - Número de intervalo (segundos Unix / periodo)
+ * @returns {string} Código de 6 dígitos
+ */
+export const generateTotp = (secret, step = Math.floor(Date.now() / 1000 / TOTP_PERIOD)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verificar un código TOTP tolerando desfase de reloj
+ * @param {string} secret - Secreto en Base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {number} window - Intervalos aceptados antes y después del actual
+ * @returns {number|null} Intervalo que coincide o null si el código es inválido
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateTotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Construir la URI otpauth:// para aplicaciones autenticadoras (contenido del código QR)
+ * @param {Object} options - Datos de la cuenta
+ * @param {string} options.secret - Secreto en Base32
+ * @param {string} options.accountName - Nombre de la cuenta (email)
+ * @param {string} options.issuer - Emisor mostrado en la aplicación
+ * @returns {string} URI de aprovisionamiento
+ */
+export const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generar códigos de recuperación de un solo uso
+ * @param {number} count - Cantidad de códigos
+ * @returns {string[]} Códigos con formato xxxxx-xxxxx
+ */
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+/**
+ * Normalizar un código de recuperación antes de calcular su hash
+ * @param {string} code - Código introducido por el usuario
+ * @returns {string} Código en minúsculas y sin separadores
+ */
+export const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,58 @@
+// Reglas en orden de prioridad: algunos navegadores incluyen el nombre de otros en su User-Agent
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Safari', pattern: /Safari\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Obtener una descripción legible del dispositivo a partir del User-Agent
+ * @param {string} userAgent - Cabecera User-Agent
+ * @returns {string} Descripción, por ejemplo "Chrome en Windows"
+ */
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Dispositivo desconocido';
+  }
+
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+
+  if (!browser && !os) {
+    // Clientes no navegadores (curl, Postman, apps): mostrar el producto principal
+    return userAgent.split(/[\s/]/)[0] || 'Dispositivo desconocido';
+  }
+
+  if (browser && os) {
+    return `${browser.name} en ${os.name}`;
+  }
+
+  return (browser || os).name;
+};
+
+/**
+ * Extraer el contexto de sesión (User-Agent e IP) de una petición
+ * @param {Object} req - Petición de Express
+ * @returns {Object} { userAgent, ipAddress }
+ */
+export const getRequestContext = (req) => {
+  return {
+    userAgent: req.get('user-agent')?.slice(0, 512) || null,
+    ipAddress: req.ip || null
+  };
+};
+
+export default {
+  describeUserAgent,
+  getRequestContext
+};
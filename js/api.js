@@ -3,6 +3,21 @@
  * Maneja todas las llamadas HTTP al servidor backend
  */
 
+/**
+ * Leer max-age y stale-while-revalidate (en segundos) de una cabecera Cache-Control
+ */
+function parseCacheControl(header) {
+  const directive = (name) => {
+    const match = new RegExp(`(?:^|,)\\s*${name}=(\\d+)`).exec(header || '');
+    return match ? parseInt(match[1]) : 0;
+  };
+
+  return {
+    maxAge: directive('max-age'),
+    staleWhileRevalidate: directive('stale-while-revalidate')
+  };
+}
+
 class ApiClient {
   constructor(baseURL = null) {
     // Auto-detect environment
@@ -17,6 +32,19 @@ class ApiClient {
     }
     this.accessToken = localStorage.getItem('accessToken');
     this.refreshToken = localStorage.getItem('refreshToken');
+    this.renewPromise = null;
+    // Respuestas públicas de proyectos con su ETag (ver cachedRequest)
+    this.responseCache = new Map();
+
+    // Mantener los tokens sincronizados con las demás pestañas (login, renovación o logout)
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key === null || event.key === 'accessToken' || event.key === 'refreshToken') {
+          this.accessToken = localStorage.getItem('accessToken');
+          this.refreshToken = localStorage.getItem('refreshToken');
+        }
+      });
+    }
   }
 
   /**
@@ -32,6 +60,16 @@ class ApiClient {
       ...options
     };
 
+    // FormData define su propio Content-Type multipart con boundary
+    if (typeof FormData !== 'undefined' && config.body instanceof FormData) {
+      delete config.headers['Content-Type'];
+    }
+
+    // Cualquier cambio puede afectar a los proyectos guardados (salvo los eventos de analítica)
+    if (config.method && config.method !== 'GET' && !endpoint.startsWith('/analytics/')) {
+      this.responseCache.clear();
+    }
+
     // Agregar token de autenticación si está disponible
     if (this.accessToken && !config.headers.Authorization) {
       config.headers.Authorization = `Bearer ${this.accessToken}`;
@@ -58,16 +96,107 @@ class ApiClient {
   }
 
   /**
-   * Renovar token de acceso usando refresh token
+   * GET que respeta las cabeceras de caché del servidor: reutiliza la respuesta mientras
+   * no caduque (max-age), la sirve caducada mientras la revalida en segundo plano
+   * (stale-while-revalidate) y después la revalida con If-None-Match (304 Not Modified)
+   */
+  async cachedRequest(endpoint) {
+    const cached = this.responseCache.get(endpoint);
+    const age = cached ? (Date.now() - cached.storedAt) / 1000 : null;
+
+    if (cached && age < cached.maxAge) {
+      return cached.data;
+    }
+
+    if (cached && age < cached.maxAge + cached.staleWhileRevalidate) {
+      this.revalidate(endpoint, cached).catch(() => {});
+      return cached.data;
+    }
+
+    return await this.revalidate(endpoint, cached);
+  }
+
+  /**
+   * Pedir de nuevo una respuesta guardada (o nueva) y actualizar la caché
    */
-  async renewToken() {
+  async revalidate(endpoint, cached) {
+    const response = await this.request(endpoint, {
+      headers: cached ? { 'If-None-Match': cached.etag } : {}
+    });
+
+    if (response.status === 304 && cached) {
+      this.responseCache.set(endpoint, { ...cached, storedAt: Date.now() });
+      return cached.data;
+    }
+
+    const data = await response.json();
+    const etag = response.headers.get('ETag');
+
+    if (response.ok && etag) {
+      this.responseCache.set(endpoint, {
+        data,
+        etag,
+        storedAt: Date.now(),
+        ...parseCacheControl(response.headers.get('Cache-Control'))
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Renovar token de acceso usando refresh token.
+   * Las renovaciones concurrentes comparten la misma petición: el servidor rota
+   * el refresh token y reutilizar el anterior revocaría toda la sesión.
+   */
+  renewToken() {
+    if (!this.renewPromise) {
+      this.renewPromise = this.performTokenRenewal().finally(() => {
+        this.renewPromise = null;
+      });
+    }
+    return this.renewPromise;
+  }
+
+  /**
+   * Ejecutar la renovación de tokens. Las pestañas abiertas comparten el refresh token:
+   * con Web Locks solo una renueva a la vez y las demás reutilizan el par que guardó
+   */
+  async performTokenRenewal() {
+    const expiredRefreshToken = this.refreshToken;
+
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request('portfolio-token-renewal', () => this.renewStoredToken(expiredRefreshToken));
+    }
+    return this.renewStoredToken(expiredRefreshToken);
+  }
+
+  /**
+   * Renovar con el refresh token guardado en localStorage (no con la copia en memoria,
+   * que otra pestaña puede haber rotado ya)
+   */
+  async renewStoredToken(expiredRefreshToken) {
+    const storedRefreshToken = localStorage.getItem('refreshToken');
+
+    if (!storedRefreshToken) {
+      this.clearTokens();
+      return false;
+    }
+
+    // Otra pestaña ya lo rotó: presentar el antiguo se trataría como robo y cerraría la sesión
+    if (storedRefreshToken !== expiredRefreshToken) {
+      this.accessToken = localStorage.getItem('accessToken');
+      this.refreshToken = storedRefreshToken;
+      return true;
+    }
+
     try {
       const response = await fetch(`${this.baseURL}/auth/refresh`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ refreshToken: this.refreshToken })
+        body: JSON.stringify({ refreshToken: storedRefreshToken })
       });
 
       if (response.ok) {
@@ -115,34 +244,49 @@ class ApiClient {
   // ==================== PROYECTOS ====================
 
   /**
-   * Obtener todos los proyectos públicos
+   * Obtener todos los proyectos públicos.
+   * { tech: ['react', 'node'] } filtra por tecnologías; la respuesta incluye data.facets.
+   * { sort: '-createdAt' } ordena; { after: pagination.nextCursor } pide la página siguiente por cursor
    */
   async getProjects(params = {}) {
     const queryString = new URLSearchParams(params).toString();
     const endpoint = `/projects${queryString ? `?${queryString}` : ''}`;
-    
-    const response = await this.request(endpoint);
-    return await response.json();
+
+    return await this.cachedRequest(endpoint);
   }
 
   /**
    * Obtener proyectos destacados
    */
   async getFeaturedProjects() {
-    const response = await this.request('/projects/featured');
-    return await response.json();
+    return await this.cachedRequest('/projects/featured');
   }
 
   /**
    * Obtener un proyecto por ID
    */
   async getProject(id) {
-    const response = await this.request(`/projects/${id}`);
+    return await this.cachedRequest(`/projects/${id}`);
+  }
+
+  /**
+   * Obtener un proyecto por slug (los slugs antiguos redirigen al actual)
+   */
+  async getProjectBySlug(slug) {
+    const response = await this.request(`/projects/by-slug/${encodeURIComponent(slug)}`);
     return await response.json();
   }
 
   /**
-   * Crear nuevo proyecto (requiere autenticación admin)
+   * Vista previa de un proyecto no publicado (requiere permiso projects:read)
+   */
+  async previewProject(id) {
+    const response = await this.request(`/projects/${id}?preview=true`);
+    return await response.json();
+  }
+
+  /**
+   * Crear nuevo proyecto (requiere permiso projects:write)
    */
   async createProject(projectData) {
     const response = await this.request('/projects', {
@@ -153,7 +297,7 @@ class ApiClient {
   }
 
   /**
-   * Actualizar proyecto (requiere autenticación admin)
+   * Actualizar proyecto (requiere permiso projects:write)
    */
   async updateProject(id, projectData) {
     const response = await this.request(`/projects/${id}`, {
@@ -164,7 +308,7 @@ class ApiClient {
   }
 
   /**
-   * Eliminar proyecto (requiere autenticación admin)
+   * Mover proyecto a la papelera (requiere permiso projects:write)
    */
   async deleteProject(id) {
     const response = await this.request(`/projects/${id}`, {
@@ -174,7 +318,94 @@ class ApiClient {
   }
 
   /**
-   * Alternar estado destacado de proyecto (requiere autenticación admin)
+   * Reordenar proyectos con la lista completa de IDs en el nuevo orden
+   * (requiere permiso projects:write)
+   */
+  async reorderProjects(ids) {
+    const response = await this.request('/projects/reorder', {
+      method: 'PATCH',
+      body: JSON.stringify({ ids })
+    });
+    return await response.json();
+  }
+
+  /**
+   * Mover un proyecto antes o después de otro, p. ej. al soltarlo al arrastrar
+   * (requiere permiso projects:write). position: { before: id } o { after: id }
+   */
+  async moveProject(id, position) {
+    const response = await this.request('/projects/reorder', {
+      method: 'PATCH',
+      body: JSON.stringify({ id, ...position })
+    });
+    return await response.json();
+  }
+
+  /**
+   * Obtener todos los proyectos, incluidos inactivos y papelera (requiere permiso projects:read).
+   * Con { trashed: true } devuelve solo la papelera; con { status: 'DRAFT' }, solo ese estado.
+   * Admite sort, after y before como getProjects.
+   */
+  async getAllProjects(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/projects/admin/all${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    return await response.json();
+  }
+
+  /**
+   * Restaurar proyecto de la papelera (requiere permiso projects:write)
+   */
+  async restoreProject(id) {
+    const response = await this.request(`/projects/${id}/restore`, {
+      method: 'POST'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Eliminar definitivamente un proyecto de la papelera (requiere permiso projects:write)
+   */
+  async purgeProject(id) {
+    const response = await this.request(`/projects/${id}/purge`, {
+      method: 'DELETE'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Obtener el historial de revisiones de un proyecto (requiere permiso projects:read)
+   */
+  async getProjectRevisions(id, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/projects/${id}/revisions${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    return await response.json();
+  }
+
+  /**
+   * Comparar dos revisiones de un proyecto (requiere permiso projects:read)
+   */
+  async diffProjectRevisions(id, from, to) {
+    const queryString = new URLSearchParams({ from, to }).toString();
+    const response = await this.request(`/projects/${id}/revisions/diff?${queryString}`);
+    return await response.json();
+  }
+
+  /**
+   * Restaurar el contenido de una revisión (requiere permiso projects:write)
+   */
+  async restoreProjectRevision(id, revision) {
+    const response = await this.request(`/projects/${id}/revisions/${revision}/restore`, {
+      method: 'POST'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Alternar estado destacado de proyecto (requiere permiso projects:write)
    */
   async toggleProjectFeatured(id) {
     const response = await this.request(`/projects/${id}/toggle-featured`, {
@@ -183,6 +414,114 @@ class ApiClient {
     return await response.json();
   }
 
+  /**
+   * Subir video de proyecto (requiere permiso projects:write)
+   */
+  async uploadProjectVideo(id, file, videoTitle = '') {
+    const formData = new FormData();
+    formData.append('video', file);
+    if (videoTitle) {
+      formData.append('videoTitle', videoTitle);
+    }
+
+    const response = await this.request(`/projects/${id}/video`, {
+      method: 'POST',
+      body: formData
+    });
+    return await response.json();
+  }
+
+  /**
+   * Obtener URL de reproducción del video subido de un proyecto
+   */
+  getProjectVideoUrl(id) {
+    return `${this.baseURL}/projects/${id}/video`;
+  }
+
+  /**
+   * Obtener URL de la imagen de portada generada para el video de un proyecto
+   */
+  getProjectPosterUrl(id) {
+    return `${this.baseURL}/projects/${id}/poster`;
+  }
+
+  // ==================== TECNOLOGÍAS ====================
+
+  /**
+   * Obtener el catálogo de tecnologías con su número de proyectos ({ category } opcional)
+   */
+  async getTechnologies(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/technologies${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    return await response.json();
+  }
+
+  /**
+   * Añadir una tecnología al catálogo (requiere permiso projects:write)
+   */
+  async createTechnology(technologyData) {
+    const response = await this.request('/technologies', {
+      method: 'POST',
+      body: JSON.stringify(technologyData)
+    });
+    return await response.json();
+  }
+
+  /**
+   * Editar categoría, icono o alias de una tecnología (requiere permiso projects:write)
+   */
+  async updateTechnology(id, technologyData) {
+    const response = await this.request(`/technologies/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(technologyData)
+    });
+    return await response.json();
+  }
+
+  // ==================== ANALÍTICA ====================
+
+  /**
+   * Registrar un evento de un proyecto: 'view', 'video_play' o 'repo_click'.
+   * No bloquea ni falla: la analítica nunca debe romper la página
+   */
+  async trackProjectEvent(projectId, type) {
+    try {
+      await this.request('/analytics/events', {
+        method: 'POST',
+        body: JSON.stringify({ projectId, type }),
+        keepalive: true
+      });
+    } catch (error) {
+      // Ignorar: bloqueadores de contenido, sin conexión...
+    }
+  }
+
+  /**
+   * Proyectos con más visitantes (requiere permiso analytics:read).
+   * { from: 'YYYY-MM-DD', to, metric: 'views' | 'videoPlays' | 'repoClicks', limit }
+   */
+  async getTopProjects(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/analytics/top${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    return await response.json();
+  }
+
+  /**
+   * Evolución de visitas (requiere permiso analytics:read).
+   * { from, to, interval: 'day' | 'week' | 'month', projectId }
+   */
+  async getAnalyticsTrends(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/analytics/trends${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    return await response.json();
+  }
+
   // ==================== CONTACTOS ====================
 
   /**
@@ -197,7 +536,8 @@ class ApiClient {
   }
 
   /**
-   * Obtener todos los mensajes de contacto (requiere autenticación admin)
+   * Obtener todos los mensajes de contacto (requiere permiso contacts:read).
+   * Admite sort ({ sort: '-createdAt' }), after y before como getProjects.
    */
   async getContacts(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -208,7 +548,7 @@ class ApiClient {
   }
 
   /**
-   * Obtener un mensaje de contacto por ID (requiere autenticación admin)
+   * Obtener un mensaje de contacto por ID (requiere permiso contacts:read)
    */
   async getContact(id) {
     const response = await this.request(`/contacts/${id}`);
@@ -216,7 +556,7 @@ class ApiClient {
   }
 
   /**
-   * Actualizar mensaje de contacto (requiere autenticación admin)
+   * Actualizar mensaje de contacto (requiere permiso contacts:write)
    */
   async updateContact(id, contactData) {
     const response = await this.request(`/contacts/${id}`, {
@@ -227,7 +567,7 @@ class ApiClient {
   }
 
   /**
-   * Eliminar mensaje de contacto (requiere autenticación admin)
+   * Eliminar mensaje de contacto (requiere permiso contacts:write)
    */
   async deleteContact(id) {
     const response = await this.request(`/contacts/${id}`, {
@@ -237,7 +577,7 @@ class ApiClient {
   }
 
   /**
-   * Cambiar estado de mensaje de contacto (requiere autenticación admin)
+   * Cambiar estado de mensaje de contacto (requiere permiso contacts:write)
    */
   async updateContactStatus(id, status) {
     const response = await this.request(`/contacts/${id}/status`, {
@@ -248,7 +588,7 @@ class ApiClient {
   }
 
   /**
-   * Obtener estadísticas de contactos (requiere autenticación admin)
+   * Obtener estadísticas de contactos (requiere permiso contacts:read)
    */
   async getContactStats() {
     const response = await this.request('/contacts/stats/summary');
@@ -268,13 +608,109 @@ class ApiClient {
     
     const result = await response.json();
     
-    if (response.ok && result.success) {
+    // Con 2FA activo, la respuesta trae un challengeToken en lugar de tokens
+    if (response.ok && result.success && result.data.accessToken) {
       this.setTokens(result.data.accessToken, result.data.refreshToken);
     }
     
     return result;
   }
 
+  /**
+   * Completar inicio de sesión con código 2FA (TOTP o de recuperación)
+   */
+  async loginTwoFactor(challengeToken, code) {
+    const response = await this.request('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code })
+    });
+
+    const result = await response.json();
+
+    if (response.ok && result.success) {
+      this.setTokens(result.data.accessToken, result.data.refreshToken);
+    }
+
+    return result;
+  }
+
+  /**
+   * Obtener los proveedores OAuth configurados (p. ej. GitHub)
+   */
+  async getOAuthProviders() {
+    const response = await this.request('/auth/oauth/providers');
+    return await response.json();
+  }
+
+  /**
+   * Obtener la URL a la que navegar para iniciar sesión con un proveedor OAuth
+   */
+  getOAuthLoginUrl(provider) {
+    return `${this.baseURL}/auth/oauth/${provider}`;
+  }
+
+  /**
+   * Canjear el código recibido en #/oauth/callback por los tokens
+   */
+  async exchangeOAuthCode(code) {
+    const response = await this.request('/auth/oauth/exchange', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+
+    const result = await response.json();
+
+    // Con 2FA activo, la respuesta trae un challengeToken en lugar de tokens
+    if (response.ok && result.success && result.data.accessToken) {
+      this.setTokens(result.data.accessToken, result.data.refreshToken);
+    }
+
+    return result;
+  }
+
+  /**
+   * Iniciar configuración de 2FA (devuelve secreto y URI otpauth para el QR)
+   */
+  async setupTwoFactor() {
+    const response = await this.request('/auth/2fa/setup', {
+      method: 'POST'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Confirmar activación de 2FA con un código TOTP
+   */
+  async enableTwoFactor(code) {
+    const response = await this.request('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+    return await response.json();
+  }
+
+  /**
+   * Desactivar 2FA
+   */
+  async disableTwoFactor(password, code) {
+    const response = await this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code })
+    });
+    return await response.json();
+  }
+
+  /**
+   * Regenerar códigos de recuperación 2FA
+   */
+  async regenerateRecoveryCodes(code) {
+    const response = await this.request('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+    return await response.json();
+  }
+
   /**
    * Registrar nuevo usuario
    */
@@ -302,6 +738,236 @@ class ApiClient {
     }
   }
 
+  /**
+   * Verificar email con el token del enlace recibido por correo
+   */
+  async verifyEmail(token) {
+    const response = await this.request(`/auth/verify-email?token=${encodeURIComponent(token)}`);
+    return await response.json();
+  }
+
+  /**
+   * Reenviar el enlace de verificación de email
+   */
+  async resendVerificationEmail() {
+    const response = await this.request('/auth/verify-email/resend', {
+      method: 'POST'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Obtener sesiones activas del usuario (la actual viene marcada con current)
+   */
+  async getSessions() {
+    const response = await this.request('/auth/sessions');
+    return await response.json();
+  }
+
+  /**
+   * Cerrar una sesión concreta
+   */
+  async revokeSession(sessionId) {
+    const response = await this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE'
+    });
+    const result = await response.json();
+
+    // Si se cerró la sesión actual, sus tokens ya no sirven
+    if (result.success && result.data && result.data.current) {
+      this.clearTokens();
+    }
+
+    return result;
+  }
+
+  /**
+   * Cerrar todas las sesiones excepto la actual
+   */
+  async revokeOtherSessions() {
+    const response = await this.request('/auth/sessions/others', {
+      method: 'DELETE'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Obtener historial de bloqueos de cuentas (requiere permiso users:read)
+   */
+  async getLockouts(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/auth/lockouts${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    return await response.json();
+  }
+
+  /**
+   * Desbloquear una cuenta bloqueada (requiere permiso users:write)
+   */
+  async unlockAccount(lockoutId) {
+    const response = await this.request(`/auth/lockouts/${lockoutId}/unlock`, {
+      method: 'POST'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Obtener usuarios con paginación y filtros (requiere permiso users:read)
+   */
+  async getUsers(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/users${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    return await response.json();
+  }
+
+  /**
+   * Obtener un usuario por ID (requiere permiso users:read)
+   */
+  async getUser(userId) {
+    const response = await this.request(`/users/${userId}`);
+    return await response.json();
+  }
+
+  /**
+   * Obtener roles disponibles y sus permisos (requiere permiso users:read)
+   */
+  async getRoles() {
+    const response = await this.request('/users/roles');
+    return await response.json();
+  }
+
+  /**
+   * Asignar un rol a un usuario (requiere permiso users:write)
+   */
+  async updateUserRole(userId, role) {
+    const response = await this.request(`/users/${userId}/role`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role })
+    });
+    return await response.json();
+  }
+
+  /**
+   * Activar o desactivar un usuario (requiere permiso users:write)
+   */
+  async updateUserStatus(userId, isActive) {
+    const response = await this.request(`/users/${userId}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ isActive })
+    });
+    return await response.json();
+  }
+
+  /**
+   * Enviar a un usuario el enlace de restablecimiento de contraseña (requiere permiso users:write)
+   */
+  async sendUserPasswordReset(userId) {
+    const response = await this.request(`/users/${userId}/password-reset`, {
+      method: 'POST'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Eliminar un usuario (requiere permiso users:write)
+   */
+  async deleteUser(userId) {
+    const response = await this.request(`/users/${userId}`, {
+      method: 'DELETE'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Crear una API key (la clave completa solo viene en esta respuesta)
+   */
+  async createApiKey(apiKeyData) {
+    const response = await this.request('/api-keys', {
+      method: 'POST',
+      body: JSON.stringify(apiKeyData)
+    });
+    return await response.json();
+  }
+
+  /**
+   * Obtener las API keys del usuario autenticado
+   */
+  async getApiKeys() {
+    const response = await this.request('/api-keys');
+    return await response.json();
+  }
+
+  /**
+   * Revocar una API key
+   */
+  async revokeApiKey(apiKeyId) {
+    const response = await this.request(`/api-keys/${apiKeyId}`, {
+      method: 'DELETE'
+    });
+    return await response.json();
+  }
+
+  /**
+   * Obtener las API keys de todos los usuarios (requiere permiso users:read)
+   */
+  async getAllApiKeys(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/api-keys/admin/all${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    return await response.json();
+  }
+
+  /**
+   * Obtener el registro de auditoría con filtros (requiere permiso audit:read)
+   */
+  async getAuditLogs(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/audit${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    return await response.json();
+  }
+
+  /**
+   * Exportar el registro de auditoría en CSV (devuelve un Blob; requiere permiso audit:read)
+   */
+  async exportAuditLogs(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/audit/export${queryString ? `?${queryString}` : ''}`;
+
+    const response = await this.request(endpoint);
+    if (!response.ok) {
+      return await response.json();
+    }
+    return await response.blob();
+  }
+
+  /**
+   * Solicitar enlace de restablecimiento de contraseña
+   */
+  async forgotPassword(email) {
+    const response = await this.request('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+    return await response.json();
+  }
+
+  /**
+   * Restablecer contraseña con el token recibido por correo
+   */
+  async resetPassword(token, password) {
+    const response = await this.request('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password })
+    });
+    return await response.json();
+  }
+
   /**
    * Obtener perfil del usuario autenticado
    */
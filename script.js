@@ -431,14 +431,24 @@ function handleVideoSelection(file) {
     video.controls = true;
     video.src = URL.createObjectURL(file);
     
+    video.preload = 'metadata';
+    
     const videoInfo = document.createElement('div');
     videoInfo.className = 'video-preview-info';
     videoInfo.innerHTML = `
         <strong>Archivo seleccionado:</strong> ${file.name}<br>
         <strong>Tamaño:</strong> ${(file.size / (1024 * 1024)).toFixed(2)} MB<br>
-        <strong>Tipo:</strong> ${file.type}
+        <strong>Tipo:</strong> ${file.type}<br>
+        <strong>Duración:</strong> <span class="video-preview-duration">calculando...</span>
     `;
     
+    // Mostrar duración y resolución, y avanzar al primer fotograma como portada
+    video.addEventListener('loadedmetadata', () => {
+        const durationLabel = videoInfo.querySelector('.video-preview-duration');
+        durationLabel.textContent = `${formatDuration(video.duration)} (${video.videoWidth}x${video.videoHeight})`;
+        video.currentTime = Math.min(1, video.duration / 10);
+    }, { once: true });
+    
     videoPreview.appendChild(video);
     videoPreview.appendChild(videoInfo);
     
@@ -458,6 +468,20 @@ function handleVideoSelection(file) {
     validateUploadForm();
 }
 
+// Format seconds as m:ss (or h:mm:ss)
+function formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '';
+    
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+}
+
 // Form validation
 function validateUploadForm() {
     const isValid = selectedVideo && 
@@ -477,27 +501,77 @@ if (techTags) techTags.addEventListener('input', validateUploadForm);
 
 // Upload button handler
 if (uploadBtn) {
-    uploadBtn.addEventListener('click', () => {
+    uploadBtn.addEventListener('click', async () => {
         if (!selectedVideo) {
             showNotification('Por favor, selecciona un video primero.', 'error');
             return;
         }
         
-        // Simulate upload process
+        if (!api.isAuthenticated()) {
+            showNotification('Debes iniciar sesión como administrador para agregar proyectos.', 'error');
+            return;
+        }
+        
         uploadBtn.disabled = true;
         uploadBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Subiendo...';
         
-        // Simulate upload delay
-        setTimeout(() => {
-            addNewProject();
+        let createdProjectId = null;
+        
+        try {
+            // Crear el proyecto y luego subir su video al backend
+            const created = await api.createProject({
+                title: projectName.value.trim(),
+                description: projectDescription.value.trim(),
+                videoTitle: videoTitle.value.trim(),
+                ...(repositoryUrl.value.trim() && { repositoryUrl: repositoryUrl.value.trim() }),
+                technologies: techTags.value.split(',').map(tag => tag.trim()).filter(tag => tag)
+            });
+            
+            if (!created.success) {
+                throw new Error(created.error || 'No se pudo crear el proyecto');
+            }
+            
+            createdProjectId = created.data.project.id;
+            const uploaded = await api.uploadProjectVideo(createdProjectId, selectedVideo, videoTitle.value.trim());
+            
+            if (!uploaded.success) {
+                throw new Error(uploaded.error || 'No se pudo subir el video');
+            }
+            
+            addNewProject(createdProjectId);
             resetUploadForm();
             showNotification('¡Proyecto agregado exitosamente!', 'success');
-        }, 2000);
+        } catch (error) {
+            console.error('Error uploading project:', error);
+            
+            // Don't leave a project without video behind: a retry would create it again
+            if (createdProjectId) {
+                await discardProject(createdProjectId);
+            }
+            
+            showNotification(error.message || 'Error al subir el proyecto. Por favor, inténtalo de nuevo.', 'error');
+            uploadBtn.disabled = false;
+            uploadBtn.innerHTML = '<i class="fas fa-plus"></i> Agregar Proyecto';
+        }
     });
 }
 
+// Remove a project whose video upload failed (move to trash, then purge)
+async function discardProject(id) {
+    try {
+        const trashed = await api.deleteProject(id);
+        const purged = trashed.success ? await api.purgeProject(id) : trashed;
+        
+        if (!purged.success) {
+            throw new Error(purged.error || 'No se pudo eliminar el proyecto');
+        }
+    } catch (error) {
+        console.error('Error discarding project:', error);
+    }
+}
+
 // Add new project to the grid
-function addNewProject() {
+function addNewProject(projectId) {
     const projectsGrid = document.querySelector('.projects-grid');
     const techTagsArray = techTags.value.split(',').map(tag => tag.trim()).filter(tag => tag);
     
@@ -514,7 +588,7 @@ function addNewProject() {
         </div>
         <div class="project-video">
             <video controls>
-                <source src="${URL.createObjectURL(selectedVideo)}" type="${selectedVideo.type}">
+                <source src="${api.getProjectVideoUrl(projectId)}" type="${selectedVideo.type}">
                 Tu navegador no soporta el elemento de video.
             </video>
             <div class="video-info">
@@ -594,6 +668,10 @@ function enhanceProjectCards() {
     const projectCards = document.querySelectorAll('.project-card');
     
     projectCards.forEach(card => {
+        // Cards loaded from the API are enhanced later; skip the ones already done
+        if (card.dataset.enhanced) return;
+        card.dataset.enhanced = 'true';
+
         const video = card.querySelector('video');
         
         if (video) {
@@ -607,6 +685,9 @@ function enhanceProjectCards() {
                 e.stopPropagation();
                 if (video.paused) {
                     video.play();
+                    if (card.dataset.projectId) {
+                        api.trackProjectEvent(card.dataset.projectId, 'video_play');
+                    }
                 } else {
                     video.pause();
                 }
@@ -636,6 +717,8 @@ async function loadFeaturedProjects() {
             if (uploadSection) {
                 projectsContainer.appendChild(uploadSection);
             }
+
+            enhanceProjectCards();
         }
     } catch (error) {
         console.error('Error loading featured projects:', error);
@@ -646,6 +729,10 @@ async function loadFeaturedProjects() {
 function createProjectCard(project) {
     const card = document.createElement('div');
     card.className = 'project-card';
+    card.dataset.projectId = project.id;
+    if (project.slug) {
+        card.dataset.projectSlug = project.slug;
+    }
     
     const technologies = Array.isArray(project.technologies) 
         ? project.technologies 
@@ -654,13 +741,13 @@ function createProjectCard(project) {
     card.innerHTML = `
         <div class="project-content">
             <div class="project-info">
-                <h3>${project.title}</h3>
+                <h3>${project.slug ? `<a href="${PROJECT_HASH_PREFIX}${project.slug}">${project.title}</a>` : project.title}</h3>
                 <p>${project.description}</p>
                 <div class="project-tech">
                     ${technologies.map(tech => `<span class="tech-tag">${tech}</span>`).join('')}
                 </div>
                 <div class="project-links">
-                    <a href="${project.github_url}" target="_blank" class="btn btn-outline">
+                    <a href="${project.repositoryUrl || project.github_url}" target="_blank" class="btn btn-outline project-repo-link">
                         <i class="fab fa-github"></i> Ver Código
                     </a>
                     ${project.live_url ? `<a href="${project.live_url}" target="_blank" class="btn btn-primary">
@@ -669,26 +756,77 @@ function createProjectCard(project) {
                 </div>
             </div>
             <div class="project-video">
-                <iframe width="300" height="200" src="${project.video_url}" 
+                ${project.videoFile ? `<video controls preload="metadata"${project.videoPoster ? ` poster="${api.getProjectPosterUrl(project.id)}"` : ''}>
+                    <source src="${api.getProjectVideoUrl(project.id)}" type="${project.videoMimeType || 'video/mp4'}">
+                    Tu navegador no soporta el elemento de video.
+                </video>` : `<iframe width="300" height="200" src="${project.videoUrl}" 
                         title="${project.title}" 
                         frameborder="0" 
                         allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" 
                         allowfullscreen>
-                </iframe>
+                </iframe>`}
                 <div class="video-info">
                     <span class="video-name">${project.title}</span>
+                    ${project.videoDuration ? `<span class="video-duration">${formatDuration(project.videoDuration)}</span>` : ''}
                 </div>
             </div>
         </div>
     `;
+
+    // Analytics: visiting the repository (views are tracked in openProjectFromHash)
+    card.querySelector('.project-repo-link').addEventListener('click', () => {
+        api.trackProjectEvent(project.id, 'repo_click');
+    });
     
     return card;
 }
 
+// Deep links to a single project: /#/proyectos/<slug>
+const PROJECT_HASH_PREFIX = '#/proyectos/';
+
+async function openProjectFromHash() {
+    const projectsContainer = document.querySelector('.projects-grid');
+    if (!projectsContainer || !window.location.hash.startsWith(PROJECT_HASH_PREFIX)) return;
+
+    const slug = decodeURIComponent(window.location.hash.slice(PROJECT_HASH_PREFIX.length));
+    if (!slug) return;
+
+    try {
+        const result = await api.getProjectBySlug(slug);
+        if (!result.success) return;
+
+        const project = result.data.project;
+
+        // An old slug redirects to the current one: keep the address bar canonical
+        if (project.slug !== slug) {
+            history.replaceState(null, '', `${PROJECT_HASH_PREFIX}${project.slug}`);
+        }
+
+        let card = projectsContainer.querySelector(`[data-project-slug="${project.slug}"]`);
+        if (!card) {
+            card = createProjectCard(project);
+            projectsContainer.prepend(card);
+            enhanceProjectCards();
+        }
+
+        projectsContainer.querySelectorAll('.project-card.linked').forEach(linked => linked.classList.remove('linked'));
+        card.classList.add('linked');
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        // Title links and shared deep links both land here: one view per opened project
+        api.trackProjectEvent(project.id, 'view');
+    } catch (error) {
+        console.error('Error loading linked project:', error);
+    }
+}
+
+window.addEventListener('hashchange', openProjectFromHash);
+
 // Initialize enhanced project cards on page load
-window.addEventListener('load', () => {
+window.addEventListener('load', async () => {
     enhanceProjectCards();
-    loadFeaturedProjects();
+    await loadFeaturedProjects();
+    openProjectFromHash();
 });
 
 // Console message for developers